@@ -1,1162 +1,6484 @@
 // Time Tracker for Testing Tasks
 // Tracks time spent on Jira tasks with 8-hour workday consideration
 
-class TimeTracker {
-    constructor() {
-        this.entries = this.loadEntries();
-        this.sprints = this.loadSprints();
-        this.currentSprint = this.loadCurrentSprint();
-        this.WORK_DAY_HOURS = 8;
-        this.SPRINT_DAYS = 10; // 2 weeks = 10 working days
-        this.SPRINT_TOTAL_HOURS = this.WORK_DAY_HOURS * this.SPRINT_DAYS; // 80 hours
+// Calendar dates as local "YYYY-MM-DD" strings. Never goes through UTC, so a date entered
+// as Monday stays Monday in every timezone (new Date('YYYY-MM-DD') parses as UTC midnight).
+class LocalDate {
+    // Convert a "YYYY-MM-DD" string or a Date to a Date at local midnight
+    static parse(value) {
+        if (value instanceof Date) {
+            return new Date(value.getFullYear(), value.getMonth(), value.getDate());
+        }
+
+        const match = /^(\d{4})-(\d{2})-(\d{2})/.exec(String(value));
+        if (match) {
+            return new Date(Number(match[1]), Number(match[2]) - 1, Number(match[3]));
+        }
+        return LocalDate.parse(new Date(value));
     }
 
-    // Load entries from localStorage
-    loadEntries() {
-        const saved = localStorage.getItem('timeTrackerEntries');
-        return saved ? JSON.parse(saved) : [];
+    // Format a Date as "YYYY-MM-DD" using its local calendar date; strings are returned as is
+    static format(value) {
+        if (!(value instanceof Date)) {
+            return value;
+        }
+        const pad = number => String(number).padStart(2, '0');
+        return `${value.getFullYear()}-${pad(value.getMonth() + 1)}-${pad(value.getDate())}`;
     }
 
-    // Load sprints from localStorage
-    loadSprints() {
-        const saved = localStorage.getItem('timeTrackerSprints');
-        return saved ? JSON.parse(saved) : [];
+    // Today's local date
+    static today() {
+        return LocalDate.format(new Date());
     }
 
-    // Load current sprint from localStorage
-    loadCurrentSprint() {
-        const saved = localStorage.getItem('timeTrackerCurrentSprint');
-        return saved ? JSON.parse(saved) : null;
+    // Add (or subtract) whole days
+    static addDays(value, days) {
+        const date = LocalDate.parse(value);
+        date.setDate(date.getDate() + days);
+        return LocalDate.format(date);
     }
 
-    // Save entries to localStorage
-    saveEntries() {
-        localStorage.setItem('timeTrackerEntries', JSON.stringify(this.entries));
+    // Day of the week (0 = Sunday ... 6 = Saturday)
+    static getDay(value) {
+        return LocalDate.parse(value).getDay();
     }
 
-    // Save sprints to localStorage
-    saveSprints() {
-        localStorage.setItem('timeTrackerSprints', JSON.stringify(this.sprints));
+    // Check a value is an existing calendar date written as "YYYY-MM-DD" (rejects e.g. 2025-02-30)
+    static isValid(value) {
+        return typeof value === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(value) && LocalDate.format(LocalDate.parse(value)) === value;
     }
+}
 
-    // Save current sprint to localStorage
-    saveCurrentSprint() {
-        localStorage.setItem('timeTrackerCurrentSprint', JSON.stringify(this.currentSprint));
+// Jira client interface. Implementations talk to a real Jira instance or an in-memory mock.
+class JiraClient {
+    constructor(config = {}) {
+        this.baseUrl = (config.baseUrl || '').replace(/\/+$/, '');
+        this.token = config.token || '';
     }
 
-    // Create a new sprint
-    createSprint(name, startDate, endDate) {
-        const sprint = {
-            id: Date.now(),
-            name: name.trim(),
-            startDate: this.formatDate(startDate),
-            endDate: this.formatDate(endDate),
-            createdAt: new Date().toISOString()
-        };
+    // Create the client matching a saved Jira configuration (null when Jira is not configured).
+    // The mock is never created from settings; tests inject it with TimeTracker.setJiraClient().
+    static create(config) {
+        if (!config || !config.baseUrl) return null;
+        return new RestJiraClient(config);
+    }
 
-        this.sprints.push(sprint);
-        this.saveSprints();
-        return sprint;
+    // Identifies the Jira instance worklogs are stored in; a worklog ID only means something there
+    get site() {
+        return this.baseUrl;
     }
 
-    // Set current active sprint
-    setCurrentSprint(sprintId) {
-        const sprint = this.sprints.find(s => s.id === sprintId);
-        if (sprint) {
-            this.currentSprint = sprint;
-            this.saveCurrentSprint();
-            return true;
-        }
-        return false;
+    // Returns { key, summary } or null when the issue does not exist
+    async getIssue(issueKey) {
+        throw new Error('getIssue is not implemented');
     }
 
-    // Get current sprint info
-    getCurrentSprint() {
-        return this.currentSprint;
+    // Creates a worklog and returns { id }
+    async addWorklog(issueKey, worklog) {
+        throw new Error('addWorklog is not implemented');
     }
 
-    // Calculate sprint dates (10 working days from start date, including both start and end)
-    calculateSprintEndDate(startDate) {
-        const start = new Date(startDate);
-        let workDays = 1; // Start counting from 1 since start date is day 1
-        let current = new Date(start);
+    // Replaces an existing worklog and returns { id }
+    async updateWorklog(issueKey, worklogId, worklog) {
+        throw new Error('updateWorklog is not implemented');
+    }
+}
 
-        // If start date is weekend, this shouldn't happen in normal usage
-        if (current.getDay() === 0 || current.getDay() === 6) {
-            throw new Error('Sprint start date must be a working day (Monday-Friday)');
-        }
+// Jira REST API v2 client (base URL of the Jira site or a CORS proxy in front of it)
+class RestJiraClient extends JiraClient {
+    async request(method, path, body) {
+        const response = await fetch(`${this.baseUrl}${path}`, {
+            method,
+            headers: {
+                'Accept': 'application/json',
+                'Content-Type': 'application/json',
+                ...(this.token ? { 'Authorization': `Bearer ${this.token}` } : {})
+            },
+            body: body ? JSON.stringify(body) : undefined
+        });
 
-        // Count working days to reach exactly 10 working days total
-        while (workDays < this.SPRINT_DAYS) {
-            // Move to next day
-            current.setDate(current.getDate() + 1);
-            
-            // Skip weekends (0 = Sunday, 6 = Saturday)
-            if (current.getDay() !== 0 && current.getDay() !== 6) {
-                workDays++;
-            }
+        if (response.status === 404) return null;
+        if (!response.ok) {
+            throw new Error(`Jira request failed: ${response.status} ${response.statusText}`);
         }
+        return response.status === 204 ? {} : response.json();
+    }
 
-        // Ensure we have exactly 10 working days including start and end
-        return this.formatDate(current);
+    async getIssue(issueKey) {
+        const issue = await this.request('GET', `/rest/api/2/issue/${encodeURIComponent(issueKey)}?fields=summary`);
+        return issue ? { key: issue.key, summary: issue.fields.summary } : null;
     }
 
-    // Add a new time entry
-    addEntry(date, jiraId, timeSpent, workDone, allowPastDates = false) {
-        // Validate inputs
-        if (!date || !jiraId || !timeSpent || !workDone) {
-            throw new Error('All fields are required: date, Jira ID, time spent, and work done');
-        }
+    async addWorklog(issueKey, worklog) {
+        const created = await this.request('POST', `/rest/api/2/issue/${encodeURIComponent(issueKey)}/worklog`, worklog);
+        if (!created) throw new Error(`Issue ${issueKey} not found`);
+        return { id: created.id };
+    }
 
-        if (isNaN(timeSpent) || timeSpent <= 0) {
-            throw new Error('Time spent must be a positive number');
-        }
+    async updateWorklog(issueKey, worklogId, worklog) {
+        const updated = await this.request('PUT',
+            `/rest/api/2/issue/${encodeURIComponent(issueKey)}/worklog/${encodeURIComponent(worklogId)}`, worklog);
+        if (!updated) throw new Error(`Worklog ${worklogId} not found on ${issueKey}`);
+        return { id: updated.id || worklogId };
+    }
+}
 
-        if (!this.currentSprint) {
-            throw new Error('No active sprint selected. Please create or select a sprint first.');
+// In-memory stand-in for a Jira server, for offline use and tests.
+// `issues` maps issue keys to summaries; `acceptAnyIssue` makes up an issue for any well-formed key.
+class MockJiraClient extends JiraClient {
+    constructor(config = {}) {
+        super(config);
+        this.issues = { ...(config.issues || {}) };
+        this.acceptAnyIssue = config.acceptAnyIssue !== undefined ? config.acceptAnyIssue : !config.issues;
+        this.latency = config.latency || 0;
+        this.failuresRemaining = 0;
+        this.worklogs = {};
+        this.nextWorklogId = 10000;
+    }
+
+    get site() {
+        return 'mock';
+    }
+
+    // Make the next `count` worklog requests fail, to exercise retries
+    failNextRequests(count = 1) {
+        this.failuresRemaining = count;
+    }
+
+    async respond(handler) {
+        if (this.latency > 0) {
+            await new Promise(resolve => setTimeout(resolve, this.latency));
         }
+        return handler();
+    }
 
-        // Check if the date is a working day (not weekend)
-        const checkDate = new Date(date);
-        if (checkDate.getDay() === 0 || checkDate.getDay() === 6) {
-            throw new Error('Time entries can only be added for working days (Monday to Friday)');
+    findIssue(issueKey) {
+        if (this.issues[issueKey]) return { key: issueKey, summary: this.issues[issueKey] };
+        if (this.acceptAnyIssue && /^[A-Z][A-Z0-9_]*-\d+$/.test(issueKey)) {
+            return { key: issueKey, summary: `Mock issue ${issueKey}` };
         }
+        return null;
+    }
 
-        // Check if date is within sprint period (allow past dates if specified)
-        if (!allowPastDates && !this.isDateInCurrentSprint(date)) {
-            throw new Error('Date must be within the current sprint period and on a working day');
-        } else if (allowPastDates && !this.isDateInSprintPeriod(date, this.currentSprint)) {
-            throw new Error('Date must be within the selected sprint period and on a working day');
+    checkFailure() {
+        if (this.failuresRemaining > 0) {
+            this.failuresRemaining--;
+            throw new Error('Jira request failed: 503 Service Unavailable');
         }
+    }
 
-        const entry = {
-            id: Date.now(), // Simple ID generation
-            date: this.formatDate(date),
-            jiraId: jiraId.trim(),
-            timeSpent: parseFloat(timeSpent),
-            workDone: workDone.trim(),
-            sprintId: this.currentSprint.id,
-            timestamp: new Date().toISOString()
-        };
+    async getIssue(issueKey) {
+        return this.respond(() => this.findIssue(issueKey));
+    }
 
-        this.entries.push(entry);
-        this.saveEntries();
-        return entry;
+    async addWorklog(issueKey, worklog) {
+        return this.respond(() => {
+            this.checkFailure();
+            if (!this.findIssue(issueKey)) throw new Error(`Issue ${issueKey} not found`);
+
+            const id = String(this.nextWorklogId++);
+            this.worklogs[id] = { ...worklog, id, issueKey };
+            return { id };
+        });
     }
 
-    // Format date to YYYY-MM-DD
-    formatDate(date) {
-        if (date instanceof Date) {
-            return date.toISOString().split('T')[0];
-        }
-        // If it's already a string in the right format, return as is
-        return date;
+    async updateWorklog(issueKey, worklogId, worklog) {
+        return this.respond(() => {
+            this.checkFailure();
+            if (!this.worklogs[worklogId]) throw new Error(`Worklog ${worklogId} not found on ${issueKey}`);
+
+            this.worklogs[worklogId] = { ...worklog, id: worklogId, issueKey };
+            return { id: worklogId };
+        });
     }
+}
 
-    // Get entries for a specific date
-    getEntriesForDate(date) {
-        const formattedDate = this.formatDate(date);
-        return this.entries.filter(entry => entry.date === formattedDate);
+// Collision-resistant record ID: a random UUID where the browser offers one, otherwise time plus randomness
+function generateId() {
+    if (typeof crypto !== 'undefined' && typeof crypto.randomUUID === 'function') {
+        return crypto.randomUUID();
     }
+    const random = () => Math.random().toString(36).slice(2, 10).padEnd(8, '0');
+    return `${Date.now().toString(36)}-${random()}${random()}`;
+}
 
-    // Get entries for current sprint
-    getCurrentSprintEntries() {
-        if (!this.currentSprint) return [];
-        return this.entries.filter(entry => entry.sprintId === this.currentSprint.id);
+// True for plain JSON objects (not arrays or null)
+function isPlainObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+// Storage adapter interface. The tracker reads and writes string values by key synchronously;
+// implementations keep them in localStorage or IndexedDB.
+class StorageAdapter {
+    // Open the storage backend chosen in the settings (localStorage unless IndexedDB was picked and works).
+    // A localStorage fallback carries `fallbackReason`, since its data may be older than what IndexedDB holds.
+    static async open(backend = StorageAdapter.getPreferredBackend()) {
+        if (backend !== 'indexedDB') {
+            return new LocalStorageAdapter();
+        }
+
+        let reason = 'IndexedDB is not available in this browser';
+        if (typeof indexedDB !== 'undefined') {
+            try {
+                return await new IndexedDBAdapter().init();
+            } catch (error) {
+                console.error('IndexedDB is unavailable, falling back to localStorage:', error);
+                reason = `IndexedDB could not be opened (${error && error.message ? error.message : error})`;
+            }
+        }
+
+        const fallback = new LocalStorageAdapter();
+        fallback.fallbackReason = `${reason}. Showing the copy saved in localStorage instead, which may be older than your IndexedDB data; changes are saved there until IndexedDB works again.`;
+        return fallback;
     }
 
-    // Get entries for a specific sprint
-    getSprintEntries(sprintId) {
-        return this.entries.filter(entry => entry.sprintId === sprintId);
+    // The chosen backend is always remembered in localStorage, since it is needed before opening storage
+    static getPreferredBackend() {
+        return localStorage.getItem('timeTrackerStorageBackend') || 'localStorage';
     }
 
-    // Calculate total time spent in current sprint
-    getCurrentSprintTotalTime() {
-        const entries = this.getCurrentSprintEntries();
-        return entries.reduce((total, entry) => total + entry.timeSpent, 0);
+    static setPreferredBackend(backend) {
+        localStorage.setItem('timeTrackerStorageBackend', backend);
     }
 
-    // Calculate remaining time for current sprint
-    getCurrentSprintRemainingTime() {
-        const totalTime = this.getCurrentSprintTotalTime();
-        return Math.max(0, this.SPRINT_TOTAL_HOURS - totalTime);
+    // Backend name: 'localStorage' or 'indexedDB'
+    get name() {
+        throw new Error('name is not implemented');
     }
 
-    // Get progress percentage for current sprint
-    getCurrentSprintProgress() {
-        const totalTime = this.getCurrentSprintTotalTime();
-        return Math.min(100, (totalTime / this.SPRINT_TOTAL_HOURS) * 100);
+    // Returns the stored string, or null when the key is not set
+    getItem(key) {
+        throw new Error('getItem is not implemented');
     }
 
-    // Calculate working days remaining in current sprint (excluding weekends)
-    getCurrentSprintDaysRemaining() {
-        if (!this.currentSprint) return 0;
-        
-        const today = new Date();
-        const endDate = new Date(this.currentSprint.endDate);
-        
-        // If today is past the end date, return 0
-        if (today > endDate) return 0;
-        
-        let workingDaysRemaining = 0;
-        let current = new Date(today);
-        
-        // Count working days from today until end date (inclusive)
-        while (current <= endDate) {
-            // Skip weekends (0 = Sunday, 6 = Saturday)
-            if (current.getDay() !== 0 && current.getDay() !== 6) {
-                workingDaysRemaining++;
-            }
-            current.setDate(current.getDate() + 1);
-        }
-        
-        return workingDaysRemaining;
+    setItem(key, value) {
+        throw new Error('setItem is not implemented');
     }
 
-    // Check if current date is within sprint period and is a working day
-    isDateInCurrentSprint(date) {
-        if (!this.currentSprint) return false;
-        
-        const checkDate = new Date(date);
-        const startDate = new Date(this.currentSprint.startDate);
-        const endDate = new Date(this.currentSprint.endDate);
-        
-        // Check if date is within sprint range
-        const isInRange = checkDate >= startDate && checkDate <= endDate;
-        
-        // Check if it's a working day (not weekend)
-        const isWorkingDay = checkDate.getDay() !== 0 && checkDate.getDay() !== 6;
-        
-        return isInRange && isWorkingDay;
+    removeItem(key) {
+        throw new Error('removeItem is not implemented');
     }
 
-    // Check if date is within any sprint period (for past date entries)
-    isDateInSprintPeriod(date, sprint) {
-        if (!sprint) return false;
-        
-        const checkDate = new Date(date);
-        const startDate = new Date(sprint.startDate);
-        const endDate = new Date(sprint.endDate);
-        
-        // Check if date is within sprint range
-        const isInRange = checkDate >= startDate && checkDate <= endDate;
-        
-        // Check if it's a working day (not weekend)
-        const isWorkingDay = checkDate.getDay() !== 0 && checkDate.getDay() !== 6;
-        
-        return isInRange && isWorkingDay;
+    // All stored keys
+    keys() {
+        throw new Error('keys is not implemented');
     }
 
-    // Check if current sprint is over
-    isCurrentSprintOver() {
-        if (!this.currentSprint) return false;
-        
-        const today = new Date();
-        const endDate = new Date(this.currentSprint.endDate);
-        
-        return today > endDate;
+    // Resolves once every write so far has been persisted
+    async flush() {}
+
+    // Call `callback(key)` after another tab changed a stored value (key is null when anything may have changed).
+    // When this tab's own write lost to another tab's, `callback(key, base)` also passes the value the lost
+    // write replaced, so the caller can merge against it.
+    watch(callback) {}
+}
+
+// Browser localStorage backend (the default)
+class LocalStorageAdapter extends StorageAdapter {
+    get name() {
+        return 'localStorage';
     }
 
-    // Calculate total time spent on a specific date
-    getTotalTimeForDate(date) {
-        const entries = this.getEntriesForDate(date);
-        return entries.reduce((total, entry) => total + entry.timeSpent, 0);
+    getItem(key) {
+        return localStorage.getItem(key);
     }
 
-    // Calculate remaining time for the workday
-    getRemainingTimeForDate(date) {
-        const totalTime = this.getTotalTimeForDate(date);
-        return Math.max(0, this.WORK_DAY_HOURS - totalTime);
+    setItem(key, value) {
+        localStorage.setItem(key, value);
     }
 
-    // Get progress percentage for the workday
-    getProgressForDate(date) {
-        const totalTime = this.getTotalTimeForDate(date);
-        return Math.min(100, (totalTime / this.WORK_DAY_HOURS) * 100);
+    removeItem(key) {
+        localStorage.removeItem(key);
     }
 
-    // Get all entries grouped by date
-    getEntriesByDate() {
-        const grouped = {};
-        this.entries.forEach(entry => {
-            if (!grouped[entry.date]) {
-                grouped[entry.date] = [];
+    keys() {
+        const keys = [];
+        for (let i = 0; i < localStorage.length; i++) {
+            keys.push(localStorage.key(i));
+        }
+        return keys;
+    }
+
+    // The browser fires "storage" in every other tab of the same origin
+    watch(callback) {
+        window.addEventListener('storage', (e) => {
+            if (e.storageArea === localStorage) {
+                callback(e.key);
             }
-            grouped[entry.date].push(entry);
         });
-        return grouped;
     }
+}
 
-    // Get summary statistics for current sprint
-    getCurrentSprintSummary() {
-        const entries = this.getCurrentSprintEntries();
-        const totalEntries = entries.length;
-        const totalTime = entries.reduce((sum, entry) => sum + entry.timeSpent, 0);
-        
-        // Only count working days (exclude weekends)
-        const uniqueDates = [...new Set(entries.map(entry => entry.date))];
-        const workingDatesWithEntries = uniqueDates.filter(date => {
-            const checkDate = new Date(date);
-            return checkDate.getDay() !== 0 && checkDate.getDay() !== 6; // Exclude weekends
+// IndexedDB backend. Values are loaded into memory once by init(), so reads stay synchronous;
+// writes update memory immediately and are persisted in the background, in order.
+// Other tabs hear about each persisted write on a BroadcastChannel, since IndexedDB has no change events.
+// A write only lands if the database still holds the value it replaces in memory; otherwise another tab
+// got there first, and the watcher is told so it can merge.
+class IndexedDBAdapter extends StorageAdapter {
+    constructor(databaseName = 'sprint-time-tracker') {
+        super();
+        this.databaseName = databaseName;
+        this.db = null;
+        this.cache = new Map();
+        this.pendingWrites = Promise.resolve();
+        this.pendingKeys = new Map(); // Key -> number of queued writes
+        this.channel = typeof BroadcastChannel !== 'undefined' ? new BroadcastChannel(databaseName) : null;
+        this.onChange = null;
+    }
+
+    get name() {
+        return 'indexedDB';
+    }
+
+    // Open the database and load every stored value
+    init() {
+        return new Promise((resolve, reject) => {
+            const request = indexedDB.open(this.databaseName, 1);
+            request.onupgradeneeded = () => request.result.createObjectStore('keyValue');
+            request.onerror = () => reject(request.error);
+            request.onsuccess = () => {
+                this.db = request.result;
+                const cursorRequest = this.db.transaction('keyValue', 'readonly').objectStore('keyValue').openCursor();
+                cursorRequest.onerror = () => reject(cursorRequest.error);
+                cursorRequest.onsuccess = () => {
+                    const cursor = cursorRequest.result;
+                    if (cursor) {
+                        this.cache.set(cursor.key, cursor.value);
+                        cursor.continue();
+                    } else {
+                        resolve(this);
+                    }
+                };
+            };
         });
-        
-        const averageTimePerDay = workingDatesWithEntries.length > 0 ? totalTime / workingDatesWithEntries.length : 0;
-        const daysRemaining = this.getCurrentSprintDaysRemaining();
-        const progress = this.getCurrentSprintProgress();
+    }
 
-        return {
-            totalEntries,
-            totalTime: parseFloat(totalTime.toFixed(2)),
-            uniqueDates: workingDatesWithEntries.length,
-            averageTimePerDay: parseFloat(averageTimePerDay.toFixed(2)),
-            daysRemaining,
-            progress: parseFloat(progress.toFixed(1)),
-            sprintName: this.currentSprint ? this.currentSprint.name : 'No Sprint Selected'
-        };
+    getItem(key) {
+        return this.cache.has(key) ? this.cache.get(key) : null;
     }
 
-    // Get overall summary statistics
-    getSummary() {
-        const totalEntries = this.entries.length;
-        const totalTime = this.entries.reduce((sum, entry) => sum + entry.timeSpent, 0);
-        const uniqueDates = [...new Set(this.entries.map(entry => entry.date))];
-        const averageTimePerDay = uniqueDates.length > 0 ? totalTime / uniqueDates.length : 0;
+    // Unchanged values are not written, so other tabs are not told about them
+    setItem(key, value) {
+        if (this.cache.get(key) === String(value)) return;
+        const previous = this.getItem(key);
+        this.cache.set(key, String(value));
+        this.write(key, String(value), previous);
+    }
 
-        return {
-            totalEntries,
-            totalTime: parseFloat(totalTime.toFixed(2)),
-            uniqueDates: uniqueDates.length,
-            averageTimePerDay: parseFloat(averageTimePerDay.toFixed(2)),
-            totalSprints: this.sprints.length
-        };
+    removeItem(key) {
+        if (!this.cache.has(key)) return;
+        const previous = this.getItem(key);
+        this.cache.delete(key);
+        this.write(key, null, previous);
     }
 
-    // Delete an entry
-    deleteEntry(id) {
-        const index = this.entries.findIndex(entry => entry.id === id);
-        if (index !== -1) {
-            this.entries.splice(index, 1);
-            this.saveEntries();
-            return true;
-        }
-        return false;
+    keys() {
+        return [...this.cache.keys()];
     }
 
-    // Clear all entries
-    clearAllEntries() {
-        this.entries = [];
-        this.saveEntries();
+    // Queue a write of `value` (null deletes the key) over `previous`, and announce it to other tabs once stored.
+    // If another tab stored something else in the meantime, the write is dropped and the watcher is told.
+    // A failed write is logged, the in-memory value stays current.
+    write(key, value, previous) {
+        this.pendingKeys.set(key, (this.pendingKeys.get(key) || 0) + 1);
+        this.pendingWrites = this.pendingWrites.then(() => new Promise(resolve => {
+            const transaction = this.db.transaction('keyValue', 'readwrite');
+            const store = transaction.objectStore('keyValue');
+            let current = null;
+            const request = store.get(key);
+            request.onsuccess = () => {
+                current = request.result === undefined ? null : request.result;
+                if (current !== previous) return;
+                if (value === null) {
+                    store.delete(key);
+                } else {
+                    store.put(value, key);
+                }
+            };
+            const done = () => {
+                this.pendingKeys.set(key, this.pendingKeys.get(key) - 1);
+                resolve();
+            };
+            transaction.oncomplete = () => {
+                done();
+                if (current === previous) {
+                    if (this.channel) this.channel.postMessage({ key });
+                } else if (this.getItem(key) === value) {
+                    // No newer write of ours is queued: take the other tab's value and let the watcher merge
+                    this.setCached(key, current);
+                    if (this.onChange) this.onChange(key, previous);
+                }
+            };
+            transaction.onerror = transaction.onabort = () => {
+                console.error('IndexedDB write failed:', transaction.error);
+                done();
+            };
+        }));
     }
 
-    // Debug function to recalculate all sprint end dates
-    recalculateAllSprintEndDates() {
-        let updated = 0;
-        this.sprints.forEach(sprint => {
-            const newEndDate = this.calculateSprintEndDate(sprint.startDate);
-            if (sprint.endDate !== newEndDate) {
-                console.log(`Updating sprint "${sprint.name}" end date from ${sprint.endDate} to ${newEndDate}`);
-                sprint.endDate = newEndDate;
-                updated++;
-            }
+    setCached(key, value) {
+        if (value === null || value === undefined) {
+            this.cache.delete(key);
+        } else {
+            this.cache.set(key, value);
+        }
+    }
+
+    // Read one value from the database into memory, after another tab changed it. Returns false while a write
+    // of this tab is queued for the key: that write checks for the other tab's value itself.
+    reload(key) {
+        return new Promise((resolve, reject) => {
+            const request = this.db.transaction('keyValue', 'readonly').objectStore('keyValue').get(key);
+            request.onerror = () => reject(request.error);
+            request.onsuccess = () => {
+                if (this.pendingKeys.get(key)) {
+                    resolve(false);
+                    return;
+                }
+                this.setCached(key, request.result);
+                resolve(true);
+            };
         });
-        
-        if (updated > 0) {
-            this.saveSprints();
-            // Update current sprint if it was changed
-            if (this.currentSprint) {
-                const updatedCurrentSprint = this.sprints.find(s => s.id === this.currentSprint.id);
-                if (updatedCurrentSprint) {
-                    this.currentSprint = updatedCurrentSprint;
-                    this.saveCurrentSprint();
+    }
+
+    watch(callback) {
+        this.onChange = callback;
+        if (!this.channel) return;
+        this.channel.addEventListener('message', async (e) => {
+            try {
+                if (await this.reload(e.data.key)) {
+                    callback(e.data.key);
                 }
+            } catch (error) {
+                console.error('Could not read a change from another tab:', error);
             }
-        }
-        
-        return updated;
+        });
     }
 
-    // Clear all data (for debugging)
-    clearAllData() {
-        this.entries = [];
-        this.sprints = [];
-        this.currentSprint = null;
-        this.saveEntries();
-        this.saveSprints();
-        this.saveCurrentSprint();
+    flush() {
+        return this.pendingWrites;
     }
 }
 
-// UI Controller
-class TimeTrackerUI {
-    constructor() {
-        this.tracker = new TimeTracker();
-        this.init();
+class TimeTracker {
+    constructor(storage = new LocalStorageAdapter()) {
+        this.storage = storage; // StorageAdapter holding every saved value
+        this.storageIssues = []; // Failed or skipped migrations, shown in the UI with the quarantined values
+        if (storage.fallbackReason) {
+            this.storageIssues.push({ key: 'timeTrackerStorageBackend', message: storage.fallbackReason });
+        }
+        this.syncedValues = {}; // Raw value of each key as this tab last read or wrote it, the base for merging other tabs' changes
+        this.SCHEMA_VERSION = 5; // Bump together with a new entry in getMigrations()
+        this.WORK_DAY_HOURS = 8;
+        this.SPRINT_DAYS = 10; // 2 weeks = 10 working days
+        this.SPRINT_TOTAL_HOURS = this.WORK_DAY_HOURS * this.SPRINT_DAYS; // 80 hours
+        this.ENTRY_TYPES = { task: 'Task', meeting: 'Meeting', overhead: 'Overhead', leave: 'Leave' }; // Only tasks need a Jira ID
+        this.runMigrations();
+        this.entries = this.loadEntries();
+        this.sprints = this.loadSprints();
+        this.currentSprint = this.loadCurrentSprint();
+        this.settings = this.loadSettings(); // Default capacity for new sprints
+        this.calendar = this.loadCalendar(); // Holidays and PTO
+        this.workWeek = this.loadWorkWeek(); // Working weekdays (Mon-Fri by default)
+        this.timers = this.loadTimers(); // Live timers, at most one running
+        this.categories = this.loadCategories(); // Work categories offered as entry tags
+        this.templates = this.loadTemplates(); // Saved entries for routine work, optionally recurring
+        this.auditLog = this.loadAuditLog(); // Who changed what and when, oldest first
+        this.jiraConfig = this.loadJiraConfig();
+        this.jiraClient = JiraClient.create(this.jiraConfig);
+        this.undoStack = []; // Recorded commands, newest last
+        this.redoStack = []; // Undone commands, newest last
+        this.commandDepth = 0; // Mutations called by other mutations are part of the outer command
+        this.recordMutations();
     }
 
-    init() {
-        this.createUI();
-        this.bindEvents();
-        this.refreshDisplay();
-    }
+    // Read a JSON value from storage. A value that does not parse, or fails `isValid`, is quarantined
+    // and the fallback is returned, so one corrupt key cannot stop the app from starting.
+    readJSON(key, fallback, isValid = () => true) {
+        const raw = this.storage.getItem(key);
+        this.syncedValues[key] = raw;
+        if (raw === null || raw === undefined) return fallback;
 
-    createUI() {
-        document.body.innerHTML = `
-            <div class="container">
-                <h1>🏃‍♂️ Sprint Time Tracker</h1>
-                
-                <div class="input-section">
-                    <div class="sprint-management">
-                        <h2>Sprint Management</h2>
-                        <div id="currentSprintInfo"></div>
-                        <button id="createSprintBtn" class="secondary-btn">Create New Sprint</button>
-                        <button id="selectSprintBtn" class="secondary-btn">Select Sprint</button>
-                    </div>
-                    
-                    <div class="time-entry" id="timeEntrySection" style="display: none;">
-                        <h2>Add Time Entry</h2>
-                        <div id="pastSprintWarning" class="past-sprint-warning" style="display: none;">
-                            <p>⚠️ This sprint has ended. You can still add entries for past dates within the sprint period.</p>
-                        </div>
-                        <form id="entryForm">
-                            <div class="form-group">
-                                <label for="dateInput">Date:</label>
-                                <input type="date" id="dateInput" required>
-                            </div>
-                            
-                            <div class="form-group">
-                                <label for="jiraInput">Jira Task ID:</label>
-                                <input type="text" id="jiraInput" placeholder="e.g., PROJ-123" required>
-                            </div>
-                            
-                            <div class="form-group">
-                                <label for="timeInput">Time Spent (hours):</label>
-                                <input type="number" id="timeInput" step="0.25" min="0.25" placeholder="e.g., 2.5" required>
-                            </div>
-                            
-                            <div class="form-group">
-                                <label for="workDoneInput">Work Done:</label>
-                                <textarea id="workDoneInput" placeholder="e.g., Tested login functionality, found 2 bugs" rows="3" required></textarea>
-                            </div>
-                            
-                            <button type="submit">Add Entry</button>
-                        </form>
-                    </div>
-                </div>
+        let value;
+        try {
+            value = JSON.parse(raw);
+        } catch (error) {
+            this.quarantine(key, raw, error.message);
+            return fallback;
+        }
 
-                <div class="sprint-progress-section">
-                    <h2>Current Sprint Progress</h2>
-                    <div id="sprintProgress"></div>
-                </div>
+        if (!isValid(value)) {
+            this.quarantine(key, raw, 'Unexpected data format');
+            return fallback;
+        }
+        return value;
+    }
 
-                <div class="main-content">
-                    <div class="entries-section">
-                        <h2>Sprint Entries</h2>
-                        <div class="controls">
-                            <button id="clearSprintBtn" class="danger-btn">Clear Sprint Entries</button>
-                        </div>
-                        <div id="entriesList"></div>
-                    </div>
+    // Write a JSON value to storage
+    writeJSON(key, value) {
+        const raw = JSON.stringify(value);
+        this.storage.setItem(key, raw);
+        this.syncedValues[key] = raw;
+    }
 
-                    <div class="summary-section">
-                        <h2>Sprint Summary</h2>
-                        <div id="summaryDisplay"></div>
-                    </div>
-                </div>
-            </div>
+    // Save a record list (entries, sprints, ...), merging it record by record with what another tab saved
+    // since this tab last read or wrote the key. Returns the merged list, which replaces the in-memory one.
+    syncRecords(key, records) {
+        return this.syncValue(key, records, (base, ours, theirs) => this.mergeRecordLists(base || [], ours, theirs));
+    }
 
-            <!-- Sprint Creation Modal -->
-            <div id="sprintModal" class="modal" style="display: none;">
-                <div class="modal-content">
-                    <span class="close">&times;</span>
-                    <h2>Create New Sprint</h2>
-                    <form id="sprintForm">
-                        <div class="form-group">
-                            <label for="sprintNameInput">Sprint Name:</label>
-                            <input type="text" id="sprintNameInput" placeholder="e.g., Sprint 24.15" required>
-                        </div>
-                        
-                        <div class="form-group">
-                            <label for="sprintStartInput">Start Date:</label>
-                            <input type="date" id="sprintStartInput" required>
-                        </div>
-                        
-                        <div class="form-group">
-                            <label for="sprintEndInput">End Date:</label>
-                            <input type="date" id="sprintEndInput" required>
-                            <small style="color: #666;">You can manually set the end date or use auto-calculate</small>
-                        </div>
-                        
-                        <div class="form-group">
-                            <button type="button" id="autoCalculateBtn" class="secondary-btn">Auto-Calculate End Date (10 working days)</button>
-                        </div>
-                        
-                        <button type="submit">Create Sprint</button>
-                        <button type="button" id="cancelSprintBtn">Cancel</button>
-                    </form>
-                </div>
-            </div>
+    // Save a value, first combining it with what another tab saved since this tab last read or wrote the key:
+    // `merge(base, ours, theirs)` gets the parsed values (base is null when this tab never saw one).
+    // Returns the merged value, which replaces the in-memory one.
+    syncValue(key, value, merge) {
+        const stored = this.storage.getItem(key);
+        let merged = value;
+        if (stored !== null && stored !== this.syncedValues[key]) {
+            try {
+                merged = merge(JSON.parse(this.syncedValues[key] || 'null'), value, JSON.parse(stored));
+            } catch (error) {
+                console.error(`Could not merge "${key}" with another tab's changes:`, error);
+            }
+        }
 
-            <!-- Sprint Selection Modal -->
-            <div id="selectSprintModal" class="modal" style="display: none;">
-                <div class="modal-content">
-                    <span class="close">&times;</span>
-                    <h2>Select Sprint</h2>
-                    <div id="sprintsList"></div>
-                    <button type="button" id="cancelSelectBtn">Cancel</button>
-                </div>
-            </div>
-        `;
+        // Writing only real changes keeps tabs from echoing each other's saves
+        if (JSON.stringify(merged) !== stored) {
+            this.writeJSON(key, merged);
+        } else {
+            this.syncedValues[key] = stored;
+        }
+        return merged;
+    }
 
-        // Add styles
-        const style = document.createElement('style');
-        style.textContent = `
-            * {
-                margin: 0;
-                padding: 0;
-                box-sizing: border-box;
-            }
+    // Three-way merge of record lists by id. `base` is what this tab last read or wrote, `ours` its records now
+    // and `theirs` what another tab stored. A record changed (or added, or deleted) on one side only takes that
+    // side; a record changed on both keeps ours. Lists with duplicate IDs are not merged, so no record is lost.
+    // `getId` names the field that identifies records without an `id` (PTO days by date, categories by name).
+    mergeRecordLists(base, ours, theirs, getId = record => record.id) {
+        const hasDuplicates = list => new Set(list.map(getId)).size !== list.length;
+        if (!Array.isArray(base) || !Array.isArray(theirs) || [base, ours, theirs].some(hasDuplicates)) {
+            return ours;
+        }
 
-            body {
-                font-family: 'Segoe UI', Tahoma, Geneva, Verdana, sans-serif;
-                background-color: #f5f5f5;
-                color: #333;
-                line-height: 1.6;
-                min-height: 100vh;
-            }
+        const baseById = new Map(base.map(record => [getId(record), JSON.stringify(record)]));
+        const oursById = new Map(ours.map(record => [getId(record), record]));
+        const theirsById = new Map(theirs.map(record => [getId(record), record]));
+        const ids = new Set([...theirs.map(getId), ...ours.map(getId)]);
+
+        return [...ids]
+            .map(id => {
+                const mine = oursById.get(id);
+                const changedHere = (mine ? JSON.stringify(mine) : undefined) !== baseById.get(id);
+                return changedHere ? mine : theirsById.get(id);
+            })
+            .filter(record => record !== undefined);
+    }
 
-            .container {
-                max-width: 1400px;
-                margin: 0 auto;
-                padding: 20px;
-                display: grid;
-                grid-template-columns: 350px 1fr;
-                grid-template-rows: auto auto 1fr;
-                gap: 20px;
-                height: 100vh;
-                grid-template-areas: 
-                    "header header"
-                    "input sprint-progress"
-                    "input main";
-            }
+    // Merge two versions of the activity log. It is only ever appended to, so records from both are kept.
+    mergeAuditLogs(base, ours, theirs) {
+        if (!Array.isArray(theirs)) return ours;
+        const seen = new Set();
+        return [...theirs, ...ours]
+            .filter(record => {
+                const key = JSON.stringify(record);
+                if (seen.has(key)) return false;
+                seen.add(key);
+                return true;
+            })
+            .sort((a, b) => String(a.at).localeCompare(String(b.at)))
+            .slice(-1000);
+    }
 
-            h1 {
-                grid-area: header;
-                text-align: center;
-                color: #2c3e50;
-                margin-bottom: 0;
-                font-size: 2.5em;
+    // Follow changes other tabs save: load them into this tracker, then call `callback(key, overridden)`.
+    // `overridden` is true when this tab's own change to a value that cannot be merged (settings, work week,
+    // Jira settings, current sprint) lost to another tab's.
+    watchExternalChanges(callback) {
+        this.externalChangeCallback = callback;
+        const storage = this.storage;
+        storage.watch((key, base) => {
+            // A storage this tracker moved away from keeps reporting; ignore it
+            if (storage !== this.storage) return;
+            const overridden = base !== undefined && !this.getMergedKeys().includes(key);
+            if (this.handleExternalChange(key, base)) {
+                callback(key, overridden);
             }
+        });
+    }
 
-            h2 {
-                color: #34495e;
-                margin-bottom: 15px;
-                border-bottom: 2px solid #3498db;
-                padding-bottom: 5px;
-                font-size: 1.3em;
-            }
+    // Keys whose saves are merged with other tabs' changes; the others are replaced whole
+    getMergedKeys() {
+        return [
+            'timeTrackerEntries', 'timeTrackerSprints', 'timeTrackerTemplates', 'timeTrackerTimers',
+            'timeTrackerCalendar', 'timeTrackerCategories', 'timeTrackerAuditLog'
+        ];
+    }
 
-            .input-section {
-                grid-area: input;
-                background: white;
-                padding: 20px;
-                border-radius: 8px;
-                box-shadow: 0 2px 10px rgba(0,0,0,0.1);
-                height: fit-content;
-                position: sticky;
-                top: 20px;
-                max-height: calc(100vh - 40px);
-                overflow-y: auto;
-            }
+    // Reload a value another tab changed (every value when key is null). Record lists are merged with this
+    // tab's records, against `base` when the storage says which value this tab's lost write replaced; other
+    // values are taken as they are. Returns false for keys the tracker does not hold.
+    handleExternalChange(key, base) {
+        if (key !== null && base !== undefined) {
+            this.syncedValues[key] = base;
+        }
+        const reloaders = this.getExternalChangeReloaders();
+
+        if (key === null) {
+            Object.values(reloaders).forEach(reload => reload());
+        } else if (reloaders[key]) {
+            reloaders[key]();
+        } else if (key !== 'timeTrackerCurrentSprint') {
+            return false;
+        }
 
-            .sprint-progress-section {
-                grid-area: sprint-progress;
-                background: white;
-                padding: 20px;
-                border-radius: 8px;
-                box-shadow: 0 2px 10px rgba(0,0,0,0.1);
-                height: fit-content;
-            }
+        // The current sprint follows both its own key and changes to the sprint records
+        if (key === null || key === 'timeTrackerCurrentSprint' || key === 'timeTrackerSprints') {
+            this.currentSprint = this.loadCurrentSprint();
+        }
+        return true;
+    }
 
-            .main-content {
-                grid-area: main;
-                display: flex;
-                flex-direction: column;
-                gap: 20px;
-                overflow: hidden;
-            }
+    // Take in whatever other tabs saved that this tab has not seen yet (the change event may still be on its way).
+    // Returns true when something was taken in.
+    syncExternalChanges() {
+        const changedKeys = [...Object.keys(this.getExternalChangeReloaders()), 'timeTrackerCurrentSprint']
+            .filter(key => key in this.syncedValues && this.storage.getItem(key) !== this.syncedValues[key]);
+        changedKeys.forEach(key => this.handleExternalChange(key));
+        return changedKeys.length > 0;
+    }
 
-            .entries-section, .summary-section {
-                background: white;
-                padding: 20px;
-                border-radius: 8px;
-                box-shadow: 0 2px 10px rgba(0,0,0,0.1);
+    // How to reload each key another tab may change
+    getExternalChangeReloaders() {
+        return {
+            timeTrackerEntries: () => { this.entries = this.syncRecords('timeTrackerEntries', this.entries); },
+            timeTrackerSprints: () => { this.sprints = this.syncRecords('timeTrackerSprints', this.sprints); },
+            timeTrackerTemplates: () => { this.templates = this.syncRecords('timeTrackerTemplates', this.templates); },
+            timeTrackerTimers: () => { this.timers = this.syncRecords('timeTrackerTimers', this.timers); },
+            timeTrackerSettings: () => { this.settings = this.loadSettings(); },
+            timeTrackerWorkWeek: () => { this.workWeek = this.loadWorkWeek(); },
+            timeTrackerCalendar: () => this.saveCalendar(),
+            timeTrackerCategories: () => this.saveCategories(),
+            timeTrackerAuditLog: () => this.saveAuditLog(),
+            timeTrackerJiraConfig: () => {
+                this.jiraConfig = this.loadJiraConfig();
+                this.jiraClient = JiraClient.create(this.jiraConfig);
             }
+        };
+    }
 
-            .entries-section {
-                flex: 1;
-                overflow: hidden;
-                display: flex;
-                flex-direction: column;
-            }
+    // Move an unreadable stored value aside, keeping the raw text so it can be downloaded and repaired
+    quarantine(key, raw, reason) {
+        const quarantined = this.getQuarantine();
+        quarantined.push({ key, raw, reason, quarantinedAt: new Date().toISOString() });
+        this.writeJSON('timeTrackerQuarantine', quarantined);
+        this.storage.removeItem(key);
+        console.error(`Saved data "${key}" could not be read and was set aside: ${reason}`);
+    }
 
-            #entriesList {
-                overflow-y: auto;
-                flex: 1;
-                max-height: 400px;
-            }
+    // Get the quarantined values ([{ key, raw, reason, quarantinedAt }])
+    getQuarantine() {
+        try {
+            const quarantined = JSON.parse(this.storage.getItem('timeTrackerQuarantine') || '[]');
+            return Array.isArray(quarantined) ? quarantined : [];
+        } catch (error) {
+            return [];
+        }
+    }
 
-            @media (max-width: 1024px) {
-                .container {
-                    grid-template-columns: 1fr;
-                    grid-template-rows: auto auto auto auto;
-                    grid-template-areas: 
-                        "header"
-                        "input"
-                        "sprint-progress"
-                        "main";
-                    height: auto;
+    // Delete the quarantined values
+    clearQuarantine() {
+        this.storage.removeItem('timeTrackerQuarantine');
+    }
+
+    // Schema migrations, oldest first. Each one upgrades the stored data from the previous version.
+    // Data saved before versioning existed is version 1.
+    getMigrations() {
+        return [
+            {
+                version: 2,
+                description: 'Store the current sprint as an id instead of a copy of the sprint',
+                migrate: () => {
+                    const current = this.readJSON('timeTrackerCurrentSprint', null);
+                    this.writeJSON('timeTrackerCurrentSprint', current && typeof current === 'object' ? current.id : current);
                 }
-                
-                .input-section {
-                    position: static;
-                    max-height: none;
+            },
+            {
+                version: 3,
+                description: 'Normalize entry and sprint fields; set aside records that are not objects',
+                migrate: () => {
+                    const entries = this.readJSON('timeTrackerEntries', [], Array.isArray);
+                    const sprints = this.readJSON('timeTrackerSprints', [], Array.isArray);
+                    const isRecord = record => record && typeof record === 'object';
+
+                    const badRecords = [...entries, ...sprints].filter(record => !isRecord(record));
+                    if (badRecords.length > 0) {
+                        this.quarantine('timeTrackerInvalidRecords', JSON.stringify(badRecords), 'Records that are not objects');
+                    }
+
+                    const migratedEntries = entries.filter(isRecord).map(entry => {
+                        const migrated = {
+                            ...entry,
+                            date: this.formatDate(entry.date),
+                            jiraId: String(entry.jiraId || '').trim(),
+                            timeSpent: parseFloat(entry.timeSpent),
+                            workDone: String(entry.workDone || '')
+                        };
+                        if (migrated.type === 'task') delete migrated.type;
+                        if (Array.isArray(migrated.tags) && migrated.tags.length === 0) delete migrated.tags;
+                        return migrated;
+                    });
+                    const migratedSprints = sprints.filter(isRecord).map(sprint => ({
+                        ...sprint,
+                        name: String(sprint.name || '').trim(),
+                        startDate: this.formatDate(sprint.startDate),
+                        endDate: this.formatDate(sprint.endDate)
+                    }));
+
+                    this.writeJSON('timeTrackerEntries', migratedEntries);
+                    this.writeJSON('timeTrackerSprints', migratedSprints);
                 }
-                
-                .main-content {
-                    overflow: visible;
+            },
+            {
+                version: 4,
+                description: 'Replace numeric Date.now() IDs with string IDs, giving duplicates new ones',
+                migrate: () => {
+                    const sprintIdMap = new Map();
+                    const sprints = this.migrateIds(this.readJSON('timeTrackerSprints', [], Array.isArray), sprintIdMap);
+                    // Entries of a missing sprint keep their sprint ID so the integrity check can report them
+                    const entries = this.migrateIds(this.readJSON('timeTrackerEntries', [], Array.isArray)).map(entry => ({
+                        ...entry,
+                        sprintId: sprintIdMap.has(entry.sprintId) ? sprintIdMap.get(entry.sprintId) : String(entry.sprintId)
+                    }));
+                    const currentSprintId = this.readJSON('timeTrackerCurrentSprint', null);
+                    const calendar = this.readJSON('timeTrackerCalendar', {}, isPlainObject);
+
+                    this.writeJSON('timeTrackerSprints', sprints);
+                    this.writeJSON('timeTrackerEntries', entries);
+                    this.writeJSON('timeTrackerCurrentSprint', sprintIdMap.has(currentSprintId) ? sprintIdMap.get(currentSprintId) : null);
+                    this.writeJSON('timeTrackerTemplates', this.migrateIds(this.readJSON('timeTrackerTemplates', [], Array.isArray)));
+                    this.writeJSON('timeTrackerTimers', this.migrateIds(this.readJSON('timeTrackerTimers', [], Array.isArray)));
+                    if (Array.isArray(calendar.holidaySets)) {
+                        this.writeJSON('timeTrackerCalendar', { ...calendar, holidaySets: this.migrateIds(calendar.holidaySets) });
+                    }
                 }
-                
-                #entriesList {
-                    max-height: 300px;
+            },
+            {
+                version: 5,
+                description: 'Record whether each sprint end date was set by hand or calculated',
+                migrate: () => {
+                    // Calculated end dates are compared using the saved work week and holidays
+                    this.settings = this.loadSettings();
+                    this.workWeek = this.loadWorkWeek();
+                    this.calendar = this.loadCalendar();
+
+                    // The end date may have been calculated before today's holidays, PTO or work week were saved
+                    // (older versions also recalculated every end date on start), so it counts as calculated when it
+                    // matches the working days under any of them. An out-of-date one is then offered for recalculation.
+                    const rules = [
+                        { calendar: this.calendar, workWeek: this.workWeek },
+                        { calendar: { holidaySets: [], pto: [] }, workWeek: this.workWeek },
+                        { calendar: { holidaySets: [], pto: [] }, workWeek: this.normalizeWorkWeek({}) }
+                    ];
+                    const saved = { calendar: this.calendar, workWeek: this.workWeek };
+                    const isCalculated = sprint => rules.some(rule => {
+                        Object.assign(this, rule);
+                        const calculated = this.getComputedEndDate(sprint);
+                        Object.assign(this, saved);
+                        return sprint.endDate === calculated;
+                    });
+
+                    const sprints = this.readJSON('timeTrackerSprints', [], Array.isArray).map(sprint => ({
+                        ...sprint,
+                        endDateMode: isCalculated(sprint) ? 'computed' : 'manual'
+                    }));
+                    this.writeJSON('timeTrackerSprints', sprints);
                 }
             }
+        ];
+    }
 
-            .form-group {
-                margin-bottom: 15px;
-            }
+    // Give records unique string IDs, keeping existing ones where possible.
+    // `idMap` receives old ID -> new ID for the first record with each old ID.
+    migrateIds(records, idMap = new Map()) {
+        const usedIds = new Set();
+        return records.map(record => {
+            const id = this.getAvailableId(record.id, usedIds);
+            if (!idMap.has(record.id)) idMap.set(record.id, id);
+            return { ...record, id };
+        });
+    }
 
-            label {
-                display: block;
-                margin-bottom: 5px;
-                font-weight: bold;
-                color: #555;
-            }
+    // Upgrade stored data to SCHEMA_VERSION. A failing migration stops the run and is reported;
+    // the data stays at the last version that migrated cleanly.
+    runMigrations() {
+        const saved = parseInt(this.storage.getItem('timeTrackerSchemaVersion'), 10);
+        const hasData = this.storage.getItem('timeTrackerEntries') !== null || this.storage.getItem('timeTrackerSprints') !== null;
+        let version = saved || (hasData ? 1 : this.SCHEMA_VERSION);
+
+        if (version > this.SCHEMA_VERSION) {
+            this.storageIssues.push({
+                key: 'timeTrackerSchemaVersion',
+                message: `Saved data is from a newer version of the app (schema ${version}); some features may not work`
+            });
+            return;
+        }
 
-            input {
-                width: 100%;
-                padding: 10px;
-                border: 2px solid #ddd;
-                border-radius: 4px;
-                font-size: 16px;
-                transition: border-color 0.3s;
+        for (const migration of this.getMigrations()) {
+            if (migration.version <= version) continue;
+            try {
+                migration.migrate();
+                version = migration.version;
+            } catch (error) {
+                this.storageIssues.push({
+                    key: 'timeTrackerSchemaVersion',
+                    message: `Upgrading saved data failed at "${migration.description}": ${error.message}`
+                });
+                break;
             }
+        }
 
-            textarea {
-                width: 100%;
-                padding: 10px;
-                border: 2px solid #ddd;
-                border-radius: 4px;
-                font-size: 16px;
-                transition: border-color 0.3s;
-                font-family: inherit;
-                resize: vertical;
-                min-height: 80px;
-            }
+        this.storage.setItem('timeTrackerSchemaVersion', String(version));
+    }
 
-            input:focus, textarea:focus {
-                outline: none;
-                border-color: #3498db;
-            }
+    // Copy every saved value to another storage backend and use it from now on
+    async moveToStorage(target) {
+        this.storage.keys()
+            .filter(key => key.startsWith('timeTracker') && key !== 'timeTrackerStorageBackend')
+            .forEach(key => target.setItem(key, this.storage.getItem(key)));
+        await target.flush();
+        this.storage = target;
+        if (this.externalChangeCallback) {
+            this.watchExternalChanges(this.externalChangeCallback);
+        }
+    }
 
-            button {
-                background-color: #3498db;
-                color: white;
-                padding: 12px 24px;
-                border: none;
-                border-radius: 4px;
-                cursor: pointer;
-                font-size: 16px;
-                transition: background-color 0.3s;
-            }
+    // Load entries from storage
+    loadEntries() {
+        return this.readJSON('timeTrackerEntries', [], Array.isArray);
+    }
 
-            button:hover {
-                background-color: #2980b9;
-            }
+    // Load sprints from storage
+    loadSprints() {
+        return this.readJSON('timeTrackerSprints', [], Array.isArray);
+    }
 
-            .danger-btn {
-                background-color: #e74c3c;
-            }
+    // Load current sprint from storage (saved as its id)
+    loadCurrentSprint() {
+        const sprintId = this.readJSON('timeTrackerCurrentSprint', null);
+        return this.sprints.find(sprint => sprint.id === sprintId) || null;
+    }
 
-            .danger-btn:hover {
-                background-color: #c0392b;
-            }
+    // Save entries to storage
+    saveEntries() {
+        this.entries = this.syncRecords('timeTrackerEntries', this.entries);
+    }
 
-            .progress-bar {
-                width: 100%;
-                height: 30px;
-                background-color: #ecf0f1;
-                border-radius: 15px;
-                overflow: hidden;
-                margin: 10px 0;
-            }
+    // Save sprints to storage
+    saveSprints() {
+        this.sprints = this.syncRecords('timeTrackerSprints', this.sprints);
+        // Another tab's version of the current sprint may have been merged in
+        if (this.currentSprint) {
+            this.currentSprint = this.sprints.find(sprint => sprint.id === this.currentSprint.id) || null;
+        }
+    }
 
-            .progress-fill {
-                height: 100%;
-                background: linear-gradient(90deg, #27ae60, #2ecc71);
-                transition: width 0.3s ease;
-                display: flex;
-                align-items: center;
-                justify-content: center;
-                color: white;
-                font-weight: bold;
-            }
+    // Save current sprint to storage
+    saveCurrentSprint() {
+        this.writeJSON('timeTrackerCurrentSprint', this.currentSprint ? this.currentSprint.id : null);
+    }
 
-            .entry-item {
-                background-color: #f8f9fa;
-                padding: 15px;
-                margin-bottom: 10px;
-                border-radius: 6px;
-                border-left: 4px solid #3498db;
-                display: flex;
-                justify-content: space-between;
-                align-items: center;
-            }
+    // Load default capacity settings from storage (falls back to the built-in 8h x 10 days)
+    loadSettings() {
+        const defaults = {
+            hoursPerDay: this.WORK_DAY_HOURS,
+            workingDays: this.SPRINT_DAYS,
+            targetHours: this.SPRINT_TOTAL_HOURS,
+            workdayEnd: '17:00', // Running timers warn after this time
+            leaveReducesCapacity: true, // Leave lowers the sprint target instead of counting as logged work
+            dailyHourLimit: 24, // Hard cap on the hours logged on one day
+            entryIncrement: 0.25, // Entries must be a multiple of this many hours
+            reminderTime: '', // Time of day for the "nothing logged today" notification; empty = off
+            userName: '' // Shown as "who" in the activity log
+        };
+        return { ...defaults, ...this.readJSON('timeTrackerSettings', {}, isPlainObject) };
+    }
 
-            .entry-info {
-                flex: 1;
-            }
+    // Save default capacity settings to storage
+    saveSettings() {
+        this.writeJSON('timeTrackerSettings', this.settings);
+    }
 
-            .entry-actions {
-                margin-left: 15px;
-            }
+    // Update the default capacity used for new sprints
+    updateSettings(changes) {
+        this.settings = this.buildSettings(changes);
+        this.saveSettings();
+        return this.settings;
+    }
 
-            .delete-btn {
-                background-color: #e74c3c;
-                padding: 6px 12px;
-                font-size: 14px;
-            }
+    // Validate settings changes and return the resulting settings without saving them
+    buildSettings(changes) {
+        const settings = { ...this.settings, ...changes };
+        if (!/^([01]\d|2[0-3]):[0-5]\d$/.test(settings.workdayEnd)) {
+            throw new Error('Workday end must be a time like 17:00');
+        }
 
-            .stats-grid {
-                display: grid;
-                grid-template-columns: repeat(auto-fit, minmax(200px, 1fr));
-                gap: 15px;
-                margin-top: 15px;
-            }
+        if (settings.reminderTime && !/^([01]\d|2[0-3]):[0-5]\d$/.test(settings.reminderTime)) {
+            throw new Error('Reminder time must be a time like 16:30');
+        }
 
-            .stat-card {
-                background-color: #f8f9fa;
-                padding: 15px;
-                border-radius: 6px;
-                text-align: center;
-                border-top: 3px solid #3498db;
-            }
+        settings.dailyHourLimit = parseFloat(settings.dailyHourLimit);
+        if (isNaN(settings.dailyHourLimit) || settings.dailyHourLimit <= 0 || settings.dailyHourLimit > 24) {
+            throw new Error('Daily hour limit must be between 0 and 24');
+        }
+        settings.entryIncrement = parseFloat(settings.entryIncrement);
+        if (isNaN(settings.entryIncrement) || settings.entryIncrement <= 0 || settings.entryIncrement > settings.dailyHourLimit) {
+            throw new Error('Entry increment must be a positive number of hours');
+        }
 
-            .stat-number {
-                font-size: 2em;
-                font-weight: bold;
-                color: #2c3e50;
-            }
+        settings.userName = String(settings.userName || '').trim();
 
-            .stat-label {
-                color: #7f8c8d;
-                margin-top: 5px;
-            }
+        return { ...settings, ...this.normalizeCapacity(settings) };
+    }
 
-            .controls {
-                margin-bottom: 15px;
-            }
+    // Save the settings form: settings changes, work week and categories. Everything is validated
+    // before anything is saved, so an invalid field leaves all three as they were.
+    updateAllSettings({ settings, workWeek, categories }) {
+        const newSettings = this.buildSettings(settings);
+        const newWorkWeek = this.normalizeWorkWeek(workWeek);
+
+        this.settings = newSettings;
+        this.saveSettings();
+        this.workWeek = newWorkWeek;
+        this.saveWorkWeek();
+        this.updateCategories(categories);
+    }
 
-            .no-entries {
-                text-align: center;
-                color: #7f8c8d;
-                padding: 40px;
-                font-style: italic;
-            }
+    // Fill in and validate capacity settings (hours/day, working days, target hours)
+    normalizeCapacity(capacity = {}) {
+        const hoursPerDay = parseFloat(capacity.hoursPerDay !== undefined && capacity.hoursPerDay !== '' ?
+            capacity.hoursPerDay : this.settings.hoursPerDay);
+        const workingDays = parseInt(capacity.workingDays !== undefined && capacity.workingDays !== '' ?
+            capacity.workingDays : this.settings.workingDays, 10);
 
-            .secondary-btn {
-                background-color: #95a5a6;
-                margin-right: 10px;
-                margin-bottom: 10px;
-            }
+        if (isNaN(hoursPerDay) || hoursPerDay <= 0 || hoursPerDay > 24) {
+            throw new Error('Hours per day must be between 0 and 24');
+        }
+        if (isNaN(workingDays) || workingDays < 1) {
+            throw new Error('Working days must be at least 1');
+        }
 
-            .secondary-btn:hover {
-                background-color: #7f8c8d;
-            }
+        // Target defaults to the full capacity of the sprint
+        const targetHours = capacity.targetHours !== undefined && capacity.targetHours !== '' ?
+            parseFloat(capacity.targetHours) : hoursPerDay * workingDays;
+        if (isNaN(targetHours) || targetHours <= 0) {
+            throw new Error('Target hours must be a positive number');
+        }
 
-            .sprint-management {
-                margin-bottom: 20px;
-                padding-bottom: 20px;
-                border-bottom: 1px solid #eee;
-            }
+        return { hoursPerDay, workingDays, targetHours };
+    }
 
-            .time-entry {
-                margin-top: 20px;
+    // Get the capacity of a sprint; sprints created before capacity existed use the defaults
+    getSprintCapacity(sprint) {
+        const { hoursPerDay, workingDays, targetHours } = this.settings;
+        return { hoursPerDay, workingDays, targetHours, ...(sprint && sprint.capacity) };
+    }
+
+    // Find the sprint covering a date, preferring the current sprint
+    findSprintForDate(date) {
+        if (this.currentSprint && this.isDateInSprintPeriod(date, this.currentSprint)) {
+            return this.currentSprint;
+        }
+        return this.sprints.find(sprint => this.isDateInSprintPeriod(date, sprint)) || null;
+    }
+
+    // Load the work week (working weekdays and optional hours per weekday) from storage
+    loadWorkWeek() {
+        return this.normalizeWorkWeek(this.readJSON('timeTrackerWorkWeek', {}, isPlainObject));
+    }
+
+    // Save the work week to storage
+    saveWorkWeek() {
+        this.writeJSON('timeTrackerWorkWeek', this.workWeek);
+    }
+
+    // Fill in and validate a work week. `days` are weekday numbers (0 = Sunday ... 6 = Saturday);
+    // `hoursByDay` optionally overrides the sprint's hours/day for individual weekdays.
+    normalizeWorkWeek(workWeek = {}) {
+        const days = [...new Set((workWeek.days || [1, 2, 3, 4, 5]).map(Number))]
+            .filter(day => day >= 0 && day <= 6)
+            .sort((a, b) => a - b);
+        if (days.length === 0) {
+            throw new Error('The work week needs at least one working day');
+        }
+
+        const hoursByDay = {};
+        Object.entries(workWeek.hoursByDay || {}).forEach(([day, hours]) => {
+            if (hours === '' || hours === null || hours === undefined) return;
+            const value = parseFloat(hours);
+            if (isNaN(value) || value <= 0 || value > 24) {
+                throw new Error('Hours per weekday must be between 0 and 24');
+            }
+            if (days.includes(Number(day))) {
+                hoursByDay[day] = value;
             }
+        });
 
-            .modal {
-                position: fixed;
-                z-index: 1000;
-                left: 0;
-                top: 0;
-                width: 100%;
-                height: 100%;
-                background-color: rgba(0,0,0,0.5);
-                display: flex;
-                align-items: center;
-                justify-content: center;
+        return { days, hoursByDay };
+    }
+
+    // Replace the work week used by every working-day check
+    updateWorkWeek(workWeek) {
+        this.workWeek = this.normalizeWorkWeek(workWeek);
+        this.saveWorkWeek();
+        return this.workWeek;
+    }
+
+    // Describe the working weekdays for messages, e.g. "Monday to Friday" or "Monday, Wednesday"
+    describeWorkWeek() {
+        const names = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+        const days = this.workWeek.days;
+        const isRange = days.length >= 3 && days.every((day, i) => i === 0 || day === days[i - 1] + 1);
+        return isRange ?
+            `${names[days[0]]} to ${names[days[days.length - 1]]}` :
+            days.map(day => names[day]).join(', ');
+    }
+
+    // Check if a date falls on one of the work week's days (ignores holidays and PTO)
+    isWorkingWeekday(date) {
+        return this.workWeek.days.includes(LocalDate.getDay(date));
+    }
+
+    // Check if a date is a working day: a work week day that is neither a holiday nor PTO
+    isWorkingDay(date) {
+        return this.isWorkingWeekday(date) && !this.getDayOff(date);
+    }
+
+    // Get the hours expected on a date: 0 on days off, the weekday override, or the sprint's hours/day
+    getHoursForDate(date, sprint = this.findSprintForDate(date)) {
+        if (!this.isWorkingDay(date)) return 0;
+
+        const override = this.workWeek.hoursByDay[LocalDate.getDay(date)];
+        return override !== undefined ? override : this.getSprintCapacity(sprint).hoursPerDay;
+    }
+
+    // Load the non-working days calendar (holiday sets and personal PTO) from storage
+    loadCalendar() {
+        const calendar = this.readJSON('timeTrackerCalendar', {}, isPlainObject);
+        return {
+            holidaySets: calendar.holidaySets || [],
+            pto: calendar.pto || []
+        };
+    }
+
+    // Save the non-working days calendar to storage, merging holiday sets (by id) and PTO days (by date)
+    // with another tab's changes
+    saveCalendar() {
+        this.calendar = this.syncValue('timeTrackerCalendar', this.calendar, (base, ours, theirs) => {
+            if (!isPlainObject(theirs)) return ours;
+            const previous = isPlainObject(base) ? base : {};
+            return {
+                holidaySets: this.mergeRecordLists(previous.holidaySets || [], ours.holidaySets, theirs.holidaySets || []),
+                pto: this.mergeRecordLists(previous.pto || [], ours.pto, theirs.pto || [], day => day.date)
+                    .sort((a, b) => a.date.localeCompare(b.date))
+            };
+        });
+    }
+
+    // Add a named set of holidays ([{ date, name }]); sets can be toggled on and off as a whole
+    addHolidaySet(name, days) {
+        if (!name || !name.trim()) {
+            throw new Error('Holiday set name is required');
+        }
+
+        const set = {
+            id: generateId(),
+            name: name.trim(),
+            enabled: true,
+            days: days
+                .filter(day => day && /^\d{4}-\d{2}-\d{2}$/.test(day.date))
+                .map(day => ({ date: day.date, name: (day.name || 'Holiday').trim() }))
+                .sort((a, b) => a.date.localeCompare(b.date))
+        };
+
+        this.calendar.holidaySets.push(set);
+        this.saveCalendar();
+        return set;
+    }
+
+    // Enable or disable a holiday set
+    setHolidaySetEnabled(setId, enabled) {
+        const set = this.calendar.holidaySets.find(s => s.id === setId);
+        if (!set) return false;
+        set.enabled = enabled;
+        this.saveCalendar();
+        return true;
+    }
+
+    // Remove a holiday set
+    deleteHolidaySet(setId) {
+        const index = this.calendar.holidaySets.findIndex(s => s.id === setId);
+        if (index === -1) return false;
+        this.calendar.holidaySets.splice(index, 1);
+        this.saveCalendar();
+        return true;
+    }
+
+    // Import holidays from iCalendar (.ics) text as a new holiday set
+    importHolidaysFromICS(name, icsText) {
+        const days = this.parseICS(icsText);
+        if (days.length === 0) {
+            throw new Error('No events found in the calendar file');
+        }
+        return this.addHolidaySet(name, days);
+    }
+
+    // Parse all-day (and timed) VEVENTs from iCalendar text into [{ date, name }].
+    // Multi-day events are expanded; recurrence rules (RRULE) are not.
+    parseICS(icsText) {
+        // Unfold continuation lines (lines starting with a space or tab belong to the previous one)
+        const lines = icsText.replace(/\r?\n[ \t]/g, '').split(/\r?\n/);
+        const days = [];
+        let event = null;
+
+        lines.forEach(line => {
+            if (line === 'BEGIN:VEVENT') {
+                event = {};
+            } else if (line === 'END:VEVENT') {
+                if (event && event.start) {
+                    const name = event.summary || 'Holiday';
+                    let date = event.start;
+                    // DTEND is exclusive; a missing or equal end means a single day
+                    do {
+                        days.push({ date, name });
+                        date = LocalDate.addDays(date, 1);
+                    } while (event.end && date < event.end);
+                }
+                event = null;
+            } else if (event) {
+                const separator = line.indexOf(':');
+                if (separator === -1) return;
+                const property = line.slice(0, separator).split(';')[0].toUpperCase();
+                const value = line.slice(separator + 1);
+
+                if (property === 'DTSTART') {
+                    event.start = this.parseICSDate(value);
+                } else if (property === 'DTEND') {
+                    event.end = this.parseICSDate(value);
+                } else if (property === 'SUMMARY') {
+                    event.summary = value.replace(/\\([,;\\])/g, '$1').replace(/\\n/gi, ' ').trim();
+                }
             }
+        });
 
-            .modal-content {
-                background-color: white;
-                padding: 20px;
-                border-radius: 8px;
-                width: 90%;
-                max-width: 500px;
-                max-height: 80%;
-                overflow-y: auto;
-                position: relative;
+        return days;
+    }
+
+    // Convert an iCalendar DATE or DATE-TIME value to YYYY-MM-DD
+    parseICSDate(value) {
+        const match = value.match(/^(\d{4})(\d{2})(\d{2})/);
+        return match ? `${match[1]}-${match[2]}-${match[3]}` : null;
+    }
+
+    // Add a personal day off
+    addPTO(date, note = '') {
+        const formattedDate = this.formatDate(date);
+        if (!formattedDate) {
+            throw new Error('PTO date is required');
+        }
+        if (this.calendar.pto.some(day => day.date === formattedDate)) {
+            throw new Error(`${formattedDate} is already marked as PTO`);
+        }
+
+        const day = { date: formattedDate, note: note.trim() };
+        this.calendar.pto.push(day);
+        this.calendar.pto.sort((a, b) => a.date.localeCompare(b.date));
+        this.saveCalendar();
+        return day;
+    }
+
+    // Remove a personal day off
+    deletePTO(date) {
+        const index = this.calendar.pto.findIndex(day => day.date === this.formatDate(date));
+        if (index === -1) return false;
+        this.calendar.pto.splice(index, 1);
+        this.saveCalendar();
+        return true;
+    }
+
+    // Get the holiday or PTO falling on a date, or null when the date is not a day off
+    getDayOff(date) {
+        const formattedDate = this.formatDate(date);
+
+        const pto = this.calendar.pto.find(day => day.date === formattedDate);
+        if (pto) {
+            return { type: 'pto', name: pto.note || 'PTO' };
+        }
+
+        for (const set of this.calendar.holidaySets) {
+            if (!set.enabled) continue;
+            const holiday = set.days.find(day => day.date === formattedDate);
+            if (holiday) {
+                return { type: 'holiday', name: holiday.name };
             }
+        }
 
-            .close {
-                position: absolute;
-                right: 15px;
-                top: 15px;
-                font-size: 28px;
-                font-weight: bold;
-                cursor: pointer;
+        return null;
+    }
+
+    // Count working days (work week days that are neither holidays nor PTO) between two dates, inclusive
+    countAvailableDays(startDate, endDate) {
+        let count = 0;
+        const end = this.formatDate(endDate);
+
+        for (let current = this.formatDate(startDate); current <= end; current = LocalDate.addDays(current, 1)) {
+            if (this.isWorkingDay(current)) {
+                count++;
             }
+        }
+
+        return count;
+    }
+
+    // Get the hours a sprint can actually be worked: its target, capped at the hours of its available days,
+    // minus leave logged in the sprint when leave reduces capacity
+    getSprintAvailableHours(sprint) {
+        const capacity = this.getSprintCapacity(sprint);
+        if (!sprint) return capacity.targetHours;
+
+        let availableHours = 0;
+        for (let current = sprint.startDate; current <= sprint.endDate; current = LocalDate.addDays(current, 1)) {
+            availableHours += this.getHoursForDate(current, sprint);
+        }
+
+        const leaveHours = this.settings.leaveReducesCapacity ? this.getSprintLeaveHours(sprint.id) : 0;
+        return Math.max(0, Math.min(capacity.targetHours, availableHours) - leaveHours);
+    }
+
+    // Get the leave hours logged in a sprint
+    getSprintLeaveHours(sprintId) {
+        return this.getSprintEntries(sprintId)
+            .filter(entry => this.getEntryType(entry) === 'leave')
+            .reduce((sum, entry) => sum + entry.timeSpent, 0);
+    }
+
+    // Load Jira connection settings from storage
+    loadJiraConfig() {
+        return this.readJSON('timeTrackerJiraConfig', null, config => config === null || isPlainObject(config));
+    }
+
+    // Save Jira connection settings and rebuild the client
+    setJiraConfig(config) {
+        this.jiraConfig = config;
+        this.writeJSON('timeTrackerJiraConfig', config);
+        this.jiraClient = JiraClient.create(config);
+        this.resetForeignWorklogs();
+    }
+
+    // Use a specific Jira client (e.g. a MockJiraClient) without touching saved settings
+    setJiraClient(client) {
+        this.jiraClient = client;
+        this.resetForeignWorklogs();
+    }
+
+    // Queue entries synced to another Jira site for a fresh sync to the current one, since their
+    // worklog IDs mean nothing there. Entries stay as they are while Jira is disconnected.
+    resetForeignWorklogs() {
+        if (!this.jiraClient) return;
+
+        const foreign = this.entries.filter(entry => entry.worklogSite !== undefined && entry.worklogSite !== this.jiraClient.site);
+        foreign.forEach(entry => {
+            delete entry.worklogId;
+            delete entry.worklogSite;
+            delete entry.syncedAt;
+            delete entry.syncError;
+            entry.syncStatus = 'pending';
+        });
+        if (foreign.length > 0) {
+            this.saveEntries();
+        }
+    }
+
+    // Create a new sprint. Capacity defaults to the saved settings; a missing end date is calculated from it.
+    createSprint(name, startDate, endDate, capacity = {}) {
+        const sprintCapacity = this.normalizeCapacity(capacity);
+        const sprint = {
+            id: generateId(),
+            name: name.trim(),
+            startDate: this.formatDate(startDate),
+            endDate: endDate ? this.formatDate(endDate) : this.calculateSprintEndDate(startDate, sprintCapacity.workingDays),
+            endDateMode: endDate ? 'manual' : 'computed', // Only computed end dates are ever recalculated
+            capacity: sprintCapacity,
+            createdAt: new Date().toISOString()
+        };
+
+        this.sprints.push(sprint);
+        this.saveSprints();
+        return sprint;
+    }
+
+    // Update a sprint's name, dates or capacity. Entries that no longer fit the new dates need an
+    // entry policy: { action: 'move', targetSprintId } or { action: 'delete' }.
+    updateSprint(sprintId, changes, entryPolicy = null) {
+        const sprint = this.sprints.find(s => s.id === sprintId);
+        if (!sprint) {
+            throw new Error('Sprint not found');
+        }
+
+        const updated = this.buildSprintChanges(sprint, changes);
+        const conflicts = this.getSprintEntryConflicts(sprintId, updated);
+        if (conflicts.length > 0 && !entryPolicy) {
+            throw new Error(`${conflicts.length} entries no longer fit the sprint dates. Move or delete them to continue.`);
+        }
+        this.applyEntryPolicy(conflicts, entryPolicy, sprintId);
+
+        Object.assign(sprint, updated, { updatedAt: new Date().toISOString() });
+        if (this.currentSprint && this.currentSprint.id === sprintId) {
+            this.currentSprint = sprint;
+            this.saveCurrentSprint();
+        }
+
+        this.saveSprints();
+        return sprint;
+    }
+
+    // Validate sprint changes and return the resulting name, dates and capacity
+    buildSprintChanges(sprint, changes) {
+        const name = (changes.name !== undefined ? changes.name : sprint.name).trim();
+        const startDate = this.formatDate(changes.startDate || sprint.startDate);
+        const capacity = changes.capacity ?
+            this.normalizeCapacity({ ...this.getSprintCapacity(sprint), ...changes.capacity }) :
+            this.getSprintCapacity(sprint);
+        // An empty end date is computed from the working days, like in createSprint, and a given one is manual.
+        // A computed end date also follows changes to the start date and working days.
+        const datesChanged = startDate !== sprint.startDate || capacity.workingDays !== this.getSprintCapacity(sprint).workingDays;
+        let endDateMode = sprint.endDateMode || 'manual';
+        let endDate = sprint.endDate;
+        if (changes.endDate === '' || (changes.endDate === undefined && endDateMode === 'computed' && datesChanged)) {
+            endDateMode = 'computed';
+            endDate = this.calculateSprintEndDate(startDate, capacity.workingDays);
+        } else if (changes.endDate !== undefined) {
+            endDateMode = 'manual';
+            endDate = this.formatDate(changes.endDate);
+        }
+
+        if (!name) {
+            throw new Error('Sprint name is required');
+        }
+        if (endDate < startDate) {
+            throw new Error('Sprint end date must not be before its start date');
+        }
+
+        return { name, startDate, endDate, endDateMode, capacity };
+    }
+
+    // Get the entries of a sprint that the given changes would leave outside its dates. Only the dates are
+    // checked, and entries already outside them are left to checkIntegrity(), so renaming a sprint never conflicts.
+    getSprintEntryConflicts(sprintId, changes) {
+        const sprint = this.sprints.find(s => s.id === sprintId);
+        const updated = { ...sprint, ...changes };
+        return this.getSprintEntries(sprintId).filter(entry =>
+            this.isDateInSprintPeriod(entry.date, sprint, true) && !this.isDateInSprintPeriod(entry.date, updated, true));
+    }
+
+    // Move entries to another sprint or delete them. Moves are all-or-nothing: every entry must fall within the target's dates.
+    applyEntryPolicy(entries, entryPolicy, sourceSprintId) {
+        if (entries.length === 0) return;
+
+        if (entryPolicy.action === 'move') {
+            const target = this.sprints.find(s => s.id === entryPolicy.targetSprintId);
+            if (!target || target.id === sourceSprintId) {
+                throw new Error('Choose another sprint to move the entries to');
+            }
+
+            const misfit = entries.find(entry => !this.isDateInSprintPeriod(entry.date, target, true));
+            if (misfit) {
+                throw new Error(`The entry on ${misfit.date} (${misfit.jiraId || misfit.workDone}) does not fit in "${target.name}" (${target.startDate} to ${target.endDate})`);
+            }
+
+            entries.forEach(entry => { entry.sprintId = target.id; });
+        } else if (entryPolicy.action === 'delete') {
+            this.entries = this.entries.filter(entry => !entries.includes(entry));
+        } else {
+            throw new Error(`Unknown entry policy "${entryPolicy.action}"`);
+        }
+
+        this.saveEntries();
+    }
+
+    // Archive or restore a sprint. Archived sprints are hidden from the sprint list but keep their entries.
+    setSprintArchived(sprintId, archived = true) {
+        const sprint = this.sprints.find(s => s.id === sprintId);
+        if (!sprint) {
+            throw new Error('Sprint not found');
+        }
+
+        if (archived) {
+            sprint.archived = true;
+            if (this.currentSprint && this.currentSprint.id === sprintId) {
+                this.currentSprint = null;
+                this.saveCurrentSprint();
+            }
+        } else {
+            delete sprint.archived;
+        }
+
+        this.saveSprints();
+        return sprint;
+    }
+
+    // Delete a sprint. A sprint with entries needs an entry policy so entries are never orphaned.
+    deleteSprint(sprintId, entryPolicy = null) {
+        const sprint = this.sprints.find(s => s.id === sprintId);
+        if (!sprint) {
+            throw new Error('Sprint not found');
+        }
+
+        const entries = this.getSprintEntries(sprintId);
+        if (entries.length > 0 && !entryPolicy) {
+            throw new Error(`Sprint "${sprint.name}" has ${entries.length} entries. Move or delete them to continue.`);
+        }
+        this.applyEntryPolicy(entries, entryPolicy, sprintId);
+
+        this.sprints = this.sprints.filter(s => s.id !== sprintId);
+        if (this.currentSprint && this.currentSprint.id === sprintId) {
+            this.currentSprint = null;
+            this.saveCurrentSprint();
+        }
+
+        this.saveSprints();
+        return sprint;
+    }
+
+    // Set current active sprint
+    setCurrentSprint(sprintId) {
+        const sprint = this.sprints.find(s => s.id === sprintId);
+        if (sprint) {
+            this.currentSprint = sprint;
+            this.saveCurrentSprint();
+            return true;
+        }
+        return false;
+    }
+
+    // Get current sprint info
+    getCurrentSprint() {
+        return this.currentSprint;
+    }
+
+    // Calculate sprint end date (N working days from start date, including both start and end)
+    calculateSprintEndDate(startDate, workingDays = this.settings.workingDays) {
+        let workDays = 1; // Start counting from 1 since start date is day 1
+        let current = this.formatDate(startDate);
+
+        // If start date is outside the work week, this shouldn't happen in normal usage
+        if (!this.isWorkingWeekday(current)) {
+            throw new Error(`Sprint start date must be a working day (${this.describeWorkWeek()})`);
+        }
+
+        const startDayOff = this.getDayOff(current);
+        if (startDayOff) {
+            throw new Error(`Sprint start date is a day off (${startDayOff.name})`);
+        }
+
+        // Count working days to reach exactly the requested number of working days
+        while (workDays < workingDays) {
+            // Move to next day
+            current = LocalDate.addDays(current, 1);
+            
+            // Skip days outside the work week, holidays and PTO
+            if (this.isWorkingDay(current)) {
+                workDays++;
+            }
+        }
+
+        // Ensure we have exactly the requested working days including start and end
+        return current;
+    }
+
+    // Validate entry fields (required fields, positive hours, working day within sprint).
+    // Overtime entries may fall on weekends, holidays and PTO days, but still within the sprint.
+    validateEntry(date, jiraId, timeSpent, workDone, sprint, allowPastDates = false, overtime = false, type = 'task') {
+        if (!this.ENTRY_TYPES[type]) {
+            throw new Error(`Unknown entry type "${type}"`);
+        }
+
+        if (!date || !timeSpent || !workDone || (type === 'task' && !(jiraId && jiraId.trim()))) {
+            throw new Error(type === 'task' ?
+                'All fields are required: date, Jira ID, time spent, and work done' :
+                'All fields are required: date, time spent, and work done');
+        }
+
+        if (isNaN(timeSpent) || timeSpent <= 0) {
+            throw new Error('Time spent must be a positive number');
+        }
+
+        if (!this.isValidIncrement(timeSpent)) {
+            throw new Error(`Time spent must be a multiple of ${this.settings.entryIncrement} hours`);
+        }
+
+        if (!sprint) {
+            throw new Error('No active sprint selected. Please create or select a sprint first.');
+        }
+
+        if (!overtime) {
+            // Check if the date is a working day of the work week
+            if (!this.isWorkingWeekday(date)) {
+                throw new Error(`Time entries can only be added for working days (${this.describeWorkWeek()}). Mark the entry as overtime to log it anyway.`);
+            }
+
+            // Check the date is not a holiday or PTO day
+            const dayOff = this.getDayOff(date);
+            if (dayOff) {
+                throw new Error(`Time entries cannot be added on a day off: ${dayOff.name} (${this.formatDate(date)})`);
+            }
+        }
+
+        // Check if date is within sprint period (allow past dates if specified)
+        if (!this.isDateInSprintPeriod(date, sprint, overtime)) {
+            throw new Error(allowPastDates ?
+                'Date must be within the selected sprint period and on a working day' :
+                'Date must be within the current sprint period and on a working day');
+        }
+    }
+
+    // Check hours are a whole number of entry increments (e.g. 0.25h steps)
+    isValidIncrement(hours) {
+        const steps = parseFloat(hours) / this.settings.entryIncrement;
+        return Math.abs(steps - Math.round(steps)) < 1e-6;
+    }
+
+    // Get the hours already logged on a date, optionally leaving out one entry (the one being edited)
+    getDayTotalExcluding(date, excludeEntryId = null) {
+        return this.getEntriesForDate(date)
+            .filter(entry => entry.id !== excludeEntryId)
+            .reduce((sum, entry) => sum + entry.timeSpent, 0);
+    }
+
+    // Enforce the daily hour limit for an entry of `timeSpent` hours on `date`
+    validateDailyHours(date, timeSpent, excludeEntryId = null) {
+        const total = this.getDayTotalExcluding(date, excludeEntryId) + parseFloat(timeSpent);
+        if (total > this.settings.dailyHourLimit) {
+            throw new Error(`This would make ${parseFloat(total.toFixed(2))} hours on ${this.formatDate(date)}, over the daily limit of ${this.settings.dailyHourLimit} hours`);
+        }
+    }
+
+    // Get a warning when an entry would take a day over its planned hours, or null
+    getDailyHoursWarning(date, timeSpent, excludeEntryId = null) {
+        const total = this.getDayTotalExcluding(date, excludeEntryId) + parseFloat(timeSpent);
+        const target = this.getHoursForDate(date);
+        if (total <= target) return null;
+        return `${this.formatDate(date)} now has ${parseFloat(total.toFixed(2))} hours, ${parseFloat((total - target).toFixed(2))} over the planned ${target} hours`;
+    }
+
+    // Get the days of a sprint where more was logged than planned, with the hours over
+    getSprintOvertimeReport(sprintId) {
+        const sprint = this.sprints.find(s => s.id === sprintId);
+        if (!sprint) return [];
+
+        const totals = {};
+        this.getSprintEntries(sprintId).forEach(entry => {
+            totals[entry.date] = (totals[entry.date] || 0) + entry.timeSpent;
+        });
+
+        return Object.keys(totals)
+            .sort()
+            .map(date => {
+                const target = this.getHoursForDate(date, sprint);
+                return {
+                    date,
+                    logged: parseFloat(totals[date].toFixed(2)),
+                    target,
+                    overtime: parseFloat((totals[date] - target).toFixed(2))
+                };
+            })
+            .filter(day => day.overtime > 0);
+    }
+
+    // Add a new time entry. Options: { overtime } allows days outside the work week, { tags } sets categories,
+    // { type } is one of ENTRY_TYPES (defaults to a Jira task).
+    addEntry(date, jiraId, timeSpent, workDone, allowPastDates = false, options = {}) {
+        const overtime = !!options.overtime;
+        const type = options.type || 'task';
+        this.validateEntry(date, jiraId, timeSpent, workDone, this.currentSprint, allowPastDates, overtime, type);
+        this.validateDailyHours(date, timeSpent);
+
+        const entry = {
+            id: generateId(),
+            date: this.formatDate(date),
+            jiraId: (jiraId || '').trim(),
+            timeSpent: parseFloat(timeSpent),
+            workDone: workDone.trim(),
+            sprintId: this.currentSprint.id,
+            timestamp: new Date().toISOString()
+        };
+        if (overtime) {
+            entry.overtime = true;
+        }
+        this.applyEntryType(entry, type);
+        this.applyEntryTags(entry, options.tags);
+        if (options.jiraSummary !== undefined) {
+            entry.jiraSummary = options.jiraSummary;
+            entry.syncStatus = 'pending';
+        }
+
+        this.entries.push(entry);
+        this.saveEntries();
+        return entry;
+    }
+
+    // Get the type of an entry; entries without a type are Jira tasks
+    getEntryType(entry) {
+        return entry.type || 'task';
+    }
+
+    // Set the type of an entry (tasks have no `type` field, so older entries stay tasks)
+    applyEntryType(entry, type) {
+        if (type && type !== 'task') {
+            entry.type = type;
+        } else {
+            delete entry.type;
+        }
+    }
+
+    // Check whether an entry counts as logged work. Leave does not when it reduces capacity instead.
+    isLoggedWork(entry) {
+        return this.getEntryType(entry) !== 'leave' || !this.settings.leaveReducesCapacity;
+    }
+
+    // Sum the logged work of a list of entries
+    sumLoggedHours(entries) {
+        return entries.filter(entry => this.isLoggedWork(entry)).reduce((sum, entry) => sum + entry.timeSpent, 0);
+    }
+
+    // Get hours per entry type for a list of entries, e.g. { task: 30, meeting: 4, overhead: 2, leave: 8 }
+    getHoursByType(entries) {
+        const hours = {};
+        Object.keys(this.ENTRY_TYPES).forEach(type => { hours[type] = 0; });
+        entries.forEach(entry => { hours[this.getEntryType(entry)] += entry.timeSpent; });
+        Object.keys(hours).forEach(type => { hours[type] = parseFloat(hours[type].toFixed(2)); });
+        return hours;
+    }
+
+    // Get the row an entry is reported under: its Jira ID, or its type when it has none (e.g. "Meeting")
+    getEntryTaskKey(entry) {
+        return entry.jiraId ? entry.jiraId.toUpperCase() : this.ENTRY_TYPES[this.getEntryType(entry)];
+    }
+
+    // Look up a Jira issue through the configured client. Throws when the issue does not exist.
+    async lookupJiraIssue(jiraId) {
+        if (!this.jiraClient) return null;
+
+        const issueKey = jiraId.trim().toUpperCase();
+        const issue = await this.jiraClient.getIssue(issueKey);
+        if (!issue) {
+            throw new Error(`Jira issue ${issueKey} does not exist`);
+        }
+        return issue;
+    }
+
+    // Validate a new entry, then look up its Jira issue. Resolves to null when Jira is not connected
+    // or the entry is not a task: meetings, overhead and leave may have no issue at all.
+    async checkEntryJiraIssue(date, jiraId, timeSpent, workDone, allowPastDates = false, options = {}) {
+        if (!this.jiraClient || (options.type && options.type !== 'task')) return null;
+
+        // Fail fast on local validation before going to the network
+        this.validateEntry(date, jiraId, timeSpent, workDone, this.currentSprint, allowPastDates, !!options.overtime, 'task');
+        this.validateDailyHours(date, timeSpent);
+        return this.lookupJiraIssue(jiraId);
+    }
+
+    // Add an entry after checking its Jira issue exists; the entry is queued for worklog sync
+    async addEntryWithJiraCheck(date, jiraId, timeSpent, workDone, allowPastDates = false, options = {}) {
+        const issue = await this.checkEntryJiraIssue(date, jiraId, timeSpent, workDone, allowPastDates, options);
+        if (!issue) {
+            return this.addEntry(date, jiraId, timeSpent, workDone, allowPastDates, options);
+        }
+        return this.addEntry(date, issue.key, timeSpent, workDone, allowPastDates, { ...options, jiraSummary: issue.summary });
+    }
+
+    // Update an existing entry in place (keeps id, sprint and original timestamp)
+    updateEntry(id, changes) {
+        const entry = this.entries.find(e => e.id === id);
+        if (!entry) {
+            throw new Error('Entry not found');
+        }
+
+        const date = changes.date !== undefined ? changes.date : entry.date;
+        const jiraId = changes.jiraId !== undefined ? changes.jiraId : entry.jiraId;
+        const timeSpent = changes.timeSpent !== undefined ? changes.timeSpent : entry.timeSpent;
+        const workDone = changes.workDone !== undefined ? changes.workDone : entry.workDone;
+        const overtime = changes.overtime !== undefined ? !!changes.overtime : !!entry.overtime;
+        const type = changes.type !== undefined ? changes.type : this.getEntryType(entry);
+
+        // Entries are validated against their own sprint, which may be a past one
+        const sprint = this.sprints.find(s => s.id === entry.sprintId);
+        this.validateEntry(date, jiraId, timeSpent, workDone, sprint, true, overtime, type);
+        this.validateDailyHours(date, timeSpent, entry.id);
+
+        // A changed issue needs a fresh lookup and a new worklog
+        if ((jiraId || '').trim() !== entry.jiraId) {
+            delete entry.jiraSummary;
+            delete entry.worklogId;
+            delete entry.worklogSite;
+        }
+        if (entry.syncStatus) {
+            entry.syncStatus = 'pending';
+        }
+
+        entry.date = this.formatDate(date);
+        entry.jiraId = (jiraId || '').trim();
+        entry.timeSpent = parseFloat(timeSpent);
+        entry.workDone = workDone.trim();
+        if (overtime) {
+            entry.overtime = true;
+        } else {
+            delete entry.overtime;
+        }
+        this.applyEntryType(entry, type);
+        if (changes.tags !== undefined) {
+            this.applyEntryTags(entry, changes.tags);
+        }
+        entry.updatedAt = new Date().toISOString();
+
+        this.saveEntries();
+        return entry;
+    }
+
+    // Load work categories from storage (QA defaults until the user edits them)
+    loadCategories() {
+        return this.readJSON('timeTrackerCategories', this.getDefaultCategories(), Array.isArray);
+    }
+
+    getDefaultCategories() {
+        return ['Test Execution', 'Test Design', 'Bug Verification', 'Regression', 'Meetings', 'Automation'];
+    }
+
+    // Save work categories to storage, merging added and removed categories with another tab's changes
+    saveCategories() {
+        this.categories = this.syncValue('timeTrackerCategories', this.categories, (base, ours, theirs) =>
+            this.mergeRecordLists(base || this.getDefaultCategories(), ours, theirs, category => String(category).toLowerCase()));
+    }
+
+    // Replace the list of work categories. Existing entries keep their tags.
+    updateCategories(categories) {
+        this.categories = this.normalizeTags(categories);
+        this.saveCategories();
+        return this.categories;
+    }
+
+    // Trim and de-duplicate tags (case-insensitive, first spelling wins). Accepts an array or a "a; b" string.
+    normalizeTags(tags) {
+        const list = Array.isArray(tags) ? tags : String(tags || '').split(/[;,\n]/);
+        const seen = new Set();
+        return list
+            .map(tag => String(tag).trim())
+            .filter(tag => {
+                const key = tag.toLowerCase();
+                if (!tag || seen.has(key)) return false;
+                seen.add(key);
+                return true;
+            });
+    }
+
+    // Set or clear the tags of an entry (entries without tags have no `tags` field)
+    applyEntryTags(entry, tags) {
+        const normalized = this.normalizeTags(tags);
+        if (normalized.length > 0) {
+            entry.tags = normalized;
+        } else {
+            delete entry.tags;
+        }
+    }
+
+    // All known tags: the configured categories plus any tag used on an entry
+    getAllTags() {
+        const tags = [...this.categories];
+        this.entries.forEach(entry => tags.push(...(entry.tags || [])));
+        return this.normalizeTags(tags);
+    }
+
+    // Load entry templates from storage
+    loadTemplates() {
+        return this.readJSON('timeTrackerTemplates', [], Array.isArray);
+    }
+
+    // Save entry templates to storage
+    saveTemplates() {
+        this.templates = this.syncRecords('timeTrackerTemplates', this.templates);
+    }
+
+    // Recurrence rules for templates: 'none', 'workday', 'weekday-N' (0 = Sunday ... 6 = Saturday),
+    // 'sprint-first' and 'sprint-last' (first/last working day of the sprint)
+    isValidRecurrence(recurrence) {
+        return ['none', 'workday', 'sprint-first', 'sprint-last'].includes(recurrence) || /^weekday-[0-6]$/.test(recurrence);
+    }
+
+    // Describe a recurrence rule, e.g. "Every Monday"
+    describeRecurrence(recurrence) {
+        const names = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+        if (recurrence === 'workday') return 'Every working day';
+        if (recurrence === 'sprint-first') return 'First day of sprint';
+        if (recurrence === 'sprint-last') return 'Last day of sprint';
+        if (/^weekday-[0-6]$/.test(recurrence)) return `Every ${names[Number(recurrence.slice(8))]}`;
+        return 'Manual only';
+    }
+
+    // Save a template: { name, jiraId, timeSpent, workDone, tags, type, recurrence }
+    addTemplate(template) {
+        const type = template.type || 'task';
+        const recurrence = template.recurrence || 'none';
+        const jiraId = (template.jiraId || '').trim();
+        const timeSpent = parseFloat(template.timeSpent);
+        const workDone = (template.workDone || '').trim();
+
+        if (!this.ENTRY_TYPES[type]) {
+            throw new Error(`Unknown entry type "${type}"`);
+        }
+        if (!workDone || (type === 'task' && !jiraId)) {
+            throw new Error(type === 'task' ?
+                'Templates need a Jira ID and a work description' :
+                'Templates need a work description');
+        }
+        if (isNaN(timeSpent) || timeSpent <= 0) {
+            throw new Error('Time spent must be a positive number');
+        }
+        if (!this.isValidRecurrence(recurrence)) {
+            throw new Error(`Unknown recurrence "${recurrence}"`);
+        }
+
+        const saved = {
+            id: generateId(),
+            name: (template.name || '').trim() || workDone,
+            jiraId,
+            timeSpent,
+            workDone,
+            tags: this.normalizeTags(template.tags),
+            type,
+            recurrence
+        };
+
+        this.templates.push(saved);
+        this.saveTemplates();
+        return saved;
+    }
+
+    // Delete a template (entries created from it are kept)
+    deleteTemplate(id) {
+        this.templates = this.templates.filter(template => template.id !== id);
+        this.saveTemplates();
+    }
+
+    // Get the dates of a sprint a recurring template applies to
+    getTemplateDates(template, sprint) {
+        const workingDays = this.getSprintWorkingDays(sprint);
+
+        if (template.recurrence === 'workday') return workingDays;
+        if (template.recurrence === 'sprint-first') return workingDays.slice(0, 1);
+        if (template.recurrence === 'sprint-last') return workingDays.slice(-1);
+        if (/^weekday-[0-6]$/.test(template.recurrence)) {
+            const weekday = Number(template.recurrence.slice(8));
+            return workingDays.filter(date => LocalDate.getDay(date) === weekday);
+        }
+        return [];
+    }
+
+    // Generate draft entries for a sprint from the recurring templates. Drafts are not saved;
+    // days that already have the same entry are skipped so generating twice adds nothing new.
+    generateTemplateDrafts(sprint = this.currentSprint) {
+        if (!sprint) return [];
+
+        const entries = this.getSprintEntries(sprint.id);
+        const drafts = [];
+
+        this.templates.forEach(template => {
+            this.getTemplateDates(template, sprint).forEach(date => {
+                const exists = entries.some(entry =>
+                    entry.date === date && entry.jiraId.toUpperCase() === template.jiraId.toUpperCase() &&
+                    entry.workDone === template.workDone);
+                if (!exists) {
+                    drafts.push({
+                        templateId: template.id,
+                        date,
+                        jiraId: template.jiraId,
+                        timeSpent: template.timeSpent,
+                        workDone: template.workDone,
+                        tags: template.tags,
+                        type: template.type
+                    });
+                }
+            });
+        });
+
+        return drafts.sort((a, b) => a.date.localeCompare(b.date));
+    }
+
+    // Add reviewed drafts to the current sprint. With Jira connected, each task's issue is looked up once first
+    // and drafts for issues that cannot be found are rejected. Resolves to { added, rejected: [{ draft, reason }] }.
+    async commitTemplateDrafts(drafts) {
+        const issues = {};
+        if (this.jiraClient) {
+            const issueKeys = new Set(drafts
+                .filter(draft => this.getEntryType(draft) === 'task')
+                .map(draft => draft.jiraId.trim().toUpperCase()));
+            for (const issueKey of issueKeys) {
+                try {
+                    issues[issueKey] = await this.lookupJiraIssue(issueKey);
+                } catch (error) {
+                    issues[issueKey] = error;
+                }
+            }
+        }
+        return this.addTemplateDrafts(drafts, issues);
+    }
+
+    // Add drafts through addEntry as one undoable command. `issues` maps Jira keys to the issue
+    // commitTemplateDrafts found, or to the error looking it up; drafts of other keys are added unchecked.
+    addTemplateDrafts(drafts, issues = {}) {
+        const result = { added: [], rejected: [] };
+        const allowPastDates = this.isCurrentSprintOver();
+
+        drafts.forEach(draft => {
+            const issue = this.getEntryType(draft) === 'task' ? issues[draft.jiraId.trim().toUpperCase()] : undefined;
+            try {
+                if (issue instanceof Error) throw issue;
+                result.added.push(this.addEntry(draft.date, issue ? issue.key : draft.jiraId, draft.timeSpent, draft.workDone, allowPastDates, {
+                    tags: draft.tags,
+                    type: draft.type,
+                    jiraSummary: issue ? issue.summary : undefined
+                }));
+            } catch (error) {
+                result.rejected.push({ draft, reason: error.message });
+            }
+        });
+
+        return result;
+    }
+
+    // Load live timers from storage
+    loadTimers() {
+        return this.readJSON('timeTrackerTimers', [], Array.isArray);
+    }
+
+    // Save live timers to storage
+    saveTimers() {
+        this.timers = this.syncRecords('timeTrackerTimers', this.timers);
+    }
+
+    // Start a timer for a task. Only one timer runs at a time; a running one is paused.
+    startTimer(jiraId, workDone) {
+        if (!jiraId || !jiraId.trim() || !workDone || !workDone.trim()) {
+            throw new Error('Jira ID and work description are required to start a timer');
+        }
+
+        this.pauseRunningTimer();
+
+        const timer = {
+            id: generateId(),
+            jiraId: jiraId.trim(),
+            workDone: workDone.trim(),
+            date: LocalDate.today(), // Entry date is the day the timer was started
+            elapsedMs: 0,
+            runningSince: Date.now()
+        };
+
+        this.timers.push(timer);
+        this.saveTimers();
+        return timer;
+    }
+
+    // Get a timer by ID
+    getTimer(timerId) {
+        const timer = this.timers.find(t => t.id === timerId);
+        if (!timer) {
+            throw new Error('Timer not found');
+        }
+        return timer;
+    }
+
+    // Get the running timer, if any
+    getRunningTimer() {
+        return this.timers.find(t => t.runningSince) || null;
+    }
+
+    // Pause whichever timer is running
+    pauseRunningTimer() {
+        const running = this.getRunningTimer();
+        if (running) {
+            this.pauseTimer(running.id);
+        }
+    }
+
+    // Pause a timer, banking the time it has run so far
+    pauseTimer(timerId) {
+        const timer = this.getTimer(timerId);
+        if (timer.runningSince) {
+            timer.elapsedMs += Date.now() - timer.runningSince;
+            timer.runningSince = null;
+            this.saveTimers();
+        }
+        return timer;
+    }
+
+    // Resume a paused timer (switching to it pauses the running one)
+    resumeTimer(timerId) {
+        const timer = this.getTimer(timerId);
+        if (!timer.runningSince) {
+            this.pauseRunningTimer();
+            timer.runningSince = Date.now();
+            this.saveTimers();
+        }
+        return timer;
+    }
+
+    // Get how long a timer has run, in milliseconds
+    getTimerElapsedMs(timer, now = Date.now()) {
+        return timer.elapsedMs + (timer.runningSince ? now - timer.runningSince : 0);
+    }
+
+    // Round milliseconds to hours in the entry increment steps the entry form uses
+    roundTimerHours(elapsedMs) {
+        const step = this.settings.entryIncrement;
+        return parseFloat((Math.round(elapsedMs / 3600000 / step) * step).toFixed(4));
+    }
+
+    // Stop a timer and log its time as an entry, checking its Jira issue like the entry form does
+    async stopTimer(timerId) {
+        const timer = this.getTimer(timerId);
+        const hours = this.roundTimerHours(this.getTimerElapsedMs(timer));
+        if (hours <= 0) {
+            throw new Error(`Less than ${this.settings.entryIncrement} hours recorded. Keep the timer running or discard it.`);
+        }
+
+        const issue = await this.checkEntryJiraIssue(timer.date, timer.jiraId, hours, timer.workDone, this.isCurrentSprintOver());
+        return this.logTimer(timerId, hours, issue);
+    }
+
+    // Log a timer's hours as an entry and remove the timer, as one undoable command.
+    // `issue` is the Jira issue stopTimer looked up, or null.
+    logTimer(timerId, hours, issue = null) {
+        const timer = this.getTimer(timerId);
+        const entry = issue ?
+            this.addEntry(timer.date, issue.key, hours, timer.workDone, this.isCurrentSprintOver(), { jiraSummary: issue.summary }) :
+            this.addEntry(timer.date, timer.jiraId, hours, timer.workDone, this.isCurrentSprintOver());
+
+        this.timers = this.timers.filter(t => t.id !== timerId);
+        this.saveTimers();
+        return entry;
+    }
+
+    // Remove a timer without logging any time
+    discardTimer(timerId) {
+        this.timers = this.timers.filter(t => t.id !== timerId);
+        this.saveTimers();
+    }
+
+    // Check if a running timer has gone past the end of its workday
+    isTimerPastWorkdayEnd(timer, now = new Date()) {
+        if (!timer.runningSince) return false;
+        if (LocalDate.format(now) > timer.date) return true;
+
+        return this.getTimeOfDay(now) >= this.settings.workdayEnd;
+    }
+
+    // Format the local time of day as HH:MM
+    getTimeOfDay(now = new Date()) {
+        const pad = number => String(number).padStart(2, '0');
+        return `${pad(now.getHours())}:${pad(now.getMinutes())}`;
+    }
+
+    // Get the working days of a sprint (work week days that are neither holidays nor PTO)
+    getSprintWorkingDays(sprint) {
+        const workingDays = [];
+        for (let date = sprint.startDate; date <= sprint.endDate; date = LocalDate.addDays(date, 1)) {
+            if (this.isWorkingDay(date)) {
+                workingDays.push(date);
+            }
+        }
+        return workingDays;
+    }
+
+    // Find the sprint's working days logged under their planned hours, oldest first.
+    // Today only counts once the workday has ended; future days never do.
+    getMissingTime(sprint = this.currentSprint, now = new Date()) {
+        if (!sprint) return [];
+
+        const today = LocalDate.format(now);
+        const workdayOver = this.getTimeOfDay(now) >= this.settings.workdayEnd;
+
+        return this.getSprintWorkingDays(sprint)
+            .filter(date => date < today || (date === today && workdayOver))
+            .map(date => {
+                const logged = this.getTotalTimeForDate(date, sprint);
+                const target = this.getHoursForDate(date, sprint);
+                return {
+                    date,
+                    logged: parseFloat(logged.toFixed(2)),
+                    target,
+                    missing: parseFloat((target - logged).toFixed(2))
+                };
+            })
+            .filter(day => day.missing > 0);
+    }
+
+    // Check whether the daily reminder is due: the reminder time has passed, today is a working day
+    // of the current sprint with nothing logged, and no reminder was sent today yet
+    isReminderDue(now = new Date()) {
+        const today = LocalDate.format(now);
+        return !!this.settings.reminderTime &&
+            this.getTimeOfDay(now) >= this.settings.reminderTime &&
+            this.storage.getItem('timeTrackerLastReminder') !== today &&
+            this.isDateInSprintPeriod(today, this.currentSprint) &&
+            this.isWorkingDay(today) &&
+            this.getTotalTimeForDate(today, this.currentSprint) === 0;
+    }
+
+    // Remember that today's reminder was sent
+    markReminderSent(now = new Date()) {
+        this.storage.setItem('timeTrackerLastReminder', LocalDate.format(now));
+    }
+
+    // Format date to YYYY-MM-DD (local calendar date)
+    formatDate(date) {
+        // Strings already in the right format are returned as is
+        return LocalDate.format(date);
+    }
+
+    // Get entries for a specific date
+    getEntriesForDate(date) {
+        const formattedDate = this.formatDate(date);
+        return this.entries.filter(entry => entry.date === formattedDate);
+    }
+
+    // Get entries for current sprint
+    getCurrentSprintEntries() {
+        if (!this.currentSprint) return [];
+        return this.entries.filter(entry => entry.sprintId === this.currentSprint.id);
+    }
+
+    // Get entries for a specific sprint
+    getSprintEntries(sprintId) {
+        return this.entries.filter(entry => entry.sprintId === sprintId);
+    }
+
+    // Calculate total time spent in current sprint
+    getCurrentSprintTotalTime() {
+        return this.sumLoggedHours(this.getCurrentSprintEntries());
+    }
+
+    // Calculate remaining time for current sprint
+    getCurrentSprintRemainingTime() {
+        const totalTime = this.getCurrentSprintTotalTime();
+        return Math.max(0, this.getSprintAvailableHours(this.currentSprint) - totalTime);
+    }
+
+    // Get progress percentage for current sprint
+    getCurrentSprintProgress() {
+        const totalTime = this.getCurrentSprintTotalTime();
+        const availableHours = this.getSprintAvailableHours(this.currentSprint);
+        return availableHours > 0 ? Math.min(100, (totalTime / availableHours) * 100) : 100;
+    }
+
+    // Calculate working days remaining in current sprint (excluding non-working weekdays, holidays and PTO)
+    getCurrentSprintDaysRemaining() {
+        if (!this.currentSprint) return 0;
+        
+        const today = LocalDate.today();
+        const endDate = this.currentSprint.endDate;
+        
+        // If today is past the end date, return 0
+        if (today > endDate) return 0;
+        
+        let workingDaysRemaining = 0;
+        
+        // Count working days from today until end date (inclusive)
+        for (let current = today; current <= endDate; current = LocalDate.addDays(current, 1)) {
+            // Skip days outside the work week, holidays and PTO
+            if (this.isWorkingDay(current)) {
+                workingDaysRemaining++;
+            }
+        }
+        
+        return workingDaysRemaining;
+    }
+
+    // Check if current date is within sprint period and is a working day
+    isDateInCurrentSprint(date, allowNonWorkingDays = false) {
+        return this.isDateInSprintPeriod(date, this.currentSprint, allowNonWorkingDays);
+    }
+
+    // Check if date is within any sprint period (for past date entries)
+    isDateInSprintPeriod(date, sprint, allowNonWorkingDays = false) {
+        if (!sprint) return false;
+        
+        // YYYY-MM-DD strings compare in calendar order
+        const checkDate = this.formatDate(date);
+        
+        // Check if date is within sprint range
+        const isInRange = checkDate >= sprint.startDate && checkDate <= sprint.endDate;
+        
+        // Check if it's a day of the work week (unless e.g. logging overtime)
+        return isInRange && (allowNonWorkingDays || this.isWorkingWeekday(checkDate));
+    }
+
+    // Check if current sprint is over
+    isCurrentSprintOver() {
+        if (!this.currentSprint) return false;
+        
+        // The sprint is over once its last day has passed in local time
+        return LocalDate.today() > this.currentSprint.endDate;
+    }
+
+    // Date the entry form starts on: the last day of a sprint that is over, otherwise today, or the next
+    // working day when today is not one (giving up after two weeks)
+    getDefaultEntryDate() {
+        if (this.isCurrentSprintOver()) {
+            return this.currentSprint.endDate;
+        }
+
+        let defaultDate = LocalDate.today();
+        for (let i = 0; i < 14 && !this.isWorkingDay(defaultDate); i++) {
+            defaultDate = LocalDate.addDays(defaultDate, 1);
+        }
+        return defaultDate;
+    }
+
+    // Calculate total time spent on a specific date, counting only one sprint's entries when given a sprint
+    // (sprints may overlap)
+    getTotalTimeForDate(date, sprint = null) {
+        const entries = this.getEntriesForDate(date).filter(entry => !sprint || entry.sprintId === sprint.id);
+        return entries.reduce((total, entry) => total + entry.timeSpent, 0);
+    }
+
+    // Calculate remaining time for the workday
+    getRemainingTimeForDate(date, sprint) {
+        const totalTime = this.getTotalTimeForDate(date, sprint);
+        return Math.max(0, this.getHoursForDate(date, sprint) - totalTime);
+    }
+
+    // Get progress percentage for the workday
+    getProgressForDate(date, sprint) {
+        const totalTime = this.getTotalTimeForDate(date, sprint);
+        const hoursForDate = this.getHoursForDate(date, sprint);
+        return hoursForDate > 0 ? Math.min(100, (totalTime / hoursForDate) * 100) : (totalTime > 0 ? 100 : 0);
+    }
+
+    // Get all entries grouped by date
+    getEntriesByDate() {
+        const grouped = {};
+        this.entries.forEach(entry => {
+            if (!grouped[entry.date]) {
+                grouped[entry.date] = [];
+            }
+            grouped[entry.date].push(entry);
+        });
+        return grouped;
+    }
+
+    // Get summary statistics for current sprint
+    getCurrentSprintSummary() {
+        const entries = this.getCurrentSprintEntries();
+        const totalEntries = entries.length;
+        const totalTime = this.sumLoggedHours(entries);
+        
+        // Only count days of the work week (overtime on other days adds hours, not active days)
+        const uniqueDates = [...new Set(entries.filter(entry => this.isLoggedWork(entry)).map(entry => entry.date))];
+        const workingDatesWithEntries = uniqueDates.filter(date => this.isWorkingWeekday(date));
+        
+        const averageTimePerDay = workingDatesWithEntries.length > 0 ? totalTime / workingDatesWithEntries.length : 0;
+        const daysRemaining = this.getCurrentSprintDaysRemaining();
+        const progress = this.getCurrentSprintProgress();
+
+        return {
+            totalEntries,
+            totalTime: parseFloat(totalTime.toFixed(2)),
+            uniqueDates: workingDatesWithEntries.length,
+            averageTimePerDay: parseFloat(averageTimePerDay.toFixed(2)),
+            daysRemaining,
+            progress: parseFloat(progress.toFixed(1)),
+            hoursByType: this.getHoursByType(entries),
+            sprintName: this.currentSprint ? this.currentSprint.name : 'No Sprint Selected'
+        };
+    }
+
+    // Get burnup/burndown data for the current sprint: ideal vs. logged cumulative hours per working day,
+    // plus an end-of-sprint forecast from the average hours per active day so far
+    getCurrentSprintBurnData() {
+        if (!this.currentSprint) return null;
+
+        const sprint = this.currentSprint;
+        const target = this.getSprintAvailableHours(sprint);
+        const entries = this.getCurrentSprintEntries().filter(entry => this.isLoggedWork(entry));
+        const today = LocalDate.today();
+
+        const workingDays = [];
+        for (let date = sprint.startDate; date <= sprint.endDate; date = LocalDate.addDays(date, 1)) {
+            if (this.isWorkingDay(date)) {
+                workingDays.push(date);
+            }
+        }
+
+        // The ideal line follows the planned hours of each day, so short days rise less
+        const plannedTotal = workingDays.reduce((sum, date) => sum + this.getHoursForDate(date, sprint), 0);
+        let plannedSoFar = 0;
+
+        const days = workingDays.map((date, index) => {
+            plannedSoFar += this.getHoursForDate(date, sprint);
+            // The last day also picks up overtime logged after the last working day
+            const until = index === workingDays.length - 1 ? sprint.endDate : date;
+            const logged = entries
+                .filter(entry => entry.date <= until)
+                .reduce((sum, entry) => sum + entry.timeSpent, 0);
+
+            return {
+                date,
+                ideal: plannedTotal > 0 ? parseFloat((target * plannedSoFar / plannedTotal).toFixed(2)) : 0,
+                logged: date <= today ? parseFloat(logged.toFixed(2)) : null
+            };
+        });
+
+        // Today only counts as a day left if nothing has been logged on it yet
+        const summary = this.getCurrentSprintSummary();
+        const loggedToday = entries.some(entry => entry.date === today);
+        const daysLeft = Math.max(0, summary.daysRemaining - (loggedToday && this.isWorkingDay(today) ? 1 : 0));
+        const forecast = summary.totalTime + summary.averageTimePerDay * daysLeft;
+
+        return {
+            target,
+            days,
+            totalTime: summary.totalTime,
+            averageTimePerDay: summary.averageTimePerDay,
+            forecast: parseFloat(forecast.toFixed(2))
+        };
+    }
+
+    // Get where a sprint's hours went, grouped by Jira ID (most hours first)
+    getSprintTaskBreakdown(sprintId) {
+        const entries = this.getSprintEntries(sprintId);
+        const sprintTotal = entries.reduce((sum, entry) => sum + entry.timeSpent, 0);
+        const tasks = {};
+
+        entries.forEach(entry => {
+            // Group case-insensitively so "proj-1" and "PROJ-1" are one task; entries without an issue group by type
+            const jiraId = this.getEntryTaskKey(entry);
+            if (!tasks[jiraId]) {
+                tasks[jiraId] = { jiraId, hours: 0, entries: 0, dates: new Set() };
+            }
+            tasks[jiraId].hours += entry.timeSpent;
+            tasks[jiraId].entries++;
+            tasks[jiraId].dates.add(entry.date);
+        });
+
+        return Object.values(tasks)
+            .map(task => {
+                const dates = [...task.dates].sort();
+                return {
+                    jiraId: task.jiraId,
+                    hours: parseFloat(task.hours.toFixed(2)),
+                    share: sprintTotal > 0 ? parseFloat((task.hours / sprintTotal * 100).toFixed(1)) : 0,
+                    entries: task.entries,
+                    daysTouched: dates.length,
+                    firstDate: dates[0],
+                    lastDate: dates[dates.length - 1]
+                };
+            })
+            .sort((a, b) => b.hours - a.hours || a.jiraId.localeCompare(b.jiraId));
+    }
+
+    // Filter entries to an optional { from, to } date range (inclusive)
+    filterEntriesByRange(entries, range = {}) {
+        return entries.filter(entry =>
+            (!range.from || entry.date >= range.from) && (!range.to || entry.date <= range.to));
+    }
+
+    // Get sprints overlapping an optional { from, to } date range, oldest first
+    getSprintsInRange(range = {}) {
+        return this.sprints
+            .filter(sprint => (!range.from || sprint.endDate >= range.from) && (!range.to || sprint.startDate <= range.to))
+            .sort((a, b) => a.startDate.localeCompare(b.startDate));
+    }
+
+    // Get overall summary statistics (all time, or within an optional { from, to } date range)
+    getSummary(range = {}) {
+        const entries = this.filterEntriesByRange(this.entries, range);
+        const totalEntries = entries.length;
+        const totalTime = this.sumLoggedHours(entries);
+        const uniqueDates = [...new Set(entries.map(entry => entry.date))];
+        const averageTimePerDay = uniqueDates.length > 0 ? totalTime / uniqueDates.length : 0;
+
+        return {
+            totalEntries,
+            totalTime: parseFloat(totalTime.toFixed(2)),
+            uniqueDates: uniqueDates.length,
+            averageTimePerDay: parseFloat(averageTimePerDay.toFixed(2)),
+            totalSprints: this.getSprintsInRange(range).length
+        };
+    }
+
+    // Get hours, goal attainment and pace for every sprint, oldest first, for trend analysis
+    getSprintHistory(range = {}) {
+        return this.getSprintsInRange(range).map(sprint => {
+            const entries = this.filterEntriesByRange(this.getSprintEntries(sprint.id), range)
+                .filter(entry => this.isLoggedWork(entry));
+            const hours = entries.reduce((sum, entry) => sum + entry.timeSpent, 0);
+            const activeDays = new Set(entries.map(entry => entry.date)).size;
+            const target = this.getSprintAvailableHours(sprint);
+
+            return {
+                sprintId: sprint.id,
+                name: sprint.name,
+                startDate: sprint.startDate,
+                endDate: sprint.endDate,
+                hours: parseFloat(hours.toFixed(2)),
+                target,
+                attainment: target > 0 ? parseFloat((hours / target * 100).toFixed(1)) : 0,
+                activeDays,
+                averagePerDay: activeDays > 0 ? parseFloat((hours / activeDays).toFixed(2)) : 0
+            };
+        });
+    }
+
+    // Get hours per Jira project (the key prefix before the dash), most time-consuming first
+    getProjectBreakdown(range = {}) {
+        const entries = this.filterEntriesByRange(this.entries, range).filter(entry => this.isLoggedWork(entry));
+        const total = entries.reduce((sum, entry) => sum + entry.timeSpent, 0);
+        const projects = {};
+
+        entries.forEach(entry => {
+            const project = this.getJiraProject(entry.jiraId);
+            projects[project] = (projects[project] || 0) + entry.timeSpent;
+        });
+
+        return Object.entries(projects)
+            .map(([project, hours]) => ({
+                project,
+                hours: parseFloat(hours.toFixed(2)),
+                share: total > 0 ? parseFloat((hours / total * 100).toFixed(1)) : 0
+            }))
+            .sort((a, b) => b.hours - a.hours);
+    }
+
+    // Search all entries. Every criterion is optional:
+    // { jiraId, project, text, tag, type, from, to, sprintId, minHours, maxHours }
+    // Results are grouped by sprint, newest sprint first, with totals per group and overall.
+    searchEntries(criteria = {}) {
+        const jiraId = (criteria.jiraId || '').trim().toUpperCase();
+        const project = (criteria.project || '').trim().toUpperCase();
+        const text = (criteria.text || '').trim().toLowerCase();
+        const tag = (criteria.tag || '').trim().toLowerCase();
+        const minHours = criteria.minHours === '' || criteria.minHours == null ? null : parseFloat(criteria.minHours);
+        const maxHours = criteria.maxHours === '' || criteria.maxHours == null ? null : parseFloat(criteria.maxHours);
+        const hasSprint = criteria.sprintId !== undefined && criteria.sprintId !== null && criteria.sprintId !== '';
+
+        const entries = this.filterEntriesByRange(this.entries, { from: criteria.from, to: criteria.to })
+            .filter(entry => !jiraId || entry.jiraId.toUpperCase().includes(jiraId))
+            .filter(entry => !project || this.getJiraProject(entry.jiraId) === project)
+            .filter(entry => !text || (entry.workDone || '').toLowerCase().includes(text))
+            .filter(entry => !tag || (entry.tags || []).some(t => t.toLowerCase() === tag))
+            .filter(entry => !criteria.type || this.getEntryType(entry) === criteria.type)
+            .filter(entry => !hasSprint || String(entry.sprintId) === String(criteria.sprintId))
+            .filter(entry => minHours === null || isNaN(minHours) || entry.timeSpent >= minHours)
+            .filter(entry => maxHours === null || isNaN(maxHours) || entry.timeSpent <= maxHours)
+            .sort((a, b) => b.date.localeCompare(a.date) || b.timestamp.localeCompare(a.timestamp));
+
+        const groups = [];
+        entries.forEach(entry => {
+            let group = groups.find(g => g.sprintId === entry.sprintId);
+            if (!group) {
+                const sprint = this.sprints.find(s => s.id === entry.sprintId);
+                group = {
+                    sprintId: entry.sprintId,
+                    sprintName: sprint ? sprint.name : 'No sprint',
+                    startDate: sprint ? sprint.startDate : '',
+                    entries: [],
+                    totalTime: 0
+                };
+                groups.push(group);
+            }
+            group.entries.push(entry);
+            group.totalTime += entry.timeSpent;
+        });
+
+        groups.forEach(group => { group.totalTime = parseFloat(group.totalTime.toFixed(2)); });
+        groups.sort((a, b) => b.startDate.localeCompare(a.startDate));
+
+        return {
+            entries,
+            groups,
+            totalEntries: entries.length,
+            totalTime: parseFloat(entries.reduce((sum, entry) => sum + entry.timeSpent, 0).toFixed(2))
+        };
+    }
+
+    // Get hours per category for a sprint, largest first. An entry with several tags splits its
+    // hours evenly between them so the shares add up to 100%.
+    getSprintCategoryBreakdown(sprintId) {
+        const entries = this.getSprintEntries(sprintId);
+        const total = entries.reduce((sum, entry) => sum + entry.timeSpent, 0);
+        const categories = new Map();
+
+        entries.forEach(entry => {
+            const tags = entry.tags && entry.tags.length > 0 ? entry.tags : ['Uncategorized'];
+            tags.forEach(tag => {
+                const row = categories.get(tag) || { category: tag, hours: 0, entries: 0 };
+                row.hours += entry.timeSpent / tags.length;
+                row.entries++;
+                categories.set(tag, row);
+            });
+        });
+
+        return [...categories.values()]
+            .map(row => ({
+                ...row,
+                hours: parseFloat(row.hours.toFixed(2)),
+                share: total > 0 ? parseFloat((row.hours / total * 100).toFixed(1)) : 0
+            }))
+            .sort((a, b) => b.hours - a.hours);
+    }
+
+    // Get the Jira project key of an issue ID ("PROJ-123" -> "PROJ"); free text has no project
+    getJiraProject(jiraId) {
+        const match = /^([A-Za-z][A-Za-z0-9_]*)-\d+$/.exec(jiraId.trim());
+        return match ? match[1].toUpperCase() : '(none)';
+    }
+
+    // Delete an entry
+    deleteEntry(id) {
+        const index = this.entries.findIndex(entry => entry.id === id);
+        if (index !== -1) {
+            this.entries.splice(index, 1);
+            this.saveEntries();
+            return true;
+        }
+        return false;
+    }
+
+    // Clear all entries
+    clearAllEntries() {
+        this.entries = [];
+        this.saveEntries();
+    }
+
+    // Remove every entry of one sprint
+    clearSprintEntries(sprintId) {
+        const removed = this.getSprintEntries(sprintId);
+        this.entries = this.entries.filter(entry => entry.sprintId !== sprintId);
+        this.saveEntries();
+        return removed;
+    }
+
+    // Escape a single value for a CSV field
+    toCSVField(value) {
+        const text = value === undefined || value === null ? '' : String(value);
+        return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    }
+
+    // Parse CSV text into an array of rows (arrays of strings), honouring quoted fields
+    parseCSV(text) {
+        const rows = [];
+        let row = [];
+        let field = '';
+        let inQuotes = false;
+
+        for (let i = 0; i < text.length; i++) {
+            const char = text[i];
+            if (inQuotes) {
+                if (char === '"' && text[i + 1] === '"') {
+                    field += '"';
+                    i++;
+                } else if (char === '"') {
+                    inQuotes = false;
+                } else {
+                    field += char;
+                }
+            } else if (char === '"') {
+                inQuotes = true;
+            } else if (char === ',') {
+                row.push(field);
+                field = '';
+            } else if (char === '\n' || char === '\r') {
+                if (char === '\r' && text[i + 1] === '\n') i++;
+                row.push(field);
+                rows.push(row);
+                row = [];
+                field = '';
+            } else {
+                field += char;
+            }
+        }
+
+        if (field !== '' || row.length > 0) {
+            row.push(field);
+            rows.push(row);
+        }
+
+        // Drop blank lines
+        return rows.filter(r => r.some(value => value.trim() !== ''));
+    }
+
+    // Export entries as CSV (a single sprint, or everything when sprintId is omitted)
+    exportToCSV(sprintId = null) {
+        return this.entriesToCSV(sprintId === null ? this.entries : this.getSprintEntries(sprintId));
+    }
+
+    // Format a list of entries as CSV, oldest first
+    entriesToCSV(entries) {
+        const header = ['date', 'jiraId', 'timeSpent', 'workDone', 'sprint', 'tags', 'type'];
+
+        const lines = entries
+            .slice()
+            .sort((a, b) => a.date.localeCompare(b.date))
+            .map(entry => {
+                const sprint = this.sprints.find(s => s.id === entry.sprintId);
+                return [entry.date, entry.jiraId, entry.timeSpent, entry.workDone, sprint ? sprint.name : '', (entry.tags || []).join('; '),
+                    this.getEntryType(entry)]
+                    .map(value => this.toCSVField(value))
+                    .join(',');
+            });
+
+        return [header.join(','), ...lines].join('\r\n');
+    }
+
+    // Export all sprints and entries, with the settings, work week, days off, categories and templates
+    // they depend on, as a full-fidelity JSON backup
+    exportToJSON() {
+        return JSON.stringify({
+            app: 'sprint-time-tracker',
+            version: 2,
+            exportedAt: new Date().toISOString(),
+            currentSprintId: this.currentSprint ? this.currentSprint.id : null,
+            settings: this.settings,
+            workWeek: this.workWeek,
+            calendar: this.calendar,
+            categories: this.categories,
+            templates: this.templates,
+            sprints: this.sprints,
+            entries: this.entries
+        }, null, 2);
+    }
+
+    // Format a date string and minutes-after-midnight as a Jira "started" timestamp (local time with offset)
+    toJiraTimestamp(date, minutesFromMidnight) {
+        const local = LocalDate.parse(date);
+        local.setMinutes(minutesFromMidnight);
+        const pad = (value, length = 2) => String(value).padStart(length, '0');
+
+        const offset = -local.getTimezoneOffset();
+        const sign = offset >= 0 ? '+' : '-';
+        const offsetText = `${sign}${pad(Math.floor(Math.abs(offset) / 60))}${pad(Math.abs(offset) % 60)}`;
+
+        return `${local.getFullYear()}-${pad(local.getMonth() + 1)}-${pad(local.getDate())}` +
+            `T${pad(local.getHours())}:${pad(local.getMinutes())}:00.000${offsetText}`;
+    }
+
+    // Build Jira worklog payloads for a sprint's entries, paired with the entry they came from.
+    // Entries on the same day are laid out back to back from 09:00 so their worklogs do not overlap.
+    buildJiraWorklogs(sprintId) {
+        const issueKeyPattern = /^[A-Z][A-Z0-9_]*-\d+$/;
+        const minutesUsedByDate = {};
+        const items = [];
+        const skipped = [];
+
+        this.getSprintEntries(sprintId)
+            .slice()
+            .sort((a, b) => a.date.localeCompare(b.date) || a.timestamp.localeCompare(b.timestamp))
+            .forEach(entry => {
+                const issueKey = entry.jiraId.toUpperCase();
+                if (this.getEntryType(entry) === 'leave') {
+                    skipped.push({ entry, reason: 'Leave is not logged to Jira' });
+                    return;
+                }
+                if (!issueKeyPattern.test(issueKey)) {
+                    skipped.push({ entry, reason: entry.jiraId ? `"${entry.jiraId}" is not a Jira issue key` : 'No Jira issue' });
+                    return;
+                }
+
+                const minutesUsed = minutesUsedByDate[entry.date] || 0;
+                const timeSpentSeconds = Math.round(entry.timeSpent * 3600);
+                minutesUsedByDate[entry.date] = minutesUsed + Math.round(timeSpentSeconds / 60);
+
+                items.push({
+                    entry,
+                    worklog: {
+                        issueKey,
+                        started: this.toJiraTimestamp(entry.date, 9 * 60 + minutesUsed),
+                        timeSpentSeconds,
+                        comment: entry.workDone
+                    }
+                });
+            });
+
+        return { items, skipped };
+    }
+
+    // Build Jira worklog payloads for a sprint's entries
+    getJiraWorklogs(sprintId) {
+        const { items, skipped } = this.buildJiraWorklogs(sprintId);
+        return { worklogs: items.map(item => item.worklog), skipped };
+    }
+
+    // Push every not-yet-synced worklog of a sprint to Jira, retrying failed requests
+    async syncJiraWorklogs(sprintId, maxAttempts = 3) {
+        if (!this.jiraClient) {
+            throw new Error('Jira is not configured');
+        }
+
+        const result = { synced: 0, failed: 0 };
+        const { items } = this.buildJiraWorklogs(sprintId);
+        // Other tabs' changes replace this.entries while a request is out, so entries are looked up again after every await
+        const findEntry = id => this.entries.find(entry => entry.id === id);
+
+        for (const { entry: { id, updatedAt }, worklog } of items) {
+            const { issueKey, ...payload } = worklog;
+            let lastError = null;
+
+            for (let attempt = 1; attempt <= maxAttempts; attempt++) {
+                const current = findEntry(id);
+                if (!current || current.syncStatus === 'synced') break;
+
+                try {
+                    const saved = current.worklogId ?
+                        await this.jiraClient.updateWorklog(issueKey, current.worklogId, payload) :
+                        await this.jiraClient.addWorklog(issueKey, payload);
+                    const entry = findEntry(id);
+                    if (entry) {
+                        entry.worklogId = saved.id;
+                        entry.worklogSite = this.jiraClient.site;
+                        this.saveEntries();
+                    }
+                    lastError = null;
+                    break;
+                } catch (error) {
+                    lastError = error;
+                }
+            }
+
+            // Skip entries deleted or synced elsewhere, and leave ones edited meanwhile pending for the next sync
+            const entry = findEntry(id);
+            if (!entry || entry.syncStatus === 'synced' || entry.updatedAt !== updatedAt) continue;
+
+            if (lastError) {
+                entry.syncStatus = 'failed';
+                entry.syncError = lastError.message;
+                result.failed++;
+            } else {
+                entry.syncStatus = 'synced';
+                entry.syncedAt = new Date().toISOString();
+                delete entry.syncError;
+                result.synced++;
+            }
+            this.saveEntries();
+        }
+
+        return result;
+    }
+
+    // Export a sprint's worklogs as a JSON document for bulk upload to Jira
+    exportJiraWorklogs(sprintId) {
+        const sprint = this.sprints.find(s => s.id === sprintId);
+        const { worklogs } = this.getJiraWorklogs(sprintId);
+
+        return JSON.stringify({
+            sprint: sprint ? sprint.name : null,
+            generatedAt: new Date().toISOString(),
+            worklogs
+        }, null, 2);
+    }
+
+    // Return an ID not already in the given set: the preferred one as a string when it is usable, otherwise a new one
+    getAvailableId(preferredId, usedIds) {
+        const usable = (typeof preferredId === 'string' || typeof preferredId === 'number') && /^[\w-]{1,64}$/.test(String(preferredId));
+        let id = usable ? String(preferredId) : generateId();
+        while (usedIds.has(id)) {
+            id = generateId();
+        }
+        usedIds.add(id);
+        return id;
+    }
+
+    // Import a JSON backup, remapping conflicting IDs and validating every entry
+    importFromJSON(json) {
+        let data;
+        try {
+            data = typeof json === 'string' ? JSON.parse(json) : json;
+        } catch (error) {
+            throw new Error('Import file is not valid JSON');
+        }
+
+        if (!data || !Array.isArray(data.sprints) || !Array.isArray(data.entries)) {
+            throw new Error('Import file must contain "sprints" and "entries" arrays');
+        }
+
+        const result = { importedSprints: 0, importedEntries: 0, restored: [], rejected: [] };
+        // Working-day checks on the entries below use the backup's work week and days off
+        this.importBackupSettings(data, result);
+
+        const usedSprintIds = new Set(this.sprints.map(s => s.id));
+        const sprintIdMap = new Map();
+
+        data.sprints.forEach((raw, index) => {
+            try {
+                if (!isPlainObject(raw) || !raw.name || !raw.startDate || !raw.endDate) {
+                    throw new Error('Sprint name, start date and end date are required');
+                }
+                // Entries find their sprint by ID, so a sprint without one (or sharing one) could take the wrong entries
+                if (raw.id === undefined || raw.id === null || raw.id === '') {
+                    throw new Error('Sprint has no ID');
+                }
+                if (sprintIdMap.has(raw.id)) {
+                    throw new Error(`Another sprint in the file has the ID ${raw.id}`);
+                }
+
+                // Same sprint already present (e.g. restoring a backup twice): reuse it
+                const existing = this.sprints.find(s => s.id === String(raw.id) && s.name === raw.name && s.startDate === raw.startDate);
+                if (existing) {
+                    sprintIdMap.set(raw.id, existing.id);
+                    return;
+                }
+
+                const sprint = this.buildImportedSprint(raw);
+                sprint.id = this.getAvailableId(raw.id, usedSprintIds);
+                sprintIdMap.set(raw.id, sprint.id);
+                this.sprints.push(sprint);
+                result.importedSprints++;
+            } catch (error) {
+                result.rejected.push({ row: `sprint ${index + 1}`, reason: error.message });
+            }
+        });
+
+        const usedEntryIds = new Set(this.entries.map(e => e.id));
+
+        data.entries.forEach((raw, index) => {
+            try {
+                if (!raw) {
+                    throw new Error('Empty record');
+                }
+
+                const sprint = this.sprints.find(s => s.id === sprintIdMap.get(raw.sprintId));
+                if (!sprint) {
+                    throw new Error('Entry does not belong to any imported sprint');
+                }
+
+                const duplicate = this.entries.some(e =>
+                    e.id === String(raw.id) && e.sprintId === sprint.id && e.date === raw.date &&
+                    e.jiraId === raw.jiraId && e.timeSpent === raw.timeSpent && e.workDone === raw.workDone);
+                if (duplicate) {
+                    throw new Error('Entry already exists');
+                }
+
+                this.validateEntry(raw.date, raw.jiraId, raw.timeSpent, raw.workDone, sprint, true, !!raw.overtime, raw.type || 'task');
+                this.validateDailyHours(raw.date, raw.timeSpent);
+
+                const entry = {
+                    ...raw,
+                    id: this.getAvailableId(raw.id, usedEntryIds),
+                    date: this.formatDate(raw.date),
+                    jiraId: String(raw.jiraId || '').trim(),
+                    timeSpent: parseFloat(raw.timeSpent),
+                    workDone: String(raw.workDone).trim(),
+                    sprintId: sprint.id,
+                    timestamp: raw.timestamp || new Date().toISOString()
+                };
+                this.applyEntryTags(entry, raw.tags);
+                this.entries.push(entry);
+                result.importedEntries++;
+            } catch (error) {
+                result.rejected.push({ row: `entry ${index + 1}`, reason: error.message });
+            }
+        });
+
+        // Restore the backup's active sprint when nothing is selected yet
+        if (!this.currentSprint && sprintIdMap.has(data.currentSprintId)) {
+            this.setCurrentSprint(sprintIdMap.get(data.currentSprintId));
+        }
+
+        this.saveSprints();
+        this.saveEntries();
+        return result;
+    }
+
+    // Validate a sprint from a backup and keep only the fields a sprint has (the ID is assigned by the caller)
+    buildImportedSprint(raw) {
+        const name = String(raw.name).trim();
+        if (!name) {
+            throw new Error('Sprint name is required');
+        }
+        if (!LocalDate.isValid(raw.startDate) || !LocalDate.isValid(raw.endDate)) {
+            throw new Error('Sprint dates must be valid dates in YYYY-MM-DD format');
+        }
+        if (raw.endDate < raw.startDate) {
+            throw new Error('Sprint end date must not be before its start date');
+        }
+
+        const sprint = {
+            name,
+            startDate: raw.startDate,
+            endDate: raw.endDate,
+            // Backups from before end date modes keep their dates as they are
+            endDateMode: raw.endDateMode === 'computed' ? 'computed' : 'manual',
+            createdAt: typeof raw.createdAt === 'string' ? raw.createdAt : new Date().toISOString()
+        };
+        // Sprints from before per-sprint capacity keep following the settings
+        if (raw.capacity !== undefined) {
+            sprint.capacity = this.normalizeCapacity(isPlainObject(raw.capacity) ? raw.capacity : {});
+        }
+        if (raw.archived) {
+            sprint.archived = true;
+        }
+        return sprint;
+    }
+
+    // Restore the settings, work week, days off, categories and templates of a backup. Backups from before
+    // version 2 have none of them. Holiday sets, PTO days and templates already present are not added again.
+    importBackupSettings(data, result) {
+        const restore = (row, apply) => {
+            try {
+                apply();
+                result.restored.push(row);
+            } catch (error) {
+                result.rejected.push({ row, reason: error.message });
+            }
+        };
+
+        if (isPlainObject(data.settings)) {
+            const known = Object.keys(this.settings).filter(key => data.settings[key] !== undefined);
+            restore('settings', () => this.updateSettings(Object.fromEntries(known.map(key => [key, data.settings[key]]))));
+        }
+        if (isPlainObject(data.workWeek)) {
+            restore('work week', () => this.updateWorkWeek(data.workWeek));
+        }
+        if (Array.isArray(data.categories)) {
+            restore('categories', () => this.updateCategories([...this.categories, ...data.categories]));
+        }
+
+        const calendar = isPlainObject(data.calendar) ? data.calendar : {};
+        (Array.isArray(calendar.holidaySets) ? calendar.holidaySets : []).forEach((raw, index) => {
+            if (!isPlainObject(raw) || this.calendar.holidaySets.some(set => set.id === raw.id || set.name === raw.name)) return;
+            restore(`holiday set ${index + 1}`, () => {
+                const set = this.addHolidaySet(String(raw.name || ''), Array.isArray(raw.days) ? raw.days : []);
+                if (raw.enabled === false) {
+                    this.setHolidaySetEnabled(set.id, false);
+                }
+            });
+        });
+        (Array.isArray(calendar.pto) ? calendar.pto : []).forEach((raw, index) => {
+            if (!isPlainObject(raw) || this.calendar.pto.some(day => day.date === raw.date)) return;
+            restore(`PTO day ${index + 1}`, () => {
+                if (!LocalDate.isValid(raw.date)) {
+                    throw new Error('PTO date must be a valid date in YYYY-MM-DD format');
+                }
+                this.addPTO(raw.date, String(raw.note || ''));
+            });
+        });
+
+        (Array.isArray(data.templates) ? data.templates : []).forEach((raw, index) => {
+            if (!isPlainObject(raw) || this.templates.some(template => template.name === raw.name && template.workDone === raw.workDone)) return;
+            restore(`template ${index + 1}`, () => this.addTemplate(raw));
+        });
+    }
+
+    // Import entries from CSV. Rows are matched to sprints by name, falling back to the given sprint
+    importFromCSV(csv, fallbackSprintId = null) {
+        const rows = this.parseCSV(csv);
+        if (rows.length === 0) {
+            throw new Error('Import file is empty');
+        }
+
+        const header = rows[0].map(column => column.trim());
+        const columns = ['date', 'jiraId', 'timeSpent', 'workDone'];
+        if (columns.some(column => !header.includes(column))) {
+            throw new Error(`CSV header must include: ${columns.join(', ')}`);
+        }
+
+        const result = { importedSprints: 0, importedEntries: 0, rejected: [] };
+        const usedEntryIds = new Set(this.entries.map(e => e.id));
+        const fallbackSprint = this.sprints.find(s => s.id === fallbackSprintId);
+
+        rows.slice(1).forEach((values, index) => {
+            const record = {};
+            header.forEach((column, i) => {
+                record[column] = values[i] !== undefined ? values[i] : '';
+            });
+
+            try {
+                let sprint = fallbackSprint;
+                if (record.sprint) {
+                    sprint = this.sprints.find(s => s.name === record.sprint.trim());
+                    if (!sprint) {
+                        throw new Error(`Unknown sprint "${record.sprint}"`);
+                    }
+                }
+
+                // Files exported before entry types existed have no type column: those rows are tasks
+                const type = (record.type || '').trim() || 'task';
+                this.validateEntry(record.date, record.jiraId, record.timeSpent, record.workDone, sprint, true, false, type);
+
+                const duplicate = this.entries.some(e =>
+                    e.sprintId === sprint.id && e.date === record.date.trim() && e.jiraId === record.jiraId.trim() &&
+                    e.timeSpent === parseFloat(record.timeSpent) && e.workDone === record.workDone.trim());
+                if (duplicate) {
+                    throw new Error('Entry already exists');
+                }
+
+                this.validateDailyHours(record.date.trim(), record.timeSpent);
+
+                const entry = {
+                    id: this.getAvailableId(null, usedEntryIds),
+                    date: this.formatDate(record.date.trim()),
+                    jiraId: record.jiraId.trim(),
+                    timeSpent: parseFloat(record.timeSpent),
+                    workDone: record.workDone.trim(),
+                    sprintId: sprint.id,
+                    timestamp: new Date().toISOString()
+                };
+                this.applyEntryType(entry, type);
+                this.applyEntryTags(entry, record.tags);
+                this.entries.push(entry);
+                result.importedEntries++;
+            } catch (error) {
+                // Row numbers match the file, counting the header as row 1
+                result.rejected.push({ row: `row ${index + 2}`, reason: error.message });
+            }
+        });
+
+        this.saveEntries();
+        return result;
+    }
+
+    // Find data problems: entries whose sprint is missing, duplicate IDs and entries, entries outside
+    // their sprint's dates or on non-working days, and sprint end dates that do not match their working days.
+    // Returns [{ id, type, message, repair }], where repair describes the fix (null when there is none).
+    checkIntegrity() {
+        const issues = [];
+        const sprintsById = new Map(this.sprints.map(sprint => [sprint.id, sprint]));
+        const sprintInRange = (date, exceptId) => this.sprints.find(s => s.id !== exceptId && this.isDateInSprintPeriod(date, s, true));
+        const describeEntry = entry => `${this.getEntryTaskKey(entry)} on ${entry.date} (${entry.timeSpent}h)`;
+
+        [['sprints', this.sprints], ['entries', this.entries]].forEach(([key, records]) => {
+            const counts = new Map();
+            records.forEach(record => counts.set(record.id, (counts.get(record.id) || 0) + 1));
+            counts.forEach((count, id) => {
+                if (count > 1) {
+                    issues.push({ id: `duplicate-id:${key}:${id}`, type: 'duplicate-id', message: `${count} ${key} share the ID ${id}`, repair: 'Give the copies new IDs' });
+                }
+            });
+        });
+
+        const seen = new Map();
+        this.entries.forEach(entry => {
+            const signature = JSON.stringify([entry.sprintId, entry.date, entry.jiraId, entry.timeSpent, entry.workDone, this.getEntryType(entry)]);
+            if (seen.has(signature)) {
+                issues.push({
+                    id: `duplicate-entry:${entry.id}`,
+                    type: 'duplicate-entry',
+                    message: `Entry ${describeEntry(entry)} is logged twice`,
+                    repair: 'Delete the copy'
+                });
+                // Deleting the copy repairs everything else about it
+                return;
+            }
+            seen.set(signature, entry);
+
+            const sprint = sprintsById.get(entry.sprintId);
+            if (!sprint) {
+                const target = sprintInRange(entry.date);
+                issues.push({
+                    id: `orphan-entry:${entry.id}`,
+                    type: 'orphan-entry',
+                    message: `Entry ${describeEntry(entry)} belongs to a sprint that no longer exists`,
+                    repair: target ? `Move it to sprint "${target.name}"` : 'Delete the entry'
+                });
+                return;
+            }
+
+            if (!this.isDateInSprintPeriod(entry.date, sprint, true)) {
+                const target = sprintInRange(entry.date, sprint.id);
+                issues.push({
+                    id: `outside-sprint:${entry.id}`,
+                    type: 'outside-sprint',
+                    message: `Entry ${describeEntry(entry)} is outside sprint "${sprint.name}" (${sprint.startDate} – ${sprint.endDate})`,
+                    repair: target ? `Move it to sprint "${target.name}"` : null
+                });
+            } else if (!entry.overtime && !this.isWorkingDay(entry.date)) {
+                issues.push({
+                    id: `non-working-day:${entry.id}`,
+                    type: 'non-working-day',
+                    message: `Entry ${describeEntry(entry)} is on a non-working day`,
+                    repair: 'Mark it as overtime'
+                });
+            }
+        });
+
+        this.getEndDateRecalculation().forEach(({ sprint, endDate, error }) => {
+            issues.push({
+                id: `sprint-end-date:${sprint.id}`,
+                type: 'sprint-end-date',
+                message: error ?
+                    `The end date of sprint "${sprint.name}" cannot be calculated: ${error}` :
+                    `Sprint "${sprint.name}" ends ${sprint.endDate}, but its ${this.getSprintCapacity(sprint).workingDays} working days now end ${endDate}`,
+                repair: error ? null : `Set the end date to ${endDate}`
+            });
+        });
+
+        return issues;
+    }
+
+    // Repair the given integrity issues (IDs from checkIntegrity); returns how many were repaired
+    repairIntegrity(issueIds) {
+        const selected = new Set(issueIds);
+        let repaired = 0;
+
+        // Duplicate IDs first, so the other repairs find the right record
+        this.checkIntegrity().filter(issue => issue.type === 'duplicate-id' && selected.has(issue.id)).forEach(issue => {
+            const [, key, id] = issue.id.split(':');
+            const usedIds = new Set(this[key].map(record => record.id));
+            this[key].filter(record => record.id === id).slice(1).forEach(record => {
+                record.id = this.getAvailableId(null, usedIds);
+            });
+            repaired++;
+        });
+
+        this.checkIntegrity().filter(issue => issue.repair && issue.type !== 'duplicate-id' && selected.has(issue.id)).forEach(issue => {
+            const recordId = issue.id.slice(issue.type.length + 1);
+            const entry = this.entries.find(e => e.id === recordId);
+            // An earlier repair may have deleted the entry already
+            if (!entry && issue.type !== 'sprint-end-date') return;
+
+            if (issue.type === 'duplicate-entry') {
+                this.entries = this.entries.filter(e => e !== entry);
+            } else if (issue.type === 'orphan-entry' || issue.type === 'outside-sprint') {
+                const target = this.sprints.find(s => s.id !== entry.sprintId && this.isDateInSprintPeriod(entry.date, s, true));
+                if (target) {
+                    entry.sprintId = target.id;
+                } else {
+                    this.entries = this.entries.filter(e => e !== entry);
+                }
+            } else if (issue.type === 'non-working-day') {
+                entry.overtime = true;
+            } else if (issue.type === 'sprint-end-date') {
+                this.recalculateSprintEndDates([recordId]);
+            }
+            repaired++;
+        });
+
+        if (repaired > 0) {
+            this.saveSprints();
+            this.saveEntries();
+            this.saveCurrentSprint();
+        }
+        return repaired;
+    }
+
+    // End date the sprint's working days give today, or undefined when it cannot be calculated
+    // (e.g. the start date has become a holiday)
+    getComputedEndDate(sprint) {
+        try {
+            return this.calculateSprintEndDate(sprint.startDate, this.getSprintCapacity(sprint).workingDays);
+        } catch (error) {
+            return undefined;
+        }
+    }
+
+    // Preview of recalculating computed end dates: [{ sprint, endDate, conflicts, error }] for every
+    // computed sprint whose end date no longer matches its working days (e.g. after adding a holiday).
+    // `conflicts` counts the entries that would fall outside the sprint. Manual end dates are left alone.
+    getEndDateRecalculation() {
+        return this.sprints
+            .filter(sprint => sprint.endDateMode === 'computed')
+            .map(sprint => {
+                try {
+                    const endDate = this.calculateSprintEndDate(sprint.startDate, this.getSprintCapacity(sprint).workingDays);
+                    const conflicts = this.getSprintEntryConflicts(sprint.id, { endDate }).length;
+                    return { sprint, endDate, conflicts, error: null };
+                } catch (error) {
+                    return { sprint, endDate: null, conflicts: 0, error: error.message };
+                }
+            })
+            .filter(change => change.error || change.endDate !== change.sprint.endDate);
+    }
+
+    // Apply the recalculated end dates of the given computed sprints; returns the sprints that changed.
+    // Entries that end up outside their sprint are kept and reported by checkIntegrity().
+    recalculateSprintEndDates(sprintIds) {
+        const updated = this.getEndDateRecalculation()
+            .filter(change => !change.error && sprintIds.includes(change.sprint.id))
+            .map(change => {
+                change.sprint.endDate = change.endDate;
+                return change.sprint;
+            });
+
+        if (updated.length > 0) {
+            this.saveSprints();
+        }
+        return updated;
+    }
+
+    // Clear all data (for debugging)
+    clearAllData() {
+        this.entries = [];
+        this.sprints = [];
+        this.currentSprint = null;
+        this.saveEntries();
+        this.saveSprints();
+        this.saveCurrentSprint();
+    }
+
+    // Mutating methods recorded as undoable commands, with the action name used in the activity log
+    getMutationLabels() {
+        return {
+            createSprint: 'Create sprint',
+            updateSprint: 'Edit sprint',
+            setSprintArchived: (sprintId, archived = true) => archived ? 'Archive sprint' : 'Restore sprint',
+            deleteSprint: 'Delete sprint',
+            setCurrentSprint: 'Select sprint',
+            addEntry: 'Add entry',
+            updateEntry: 'Edit entry',
+            deleteEntry: 'Delete entry',
+            clearSprintEntries: 'Clear sprint entries',
+            clearAllEntries: 'Clear all entries',
+            clearAllData: 'Clear all data',
+            updateSettings: 'Change settings',
+            updateAllSettings: 'Change settings',
+            updateWorkWeek: 'Change work week',
+            addHolidaySet: 'Add holiday set',
+            setHolidaySetEnabled: (setId, enabled) => enabled ? 'Enable holiday set' : 'Disable holiday set',
+            deleteHolidaySet: 'Delete holiday set',
+            importHolidaysFromICS: 'Import holidays',
+            addPTO: 'Add PTO day',
+            deletePTO: 'Delete PTO day',
+            updateCategories: 'Change categories',
+            addTemplate: 'Save template',
+            deleteTemplate: 'Delete template',
+            addTemplateDrafts: 'Add recurring entries',
+            logTimer: 'Log timer',
+            discardTimer: 'Discard timer',
+            setJiraConfig: config => config ? 'Change Jira settings' : 'Disconnect Jira',
+            importFromJSON: 'Import JSON',
+            importFromCSV: 'Import CSV',
+            recalculateSprintEndDates: 'Recalculate sprint end dates',
+            repairIntegrity: 'Repair data'
+        };
+    }
+
+    // Wrap every mutating method so each outermost call becomes one undoable command
+    recordMutations() {
+        Object.entries(this.getMutationLabels()).forEach(([method, label]) => {
+            const mutate = this[method].bind(this);
+            this[method] = (...args) => this.runCommand(typeof label === 'function' ? label(...args) : label, () => mutate(...args));
+        });
+    }
+
+    // Run a mutation and record what it changed. Nothing is recorded when it throws or changes nothing.
+    runCommand(label, mutate) {
+        if (this.commandDepth > 0) return mutate();
+
+        // Other tabs' changes are taken in first, so they are not recorded as part of this command
+        this.syncExternalChanges();
+        const before = this.getHistoryState();
+        this.commandDepth++;
+        let result;
+        try {
+            result = mutate();
+        } finally {
+            this.commandDepth--;
+        }
+
+        const changes = this.diffHistoryState(before, this.getHistoryState());
+        if (changes) {
+            const command = { id: generateId(), label, details: this.describeHistoryChanges(changes), changes };
+            this.undoStack.push(command);
+            if (this.undoStack.length > 100) this.undoStack.shift();
+            this.redoStack = [];
+            this.addAuditLogEntry(label, command.details);
+        }
+        return result;
+    }
+
+    // Copy of the state undo/redo restores. Record lists are diffed by id, the other values are restored whole.
+    getHistoryState() {
+        return JSON.parse(JSON.stringify({
+            records: { entries: this.entries, sprints: this.sprints, templates: this.templates, timers: this.timers },
+            values: {
+                currentSprintId: this.currentSprint ? this.currentSprint.id : null,
+                settings: this.settings,
+                workWeek: this.workWeek,
+                calendar: this.calendar,
+                categories: this.categories,
+                jiraConfig: this.jiraConfig
+            }
+        }));
+    }
+
+    // Changed records ({ id, index, before, after }, null = absent) and values; null when nothing changed
+    diffHistoryState(before, after) {
+        const changes = { records: {}, values: {} };
+        let changed = false;
+
+        Object.keys(before.records).forEach(key => {
+            const beforeById = new Map(before.records[key].map((record, index) => [record.id, { record, index }]));
+            const afterById = new Map(after.records[key].map((record, index) => [record.id, { record, index }]));
+            const recordChanges = [...new Set([...beforeById.keys(), ...afterById.keys()])]
+                .map(id => {
+                    const old = beforeById.get(id);
+                    const current = afterById.get(id);
+                    return {
+                        id,
+                        index: old ? old.index : current.index,
+                        before: old ? old.record : null,
+                        after: current ? current.record : null
+                    };
+                })
+                .filter(change => JSON.stringify(change.before) !== JSON.stringify(change.after));
+            if (recordChanges.length > 0) {
+                changes.records[key] = recordChanges;
+                changed = true;
+            }
+        });
+
+        Object.keys(before.values).forEach(key => {
+            if (JSON.stringify(before.values[key]) !== JSON.stringify(after.values[key])) {
+                changes.values[key] = { before: before.values[key], after: after.values[key] };
+                changed = true;
+            }
+        });
+
+        return changed ? changes : null;
+    }
+
+    // Put each changed record and value back to its 'before' or 'after' state, leaving other records alone
+    applyHistoryChanges(changes, side) {
+        Object.entries(changes.records).forEach(([key, recordChanges]) => {
+            const list = this[key];
+            recordChanges.forEach(change => {
+                const index = list.findIndex(record => record.id === change.id);
+                const target = change[side] ? JSON.parse(JSON.stringify(change[side])) : null;
+                if (index !== -1 && target) {
+                    list[index] = target;
+                } else if (index !== -1) {
+                    list.splice(index, 1);
+                } else if (target) {
+                    list.splice(Math.min(change.index, list.length), 0, target);
+                }
+            });
+        });
+
+        Object.entries(changes.values).forEach(([key, change]) => {
+            if (key !== 'currentSprintId') {
+                this[key] = JSON.parse(JSON.stringify(change[side]));
+            }
+        });
+
+        // Sprint records were replaced, so the current sprint is looked up again either way
+        const currentSprintId = changes.values.currentSprintId
+            ? changes.values.currentSprintId[side]
+            : this.currentSprint && this.currentSprint.id;
+        this.currentSprint = this.sprints.find(sprint => sprint.id === currentSprintId) || null;
+
+        this.saveEntries();
+        this.saveSprints();
+        this.saveTemplates();
+        this.saveTimers();
+        this.saveCurrentSprint();
+        this.saveSettings();
+        this.saveWorkWeek();
+        this.saveCalendar();
+        this.saveCategories();
+        if (changes.values.jiraConfig) {
+            this.writeJSON('timeTrackerJiraConfig', this.jiraConfig);
+            this.jiraClient = JiraClient.create(this.jiraConfig);
+        }
+    }
+
+    // Short summary of a command's changes for the activity log
+    describeHistoryChanges(changes) {
+        const describeRecord = {
+            entries: entry => `entry ${this.getEntryTaskKey(entry)} on ${entry.date} (${entry.timeSpent}h)`,
+            sprints: sprint => `sprint "${sprint.name}"`,
+            templates: template => `template "${template.name}"`,
+            timers: timer => `timer ${timer.jiraId}`
+        };
+        const parts = [];
+
+        Object.entries(changes.records).forEach(([key, recordChanges]) => {
+            [['added', c => !c.before], ['removed', c => !c.after], ['changed', c => c.before && c.after]].forEach(([verb, matches]) => {
+                const matching = recordChanges.filter(matches);
+                if (matching.length === 0) return;
+                parts.push(matching.length > 3
+                    ? `${verb} ${matching.length} ${key}`
+                    : `${verb} ${matching.map(c => describeRecord[key](c.after || c.before)).join(', ')}`);
+            });
+        });
+
+        Object.keys(changes.values).forEach(key => {
+            if (key === 'currentSprintId') {
+                const sprint = this.sprints.find(s => s.id === changes.values.currentSprintId.after);
+                parts.push(sprint ? `current sprint: "${sprint.name}"` : 'no current sprint');
+            } else {
+                parts.push(`${key.replace(/[A-Z]/g, letter => ` ${letter.toLowerCase()}`)} changed`);
+            }
+        });
+
+        return parts.join('; ');
+    }
+
+    canUndo() {
+        return this.undoStack.length > 0;
+    }
+
+    canRedo() {
+        return this.redoStack.length > 0;
+    }
+
+    // Undo the last command; returns it, or null when there is nothing to undo
+    undo() {
+        const command = this.undoStack.pop();
+        if (!command) return null;
+
+        this.applyHistoryChanges(command.changes, 'before');
+        this.redoStack.push(command);
+        this.addAuditLogEntry(`Undo: ${command.label}`, command.details);
+        return command;
+    }
+
+    // Redo the last undone command; returns it, or null when there is nothing to redo
+    redo() {
+        const command = this.redoStack.pop();
+        if (!command) return null;
+
+        this.applyHistoryChanges(command.changes, 'after');
+        this.undoStack.push(command);
+        this.addAuditLogEntry(`Redo: ${command.label}`, command.details);
+        return command;
+    }
+
+    // Activity log of every recorded change, oldest first ([{ at, user, action, details }])
+    getAuditLog() {
+        return this.auditLog;
+    }
+
+    // Load the activity log from storage
+    loadAuditLog() {
+        return this.readJSON('timeTrackerAuditLog', [], Array.isArray);
+    }
+
+    // Append to the activity log, keeping the newest 1000 records
+    addAuditLogEntry(action, details) {
+        this.auditLog = this.auditLog
+            .concat({ at: new Date().toISOString(), user: this.settings.userName || 'Unknown user', action, details })
+            .slice(-1000);
+        this.saveAuditLog();
+    }
+
+    // Save the activity log, keeping the records another tab appended meanwhile
+    saveAuditLog() {
+        this.auditLog = this.syncValue('timeTrackerAuditLog', this.auditLog, (base, ours, theirs) => this.mergeAuditLogs(base, ours, theirs));
+    }
+}
+
+// UI Controller
+class TimeTrackerUI {
+    constructor(storage) {
+        this.tracker = new TimeTracker(storage);
+        this.editingEntryId = null; // Entry currently shown in inline edit mode
+        this.taskSort = { key: 'hours', ascending: false }; // Task breakdown table order
+        this.timerInterval = null; // Ticks the live timer display
+        this.templateDrafts = []; // Recurring drafts shown for review
+        this.reminderInterval = null; // Checks once a minute whether the daily reminder is due
+        this.editingSprintId = null; // Sprint shown in the sprint modal for editing
+        this.pendingEntryPolicy = null; // Sprint change waiting for a move/delete choice
+        this.storageWarningDismissed = false; // Hides the storage warning until the next start
+        this.announcedCommandId = null; // Last command offered for undo in a toast
+        this.init();
+    }
+
+    init() {
+        this.createUI();
+        this.bindEvents();
+        this.updateTagPicker('tagPicker', []);
+        this.updateTemplateButtons();
+        this.applyEntryIncrement();
+        this.updateStorageWarning();
+        this.tracker.watchExternalChanges((key, overridden) => this.refreshAfterExternalChange(key, overridden));
+        this.refreshDisplay();
+        this.timerInterval = setInterval(() => this.updateTimerClocks(), 1000);
+        this.reminderInterval = setInterval(() => this.checkReminder(), 60000);
+        this.checkReminder();
+    }
+
+    createUI() {
+        document.body.innerHTML = `
+            <div class="container">
+                <h1>🏃‍♂️ Sprint Time Tracker</h1>
+                <div id="storageWarning" class="past-sprint-warning" style="display: none;"></div>
+                <div id="integrityWarning" class="past-sprint-warning" style="display: none;"></div>
+                
+                <div class="input-section">
+                    <div class="sprint-management">
+                        <h2>Sprint Management</h2>
+                        <div id="currentSprintInfo"></div>
+                        <button id="createSprintBtn" class="secondary-btn">Create New Sprint</button>
+                        <button id="selectSprintBtn" class="secondary-btn">Select Sprint</button>
+                        <button id="settingsBtn" class="secondary-btn">Settings</button>
+                        <button id="calendarBtn" class="secondary-btn">Holidays &amp; PTO</button>
+                        <button id="dashboardBtn" class="secondary-btn">Dashboard</button>
+                        <button id="activityLogBtn" class="secondary-btn">Activity Log</button>
+                    </div>
+                    
+                    <div class="timer-section">
+                        <h2>Timer</h2>
+                        <div id="timerWarning" class="past-sprint-warning" style="display: none;"></div>
+                        <div class="form-group">
+                            <input type="text" id="timerJiraInput" placeholder="Jira Task ID, e.g., PROJ-123">
+                        </div>
+                        <div class="form-group">
+                            <input type="text" id="timerWorkDoneInput" placeholder="What are you working on?">
+                        </div>
+                        <button type="button" id="startTimerBtn">▶ Start Timer</button>
+                        <div id="timersList"></div>
+                    </div>
+
+                    <div class="time-entry" id="timeEntrySection" style="display: none;">
+                        <h2>Add Time Entry</h2>
+                        <div class="template-bar">
+                            <div id="templateButtons"></div>
+                            <button type="button" id="manageTemplatesBtn" class="secondary-btn">Templates</button>
+                        </div>
+                        <div id="pastSprintWarning" class="past-sprint-warning" style="display: none;">
+                            <p>⚠️ This sprint has ended. You can still add entries for past dates within the sprint period.</p>
+                        </div>
+                        <form id="entryForm">
+                            <div class="form-group">
+                                <label for="dateInput">Date:</label>
+                                <input type="date" id="dateInput" required>
+                            </div>
+                            
+                            <div class="form-group">
+                                <label for="entryTypeInput">Type:</label>
+                                <select id="entryTypeInput">
+                                    ${this.buildEntryTypeOptionsHtml('task')}
+                                </select>
+                            </div>
+
+                            <div class="form-group">
+                                <label for="jiraInput">Jira Task ID:</label>
+                                <input type="text" id="jiraInput" placeholder="e.g., PROJ-123">
+                            </div>
+                            
+                            <div class="form-group">
+                                <label for="timeInput">Time Spent (hours):</label>
+                                <input type="number" id="timeInput" step="0.25" min="0.25" placeholder="e.g., 2.5" required>
+                                <small id="dayTotalHint" class="day-total-hint"></small>
+                            </div>
+                            
+                            <div class="form-group">
+                                <label for="workDoneInput">Work Done:</label>
+                                <textarea id="workDoneInput" placeholder="e.g., Tested login functionality, found 2 bugs" rows="3" required></textarea>
+                            </div>
+
+                            <div class="form-group">
+                                <label>Categories:</label>
+                                <div id="tagPicker" class="tag-picker"></div>
+                            </div>
+
+                            <div class="form-group">
+                                <label><input type="checkbox" id="overtimeInput" style="width: auto;"> Overtime (allow weekends and days off)</label>
+                            </div>
+                            
+                            <button type="submit">Add Entry</button>
+                        </form>
+                    </div>
+
+                    <div class="data-management">
+                        <h2>Export / Import</h2>
+                        <button id="exportSprintCsvBtn" class="secondary-btn">Export Sprint (CSV)</button>
+                        <button id="exportAllCsvBtn" class="secondary-btn">Export All (CSV)</button>
+                        <button id="exportJsonBtn" class="secondary-btn">Backup All (JSON)</button>
+                        <button id="importBtn" class="secondary-btn">Import CSV / JSON</button>
+                        <button id="jiraWorklogsBtn" class="secondary-btn">Jira Worklogs</button>
+                        <button id="checkDataBtn" class="secondary-btn">Check Data</button>
+                    </div>
+
+                    <div class="data-management">
+                        <h2>Jira</h2>
+                        <div id="jiraStatus"></div>
+                        <button id="jiraSettingsBtn" class="secondary-btn">Jira Settings</button>
+                        <button id="syncWorklogsBtn" class="secondary-btn">Sync Worklogs</button>
+                        <input type="file" id="importFileInput" accept=".csv,.json,text/csv,application/json" style="display: none;">
+                    </div>
+                </div>
+
+                <div class="sprint-progress-section">
+                    <h2>Current Sprint Progress</h2>
+                    <div id="missingTimePanel"></div>
+                    <div id="sprintProgress"></div>
+                </div>
+
+                <div class="main-content">
+                    <div class="timesheet-section" id="timesheetSection" style="display: none;">
+                        <h2>Timesheet</h2>
+                        <div id="timesheetGrid"></div>
+                    </div>
+
+                    <div class="entries-section">
+                        <h2>Sprint Entries</h2>
+                        <div class="controls">
+                            <button id="searchEntriesBtn" class="secondary-btn">Search All Entries</button>
+                            <button id="clearSprintBtn" class="danger-btn">Clear Sprint Entries</button>
+                        </div>
+                        <div id="entriesList"></div>
+                    </div>
+
+                    <div class="summary-section">
+                        <h2>Sprint Summary</h2>
+                        <div id="summaryDisplay"></div>
+                        <div id="taskBreakdown"></div>
+                    </div>
+                </div>
+            </div>
+
+            <!-- Sprint Creation Modal -->
+            <div id="sprintModal" class="modal" style="display: none;">
+                <div class="modal-content">
+                    <span class="close">&times;</span>
+                    <h2 id="sprintModalTitle">Create New Sprint</h2>
+                    <form id="sprintForm">
+                        <div class="form-group">
+                            <label for="sprintNameInput">Sprint Name:</label>
+                            <input type="text" id="sprintNameInput" placeholder="e.g., Sprint 24.15" required>
+                        </div>
+                        
+                        <div class="form-group">
+                            <label for="sprintStartInput">Start Date:</label>
+                            <input type="date" id="sprintStartInput" required>
+                        </div>
+                        
+                        <div class="form-group">
+                            <label for="sprintEndInput">End Date:</label>
+                            <input type="date" id="sprintEndInput" required>
+                            <label style="font-weight: normal;">
+                                <input type="checkbox" id="sprintEndComputedInput" style="width: auto;">
+                                <span id="autoCalculateLabel">Calculate from 10 working days</span>
+                            </label>
+                            <small style="color: #666;">Calculated end dates follow the start date and working days; untick to set the end date yourself</small>
+                        </div>
+                        
+                        <div class="capacity-row">
+                            <div class="form-group">
+                                <label for="sprintHoursPerDayInput">Hours/Day:</label>
+                                <input type="number" id="sprintHoursPerDayInput" step="0.25" min="0.25" max="24">
+                            </div>
+                            <div class="form-group">
+                                <label for="sprintWorkingDaysInput">Working Days:</label>
+                                <input type="number" id="sprintWorkingDaysInput" step="1" min="1">
+                            </div>
+                            <div class="form-group">
+                                <label for="sprintTargetInput">Target Hours:</label>
+                                <input type="number" id="sprintTargetInput" step="0.25" min="0.25">
+                            </div>
+                        </div>
+
+                        <button type="submit" id="sprintSubmitBtn">Create Sprint</button>
+                        <button type="button" id="cancelSprintBtn">Cancel</button>
+                    </form>
+                </div>
+            </div>
+
+            <!-- Dashboard Modal -->
+            <div id="dashboardModal" class="modal" style="display: none;">
+                <div class="modal-content wide">
+                    <span class="close">&times;</span>
+                    <h2>History &amp; Trends</h2>
+                    <div class="filter-row">
+                        <label for="dashboardFromInput">From</label>
+                        <input type="date" id="dashboardFromInput">
+                        <label for="dashboardToInput">To</label>
+                        <input type="date" id="dashboardToInput">
+                        <button type="button" id="dashboardResetBtn" class="secondary-btn">All Time</button>
+                    </div>
+                    <div id="dashboardContent"></div>
+                </div>
+            </div>
+
+            <!-- Search Modal -->
+            <div id="searchModal" class="modal" style="display: none;">
+                <div class="modal-content wide">
+                    <span class="close">&times;</span>
+                    <h2>Search Entries</h2>
+                    <form id="searchForm" class="search-grid">
+                        <input type="text" id="searchJiraInput" placeholder="Jira ID, e.g., PROJ-123">
+                        <input type="text" id="searchProjectInput" placeholder="Project, e.g., PROJ">
+                        <input type="text" id="searchTextInput" placeholder="Work done contains...">
+                        <select id="searchTagInput"></select>
+                        <select id="searchTypeInput">
+                            <option value="">All types</option>
+                            ${this.buildEntryTypeOptionsHtml('')}
+                        </select>
+                        <select id="searchSprintInput"></select>
+                        <label>From <input type="date" id="searchFromInput"></label>
+                        <label>To <input type="date" id="searchToInput"></label>
+                        <input type="number" id="searchMinHoursInput" step="0.25" min="0" placeholder="Min hours">
+                        <input type="number" id="searchMaxHoursInput" step="0.25" min="0" placeholder="Max hours">
+                    </form>
+                    <div class="controls">
+                        <button type="button" id="searchResetBtn" class="secondary-btn">Reset</button>
+                        <button type="button" id="searchExportBtn" class="secondary-btn">Export Results (CSV)</button>
+                    </div>
+                    <div id="searchResults"></div>
+                </div>
+            </div>
+
+            <!-- Settings Modal -->
+            <div id="settingsModal" class="modal" style="display: none;">
+                <div class="modal-content">
+                    <span class="close">&times;</span>
+                    <h2>Default Sprint Capacity</h2>
+                    <form id="settingsForm">
+                        <p style="color: #666; margin-bottom: 15px;">Used for new sprints. Existing sprints keep their own capacity.</p>
+                        <div class="form-group">
+                            <label for="settingsHoursPerDayInput">Hours per Working Day:</label>
+                            <input type="number" id="settingsHoursPerDayInput" step="0.25" min="0.25" max="24" required>
+                        </div>
+
+                        <div class="form-group">
+                            <label for="settingsWorkingDaysInput">Working Days per Sprint:</label>
+                            <input type="number" id="settingsWorkingDaysInput" step="1" min="1" required>
+                        </div>
+
+                        <div class="form-group">
+                            <label for="settingsTargetInput">Target Hours per Sprint:</label>
+                            <input type="number" id="settingsTargetInput" step="0.25" min="0.25">
+                            <small style="color: #666;">Leave empty to use hours per day × working days</small>
+                        </div>
+
+                        <div class="form-group">
+                            <label for="settingsWorkdayEndInput">Workday Ends At:</label>
+                            <input type="time" id="settingsWorkdayEndInput" required>
+                            <small style="color: #666;">Running timers show a warning after this time</small>
+                        </div>
+
+                        <div class="form-group">
+                            <label for="settingsUserNameInput">Your Name:</label>
+                            <input type="text" id="settingsUserNameInput" placeholder="e.g. Alex">
+                            <small style="color: #666;">Recorded with each change in the activity log</small>
+                        </div>
+
+                        <div class="form-group">
+                            <label for="settingsReminderInput">Daily Reminder At:</label>
+                            <input type="time" id="settingsReminderInput">
+                            <small style="color: #666;">Notifies you when nothing is logged for today by this time. Leave empty to turn off.</small>
+                        </div>
+
+                        <div class="form-group">
+                            <label for="settingsDailyLimitInput">Daily Hour Limit:</label>
+                            <input type="number" id="settingsDailyLimitInput" step="0.25" min="0.25" max="24" required>
+                            <small style="color: #666;">Entries that would take a day past this are rejected; going past the day's planned hours only warns</small>
+                        </div>
+
+                        <div class="form-group">
+                            <label for="settingsIncrementInput">Entry Increment (hours):</label>
+                            <input type="number" id="settingsIncrementInput" step="0.05" min="0.05" required>
+                            <small style="color: #666;">Smallest step for time entries and timer rounding, e.g. 0.25</small>
+                        </div>
+
+                        <div class="form-group">
+                            <label><input type="checkbox" id="settingsLeaveReducesCapacityInput" style="width: auto;"> Leave reduces the sprint target</label>
+                            <small style="color: #666;">Otherwise leave entries count as logged hours</small>
+                        </div>
+
+                        <h3>Work Week</h3>
+                        <p style="color: #666; margin-bottom: 10px;">Tick your working days. Hours are optional and override hours per day for that weekday.</p>
+                        <div id="workWeekInputs" class="work-week-grid"></div>
+
+                        <h3>Categories</h3>
+                        <div class="form-group">
+                            <label for="settingsCategoriesInput">Work categories (one per line):</label>
+                            <textarea id="settingsCategoriesInput" rows="6"></textarea>
+                            <small style="color: #666;">Offered as tags on entries. Removing one keeps it on entries that already use it.</small>
+                        </div>
+
+                        <h3>Storage</h3>
+                        <div class="form-group">
+                            <label for="settingsStorageInput">Save data in:</label>
+                            <select id="settingsStorageInput">
+                                <option value="localStorage">Browser localStorage</option>
+                                <option value="indexedDB">IndexedDB</option>
+                            </select>
+                            <small style="color: #666;">IndexedDB has room for much more history. Switching copies all data to the new store.</small>
+                        </div>
+
+                        <button type="submit">Save Settings</button>
+                    </form>
+                </div>
+            </div>
+
+            <!-- Holidays & PTO Modal -->
+            <div id="calendarModal" class="modal" style="display: none;">
+                <div class="modal-content">
+                    <span class="close">&times;</span>
+                    <h2>Holidays &amp; PTO</h2>
+
+                    <h3>Holiday Sets</h3>
+                    <div id="holidaySetsList"></div>
+                    <div class="form-group">
+                        <label for="holidaySetNameInput">Import from iCalendar (.ics):</label>
+                        <input type="text" id="holidaySetNameInput" placeholder="Set name, e.g., US Holidays 2025">
+                    </div>
+                    <button type="button" id="importIcsBtn" class="secondary-btn">Choose .ics File</button>
+                    <input type="file" id="icsFileInput" accept=".ics,text/calendar" style="display: none;">
+
+                    <h3>Personal PTO</h3>
+                    <div class="pto-row">
+                        <input type="date" id="ptoDateInput">
+                        <input type="text" id="ptoNoteInput" placeholder="Note (optional)">
+                        <button type="button" id="addPtoBtn">Add</button>
+                    </div>
+                    <div id="ptoList"></div>
+                </div>
+            </div>
+
+            <!-- Sprint Selection Modal -->
+            <div id="selectSprintModal" class="modal" style="display: none;">
+                <div class="modal-content">
+                    <span class="close">&times;</span>
+                    <h2>Select Sprint</h2>
+                    <label style="font-weight: normal;"><input type="checkbox" id="showArchivedInput" style="width: auto;"> Show archived sprints</label>
+                    <div id="sprintsList"></div>
+                    <button type="button" id="recalculateEndDatesBtn" class="secondary-btn">Recalculate End Dates</button>
+                    <button type="button" id="cancelSelectBtn">Cancel</button>
+                </div>
+            </div>
+
+            <!-- Entry Policy Modal (entries of an edited or deleted sprint) -->
+            <div id="entryPolicyModal" class="modal" style="display: none;">
+                <div class="modal-content">
+                    <span class="close">&times;</span>
+                    <h2>Entries Affected</h2>
+                    <p id="entryPolicyMessage"></p>
+                    <div class="form-group">
+                        <label for="entryPolicyTargetInput">Move them to:</label>
+                        <select id="entryPolicyTargetInput"></select>
+                    </div>
+                    <button type="button" id="entryPolicyMoveBtn">Move Entries</button>
+                    <button type="button" id="entryPolicyDeleteBtn" class="danger-btn">Delete Entries</button>
+                </div>
+            </div>
+
+            <!-- Activity Log Modal -->
+            <div id="activityLogModal" class="modal" style="display: none;">
+                <div class="modal-content wide">
+                    <span class="close">&times;</span>
+                    <h2>Activity Log</h2>
+                    <div class="filter-row">
+                        <button type="button" id="undoBtn" class="secondary-btn">↶ Undo</button>
+                        <button type="button" id="redoBtn" class="secondary-btn">↷ Redo</button>
+                        <small style="color: #666;">Ctrl+Z / Ctrl+Shift+Z</small>
+                    </div>
+                    <div id="activityLogList"></div>
+                </div>
+            </div>
+
+            <!-- Jira Worklog Preview Modal -->
+            <div id="jiraWorklogModal" class="modal" style="display: none;">
+                <div class="modal-content wide">
+                    <span class="close">&times;</span>
+                    <h2>Jira Worklogs (Dry Run)</h2>
+                    <div id="jiraWorklogPreview"></div>
+                    <button type="button" id="downloadWorklogsBtn">Download JSON</button>
+                </div>
+            </div>
+
+            <!-- Jira Settings Modal -->
+            <div id="jiraSettingsModal" class="modal" style="display: none;">
+                <div class="modal-content">
+                    <span class="close">&times;</span>
+                    <h2>Jira Settings</h2>
+                    <form id="jiraSettingsForm">
+                        <div class="form-group">
+                            <label for="jiraBaseUrlInput">Jira Base URL:</label>
+                            <input type="url" id="jiraBaseUrlInput" placeholder="e.g., https://yourcompany.atlassian.net">
+                        </div>
+
+                        <div class="form-group">
+                            <label for="jiraTokenInput">API Token:</label>
+                            <input type="password" id="jiraTokenInput" placeholder="Personal access token">
+                            <small style="color: #666;">Stored in this browser only</small>
+                        </div>
+
+                        <button type="submit">Save</button>
+                        <button type="button" id="disconnectJiraBtn" class="danger-btn">Disconnect</button>
+                    </form>
+                </div>
+            </div>
+
+            <!-- Templates Modal -->
+            <div id="templatesModal" class="modal" style="display: none;">
+                <div class="modal-content wide">
+                    <span class="close">&times;</span>
+                    <h2>Entry Templates</h2>
+                    <div id="templatesList"></div>
+
+                    <h3>New Template</h3>
+                    <form id="templateForm" class="search-grid">
+                        <input type="text" id="templateNameInput" placeholder="Name, e.g., Daily standup">
+                        <select id="templateTypeInput">${this.buildEntryTypeOptionsHtml('meeting')}</select>
+                        <input type="text" id="templateJiraInput" placeholder="Jira Task ID (tasks only)">
+                        <input type="number" id="templateTimeInput" step="0.25" min="0.25" placeholder="Hours" required>
+                        <input type="text" id="templateWorkDoneInput" placeholder="Work done" required>
+                        <select id="templateRecurrenceInput">
+                            <option value="none">Manual only</option>
+                            <option value="workday">Every working day</option>
+                            ${[1, 2, 3, 4, 5, 6, 0].map(day => `<option value="weekday-${day}">Every ${['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'][day]}</option>`).join('')}
+                            <option value="sprint-first">First day of sprint</option>
+                            <option value="sprint-last">Last day of sprint</option>
+                        </select>
+                        <div id="templateTagPicker" class="tag-picker"></div>
+                        <button type="submit">Save Template</button>
+                    </form>
+
+                    <h3>Recurring Drafts</h3>
+                    <p style="color: #666;">Generate the recurring templates' entries for the current sprint, review them, then add the ticked ones.</p>
+                    <button type="button" id="generateDraftsBtn" class="secondary-btn">Generate Drafts</button>
+                    <div id="templateDrafts"></div>
+                </div>
+            </div>
+
+            <!-- Import Report Modal -->
+            <div id="recalculateModal" class="modal" style="display: none;">
+                <div class="modal-content wide">
+                    <span class="close">&times;</span>
+                    <h2>Recalculate End Dates</h2>
+                    <p style="color: #666;">Calculated end dates after changes to the work week, holidays or PTO. End dates set by hand are never changed.</p>
+                    <div id="recalculatePreview"></div>
+                </div>
+            </div>
+
+            <div id="integrityModal" class="modal" style="display: none;">
+                <div class="modal-content wide">
+                    <span class="close">&times;</span>
+                    <h2>Data Check</h2>
+                    <div id="integrityReport"></div>
+                </div>
+            </div>
+
+            <div id="importReportModal" class="modal" style="display: none;">
+                <div class="modal-content">
+                    <span class="close">&times;</span>
+                    <h2>Import Report</h2>
+                    <div id="importReport"></div>
+                </div>
+            </div>
+        `;
+
+        // Add styles
+        const style = document.createElement('style');
+        style.textContent = `
+            * {
+                margin: 0;
+                padding: 0;
+                box-sizing: border-box;
+            }
+
+            body {
+                font-family: 'Segoe UI', Tahoma, Geneva, Verdana, sans-serif;
+                background-color: #f5f5f5;
+                color: #333;
+                line-height: 1.6;
+                min-height: 100vh;
+            }
+
+            .container {
+                max-width: 1400px;
+                margin: 0 auto;
+                padding: 20px;
+                display: grid;
+                grid-template-columns: 350px 1fr;
+                grid-template-rows: auto auto 1fr;
+                gap: 20px;
+                height: 100vh;
+                grid-template-areas: 
+                    "header header"
+                    "input sprint-progress"
+                    "input main";
+            }
+
+            h1 {
+                grid-area: header;
+                text-align: center;
+                color: #2c3e50;
+                margin-bottom: 0;
+                font-size: 2.5em;
+            }
+
+            h2 {
+                color: #34495e;
+                margin-bottom: 15px;
+                border-bottom: 2px solid #3498db;
+                padding-bottom: 5px;
+                font-size: 1.3em;
+            }
+
+            .input-section {
+                grid-area: input;
+                background: white;
+                padding: 20px;
+                border-radius: 8px;
+                box-shadow: 0 2px 10px rgba(0,0,0,0.1);
+                height: fit-content;
+                position: sticky;
+                top: 20px;
+                max-height: calc(100vh - 40px);
+                overflow-y: auto;
+            }
+
+            .sprint-progress-section {
+                grid-area: sprint-progress;
+                background: white;
+                padding: 20px;
+                border-radius: 8px;
+                box-shadow: 0 2px 10px rgba(0,0,0,0.1);
+                height: fit-content;
+            }
+
+            .main-content {
+                grid-area: main;
+                display: flex;
+                flex-direction: column;
+                gap: 20px;
+                overflow-y: auto;
+            }
+
+            .entries-section, .summary-section, .timesheet-section {
+                background: white;
+                padding: 20px;
+                border-radius: 8px;
+                box-shadow: 0 2px 10px rgba(0,0,0,0.1);
+            }
+
+            .entries-section {
+                flex: 1 0 auto;
+                overflow: hidden;
+                display: flex;
+                flex-direction: column;
+            }
+
+            #entriesList {
+                overflow-y: auto;
+                flex: 1;
+                max-height: 400px;
+            }
+
+            @media (max-width: 1024px) {
+                .container {
+                    grid-template-columns: 1fr;
+                    grid-template-rows: auto auto auto auto;
+                    grid-template-areas: 
+                        "header"
+                        "input"
+                        "sprint-progress"
+                        "main";
+                    height: auto;
+                }
+                
+                .input-section {
+                    position: static;
+                    max-height: none;
+                }
+                
+                .main-content {
+                    overflow: visible;
+                }
+                
+                #entriesList {
+                    max-height: 300px;
+                }
+            }
+
+            .form-group {
+                margin-bottom: 15px;
+            }
+
+            label {
+                display: block;
+                margin-bottom: 5px;
+                font-weight: bold;
+                color: #555;
+            }
+
+            input, select {
+                width: 100%;
+                padding: 10px;
+                border: 2px solid #ddd;
+                border-radius: 4px;
+                font-size: 16px;
+                transition: border-color 0.3s;
+            }
+
+            textarea {
+                width: 100%;
+                padding: 10px;
+                border: 2px solid #ddd;
+                border-radius: 4px;
+                font-size: 16px;
+                transition: border-color 0.3s;
+                font-family: inherit;
+                resize: vertical;
+                min-height: 80px;
+            }
+
+            input:focus, select:focus, textarea:focus {
+                outline: none;
+                border-color: #3498db;
+            }
+
+            button {
+                background-color: #3498db;
+                color: white;
+                padding: 12px 24px;
+                border: none;
+                border-radius: 4px;
+                cursor: pointer;
+                font-size: 16px;
+                transition: background-color 0.3s;
+            }
+
+            button:hover {
+                background-color: #2980b9;
+            }
+
+            .danger-btn {
+                background-color: #e74c3c;
+            }
+
+            .danger-btn:hover {
+                background-color: #c0392b;
+            }
+
+            .progress-bar {
+                position: relative;
+                display: flex;
+                width: 100%;
+                height: 30px;
+                background-color: #ecf0f1;
+                border-radius: 15px;
+                overflow: hidden;
+                margin: 10px 0;
+            }
+
+            .progress-segment {
+                height: 100%;
+                transition: width 0.3s ease;
+            }
+
+            .progress-label {
+                position: absolute;
+                inset: 0;
+                display: flex;
+                align-items: center;
+                justify-content: center;
+                color: #2c3e50;
+                font-weight: bold;
+            }
+
+            .progress-legend {
+                font-size: 13px;
+                color: #7f8c8d;
+            }
+
+            .type-task.progress-segment, .legend-swatch.type-task {
+                background-color: #27ae60;
+            }
+
+            .type-meeting.progress-segment, .legend-swatch.type-meeting, .sync-badge.type-meeting {
+                background-color: #3498db;
+            }
+
+            .type-overhead.progress-segment, .legend-swatch.type-overhead, .sync-badge.type-overhead {
+                background-color: #f39c12;
+            }
+
+            .type-leave.progress-segment, .legend-swatch.type-leave, .sync-badge.type-leave {
+                background-color: #95a5a6;
+            }
+
+            .entry-item {
+                background-color: #f8f9fa;
+                padding: 15px;
+                margin-bottom: 10px;
+                border-radius: 6px;
+                border-left: 4px solid #3498db;
+                display: flex;
+                justify-content: space-between;
+                align-items: center;
+            }
+
+            .entry-info {
+                flex: 1;
+            }
+
+            .entry-actions {
+                margin-left: 15px;
+                display: flex;
+                flex-direction: column;
+            }
+
+            .delete-btn {
+                background-color: #e74c3c;
+                padding: 6px 12px;
+                font-size: 14px;
+            }
+
+            .edit-btn, .save-btn, .cancel-btn {
+                padding: 6px 12px;
+                font-size: 14px;
+                margin-bottom: 5px;
+            }
+
+            .save-btn {
+                background-color: #27ae60;
+            }
+
+            .cancel-btn {
+                background-color: #95a5a6;
+            }
+
+            .sync-badge {
+                display: inline-block;
+                padding: 1px 8px;
+                margin-left: 5px;
+                border-radius: 10px;
+                font-size: 12px;
+                color: white;
+                background-color: #f39c12;
+            }
+
+            .sync-badge.synced {
+                background-color: #27ae60;
+            }
+
+            .sync-badge.failed {
+                background-color: #e74c3c;
+            }
+
+            .sync-badge.overtime {
+                background-color: #8e44ad;
+            }
+
+            .entry-item.editing {
+                border-left-color: #f39c12;
+            }
+
+            .entry-edit-row {
+                display: grid;
+                grid-template-columns: 1fr 1fr 100px;
+                gap: 8px;
+                margin-bottom: 8px;
+            }
+
+            .stats-grid {
+                display: grid;
+                grid-template-columns: repeat(auto-fit, minmax(200px, 1fr));
+                gap: 15px;
+                margin-top: 15px;
+            }
+
+            .stat-card {
+                background-color: #f8f9fa;
+                padding: 15px;
+                border-radius: 6px;
+                text-align: center;
+                border-top: 3px solid #3498db;
+            }
+
+            .stat-number {
+                font-size: 2em;
+                font-weight: bold;
+                color: #2c3e50;
+            }
+
+            .stat-label {
+                color: #7f8c8d;
+                margin-top: 5px;
+            }
+
+            .controls {
+                margin-bottom: 15px;
+            }
+
+            .missing-time-panel {
+                background-color: #fef5e7;
+                border-left: 4px solid #e67e22;
+                padding: 10px 15px;
+                border-radius: 4px;
+                margin-bottom: 15px;
+            }
+
+            .missing-days {
+                display: flex;
+                flex-wrap: wrap;
+                gap: 6px;
+                margin-top: 8px;
+            }
+
+            .missing-day {
+                padding: 4px 10px;
+                font-size: 13px;
+                background-color: #e67e22;
+            }
+
+            .missing-day:hover {
+                background-color: #d35400;
+            }
+
+            .day-total-hint {
+                display: block;
+                margin-top: 4px;
+                color: #7f8c8d;
+            }
+
+            .day-total-hint.over-target {
+                color: #e67e22;
+            }
+
+            .day-total-hint.over-limit {
+                color: #e74c3c;
+                font-weight: bold;
+            }
+
+            .template-bar {
+                display: flex;
+                flex-wrap: wrap;
+                align-items: center;
+                gap: 6px;
+                margin-bottom: 15px;
+            }
+
+            .template-bar .secondary-btn {
+                margin: 0;
+            }
+
+            .template-chip {
+                padding: 4px 12px;
+                margin: 0 4px 4px 0;
+                border-radius: 12px;
+                background-color: #eaf2f8;
+                color: #2c3e50;
+                font-size: 14px;
+            }
+
+            .template-chip:hover {
+                background-color: #d4e6f1;
+            }
+
+            .tag-picker {
+                display: flex;
+                flex-wrap: wrap;
+                gap: 6px;
+            }
+
+            .tag-option {
+                display: inline-flex;
+                align-items: center;
+                gap: 4px;
+                margin: 0;
+                padding: 4px 10px;
+                border: 1px solid #ddd;
+                border-radius: 12px;
+                font-weight: normal;
+                font-size: 14px;
+                cursor: pointer;
+            }
+
+            .tag-option input {
+                width: auto;
+            }
+
+            .tag-badge {
+                display: inline-block;
+                margin-left: 4px;
+                padding: 1px 8px;
+                border-radius: 10px;
+                background: #eaf2f8;
+                color: #2c3e50;
+                font-size: 12px;
+            }
+
+            .search-grid {
+                display: grid;
+                grid-template-columns: repeat(auto-fit, minmax(180px, 1fr));
+                gap: 8px;
+                margin-bottom: 10px;
+            }
+
+            .search-grid label input {
+                flex: 1;
+            }
+
+            .search-grid label {
+                display: flex;
+                align-items: center;
+                gap: 6px;
+                margin: 0;
+                font-weight: normal;
+            }
+
+            .no-entries {
+                text-align: center;
+                color: #7f8c8d;
+                padding: 40px;
+                font-style: italic;
+            }
+
+            .secondary-btn {
+                background-color: #95a5a6;
+                margin-right: 10px;
+                margin-bottom: 10px;
+            }
+
+            .secondary-btn:hover {
+                background-color: #7f8c8d;
+            }
+
+            .sprint-management {
+                margin-bottom: 20px;
+                padding-bottom: 20px;
+                border-bottom: 1px solid #eee;
+            }
+
+            .time-entry {
+                margin-top: 20px;
+            }
+
+            .timer-section {
+                margin-bottom: 20px;
+                padding-bottom: 20px;
+                border-bottom: 1px solid #eee;
+            }
+
+            .timer-item {
+                display: flex;
+                justify-content: space-between;
+                align-items: center;
+                background-color: #f8f9fa;
+                padding: 10px;
+                margin-top: 10px;
+                border-radius: 6px;
+                border-left: 4px solid #95a5a6;
+            }
+
+            .timer-item.running {
+                border-left-color: #27ae60;
+            }
+
+            .timer-clock {
+                font-family: monospace;
+                font-size: 1.1em;
+                margin-left: 5px;
+            }
+
+            .timer-actions {
+                display: flex;
+                flex-direction: column;
+                margin-left: 10px;
+            }
+
+            .calendar-item {
+                display: flex;
+                justify-content: space-between;
+                align-items: center;
+                padding: 8px 0;
+                border-bottom: 1px solid #eee;
+            }
+
+            .pto-row {
+                display: grid;
+                grid-template-columns: 1fr 1fr auto;
+                gap: 8px;
+                margin-bottom: 10px;
+            }
+
+            .modal-content h3 {
+                margin: 15px 0 10px;
+                color: #34495e;
+            }
+
+            .work-week-grid {
+                display: grid;
+                grid-template-columns: repeat(7, 1fr);
+                gap: 6px;
+                margin-bottom: 15px;
+            }
+
+            .work-week-day input[type="number"] {
+                padding: 6px;
+                font-size: 14px;
+            }
+
+            .capacity-row {
+                display: grid;
+                grid-template-columns: repeat(3, 1fr);
+                gap: 10px;
+            }
+
+            .data-management {
+                margin-top: 20px;
+                padding-top: 20px;
+                border-top: 1px solid #eee;
+            }
+
+            .import-rejected {
+                margin-top: 10px;
+                max-height: 300px;
+                overflow-y: auto;
+                font-size: 14px;
+            }
+
+            .import-rejected li {
+                margin-left: 20px;
+                color: #c0392b;
+            }
+
+            .modal {
+                position: fixed;
+                z-index: 1000;
+                left: 0;
+                top: 0;
+                width: 100%;
+                height: 100%;
+                background-color: rgba(0,0,0,0.5);
+                display: flex;
+                align-items: center;
+                justify-content: center;
+            }
+
+            .modal-content {
+                background-color: white;
+                padding: 20px;
+                border-radius: 8px;
+                width: 90%;
+                max-width: 500px;
+                max-height: 80%;
+                overflow-y: auto;
+                position: relative;
+            }
+
+            .modal-content.wide {
+                max-width: 900px;
+            }
+
+            .data-table {
+                width: 100%;
+                border-collapse: collapse;
+                margin: 10px 0 15px;
+                font-size: 14px;
+            }
+
+            .data-table th, .data-table td {
+                text-align: left;
+                padding: 6px 8px;
+                border-bottom: 1px solid #eee;
+            }
+
+            .data-table th {
+                background-color: #f8f9fa;
+                color: #555;
+            }
+
+            .timesheet-table {
+                width: 100%;
+                border-collapse: collapse;
+                margin-bottom: 15px;
+                font-size: 13px;
+                table-layout: fixed;
+            }
+
+            .timesheet-table th, .timesheet-table td {
+                border: 1px solid #eee;
+                padding: 4px;
+                text-align: center;
+            }
+
+            .timesheet-table th.day-off {
+                background-color: #fdebd0;
+            }
+
+            .timesheet-table .task-cell {
+                width: 110px;
+                text-align: left;
+                overflow: hidden;
+                text-overflow: ellipsis;
+                white-space: nowrap;
+            }
+
+            .timesheet-cell {
+                cursor: pointer;
+            }
+
+            .timesheet-cell:hover {
+                background-color: #eaf2f8;
+            }
+
+            .day-fill {
+                height: 4px;
+                background-color: #ecf0f1;
+                border-radius: 2px;
+                margin-top: 3px;
+                overflow: hidden;
+            }
+
+            .day-fill div {
+                height: 100%;
+                background-color: #3498db;
+            }
+
+            .day-under, .legend-swatch.day-under {
+                background-color: #fdecea;
+            }
+
+            .day-full, .legend-swatch.day-full {
+                background-color: #e8f5e9;
+            }
+
+            .day-over, .legend-swatch.day-over {
+                background-color: #fff3cd;
+            }
+
+            .timesheet-legend {
+                font-size: 13px;
+                color: #7f8c8d;
+            }
+
+            .legend-swatch {
+                display: inline-block;
+                width: 12px;
+                height: 12px;
+                border: 1px solid #ddd;
+                margin: 0 3px 0 10px;
+                vertical-align: middle;
+            }
+
+            .burn-charts {
+                display: grid;
+                grid-template-columns: repeat(auto-fit, minmax(280px, 1fr));
+                gap: 20px;
+            }
+
+            .line-chart {
+                width: 100%;
+                height: auto;
+            }
+
+            .chart-legend {
+                font-size: 12px;
+                color: #7f8c8d;
+                display: flex;
+                gap: 12px;
+            }
+
+            .legend-line {
+                display: inline-block;
+                width: 18px;
+                border-top-width: 2px;
+                margin-right: 4px;
+                vertical-align: middle;
+            }
+
+            .summary-subtitle {
+                margin: 20px 0 10px;
+                color: #34495e;
+            }
+
+            .data-table th.sortable {
+                cursor: pointer;
+                user-select: none;
+            }
+
+            .data-table th.sortable:hover {
+                color: #3498db;
+            }
+
+            .bar-chart {
+                margin-bottom: 10px;
+            }
+
+            .bar-row {
+                display: grid;
+                grid-template-columns: 110px 1fr 60px;
+                align-items: center;
+                gap: 8px;
+                margin-bottom: 6px;
+                font-size: 14px;
+            }
+
+            .bar-label {
+                overflow: hidden;
+                text-overflow: ellipsis;
+                white-space: nowrap;
+            }
+
+            .bar-track {
+                background-color: #ecf0f1;
+                border-radius: 4px;
+                height: 16px;
+                overflow: hidden;
+            }
+
+            .bar-fill {
+                height: 100%;
+                background: linear-gradient(90deg, #3498db, #5dade2);
+            }
+
+            .bar-fill.goal-met {
+                background: linear-gradient(90deg, #27ae60, #2ecc71);
+            }
+
+            .filter-row {
+                display: flex;
+                flex-wrap: wrap;
+                align-items: center;
+                gap: 8px;
+                margin-bottom: 15px;
+            }
+
+            .filter-row label {
+                display: inline;
+                margin: 0;
+            }
+
+            .filter-row input {
+                width: auto;
+            }
+
+            .filter-row .secondary-btn {
+                margin: 0;
+            }
+
+            .bar-value {
+                text-align: right;
+                color: #7f8c8d;
+            }
+
+            .close {
+                position: absolute;
+                right: 15px;
+                top: 15px;
+                font-size: 28px;
+                font-weight: bold;
+                cursor: pointer;
+            }
+
+            .close:hover {
+                color: #e74c3c;
+            }
+
+            .sprint-item {
+                background-color: #f8f9fa;
+                padding: 15px;
+                margin-bottom: 10px;
+                border-radius: 6px;
+                border-left: 4px solid #3498db;
+                cursor: pointer;
+                transition: background-color 0.3s;
+            }
+
+            .sprint-item:hover {
+                background-color: #e9ecef;
+            }
+
+            .sprint-item.active {
+                border-left-color: #27ae60;
+                background-color: #d4edda;
+            }
+
+            .sprint-item.archived {
+                opacity: 0.7;
+                border-left-color: #95a5a6;
+            }
+
+            .sprint-actions {
+                margin-top: 8px;
+            }
+
+            .current-sprint-info {
+                background-color: #e8f5e8;
+                padding: 15px;
+                border-radius: 6px;
+                margin-bottom: 15px;
+                border-left: 4px solid #27ae60;
+            }
+
+            .no-sprint {
+                background-color: #fff3cd;
+                padding: 15px;
+                border-radius: 6px;
+                margin-bottom: 15px;
+                border-left: 4px solid #ffc107;
+                color: #856404;
+            }
+
+            .past-sprint-warning {
+                background-color: #fff3cd;
+                padding: 15px;
+                border-radius: 6px;
+                margin-bottom: 15px;
+                border-left: 4px solid #ff9800;
+                color: #e65100;
+            }
+
+            .past-sprint-warning p {
+                margin: 0;
+                font-weight: bold;
+            }
+        `;
+        document.head.appendChild(style);
+
+        // Set today's date as default when sprint is active
+        this.refreshDisplay();
+    }
+
+    bindEvents() {
+        // Time entry form
+        document.getElementById('entryForm').addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.addEntry();
+        });
+
+        // Live timer
+        document.getElementById('startTimerBtn').addEventListener('click', () => {
+            try {
+                this.tracker.startTimer(
+                    document.getElementById('timerJiraInput').value,
+                    document.getElementById('timerWorkDoneInput').value
+                );
+                document.getElementById('timerJiraInput').value = '';
+                document.getElementById('timerWorkDoneInput').value = '';
+                this.updateTimers();
+            } catch (error) {
+                this.showMessage(error.message, 'error');
+            }
+        });
+
+        // Sprint management buttons
+        document.getElementById('createSprintBtn').addEventListener('click', () => {
+            this.showCreateSprintModal();
+        });
+
+        document.getElementById('selectSprintBtn').addEventListener('click', () => {
+            this.showSelectSprintModal();
+        });
+
+        document.getElementById('showArchivedInput').addEventListener('change', () => {
+            this.updateSprintsList();
+        });
+
+        document.getElementById('entryPolicyMoveBtn').addEventListener('click', () => {
+            const targetSprintId = document.getElementById('entryPolicyTargetInput').value;
+            this.applyEntryPolicy({ action: 'move', targetSprintId });
+        });
+
+        document.getElementById('entryPolicyDeleteBtn').addEventListener('click', () => {
+            if (confirm('Permanently delete these entries?')) {
+                this.applyEntryPolicy({ action: 'delete' });
+            }
+        });
+
+        // Sprint form
+        document.getElementById('sprintForm').addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.createSprint();
+        });
+
+        // Calculated end date
+        ['sprintEndComputedInput', 'sprintStartInput'].forEach(id => {
+            document.getElementById(id).addEventListener('change', () => {
+                this.updateSprintEndDate();
+            });
+        });
+
+        // Keep the sprint capacity fields and auto-calculate label in step
+        ['sprintHoursPerDayInput', 'sprintWorkingDaysInput'].forEach(id => {
+            document.getElementById(id).addEventListener('input', () => {
+                const hoursPerDay = parseFloat(document.getElementById('sprintHoursPerDayInput').value);
+                const workingDays = parseInt(document.getElementById('sprintWorkingDaysInput').value, 10);
+                if (hoursPerDay > 0 && workingDays > 0) {
+                    document.getElementById('sprintTargetInput').value = hoursPerDay * workingDays;
+                }
+                this.updateSprintEndDate();
+            });
+        });
+
+        // Dashboard
+        document.getElementById('dashboardBtn').addEventListener('click', () => {
+            this.updateDashboard();
+            document.getElementById('dashboardModal').style.display = 'flex';
+        });
+
+        // Undo / redo
+        document.getElementById('activityLogBtn').addEventListener('click', () => {
+            this.updateActivityLog();
+            document.getElementById('activityLogModal').style.display = 'flex';
+        });
+
+        document.getElementById('undoBtn').addEventListener('click', () => {
+            this.undo();
+        });
+
+        document.getElementById('redoBtn').addEventListener('click', () => {
+            this.redo();
+        });
+
+        // Text fields keep the browser's own undo
+        document.addEventListener('keydown', (e) => {
+            if (!(e.ctrlKey || e.metaKey) || e.key.toLowerCase() !== 'z' ||
+                (e.target instanceof Element && e.target.closest('input, textarea, select'))) {
+                return;
+            }
+            e.preventDefault();
+            if (e.shiftKey) {
+                this.redo();
+            } else {
+                this.undo();
+            }
+        });
+
+        ['dashboardFromInput', 'dashboardToInput'].forEach(id => {
+            document.getElementById(id).addEventListener('change', () => this.updateDashboard());
+        });
+
+        document.getElementById('dashboardResetBtn').addEventListener('click', () => {
+            document.getElementById('dashboardFromInput').value = '';
+            document.getElementById('dashboardToInput').value = '';
+            this.updateDashboard();
+        });
+
+        document.getElementById('entryTypeInput').addEventListener('change', () => this.updateJiraFieldLabel());
+
+        // Running day total while typing hours
+        ['dateInput', 'timeInput'].forEach(id => {
+            document.getElementById(id).addEventListener('input', () => this.updateDayTotalHint());
+        });
+
+        // Templates
+        document.getElementById('manageTemplatesBtn').addEventListener('click', () => {
+            this.showTemplatesModal();
+        });
+
+        document.getElementById('templateForm').addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.saveTemplate();
+        });
+
+        document.getElementById('generateDraftsBtn').addEventListener('click', () => {
+            this.showTemplateDrafts();
+        });
+
+        // Search
+        document.getElementById('searchEntriesBtn').addEventListener('click', () => {
+            this.showSearchModal();
+        });
+
+        document.getElementById('searchForm').addEventListener('input', () => this.updateSearchResults());
+        document.getElementById('searchForm').addEventListener('submit', (e) => e.preventDefault());
+
+        document.getElementById('searchResetBtn').addEventListener('click', () => {
+            document.getElementById('searchForm').reset();
+            this.updateSearchResults();
+        });
+
+        document.getElementById('searchExportBtn').addEventListener('click', () => {
+            const result = this.tracker.searchEntries(this.getSearchCriteria());
+            if (result.totalEntries === 0) {
+                this.showMessage('No matching entries to export', 'error');
+                return;
+            }
+            this.downloadFile('time-tracker-search.csv', this.tracker.entriesToCSV(result.entries), 'text/csv');
+        });
+
+        // Holidays & PTO
+        document.getElementById('calendarBtn').addEventListener('click', () => {
+            this.showCalendarModal();
+        });
+
+        document.getElementById('importIcsBtn').addEventListener('click', () => {
+            document.getElementById('icsFileInput').click();
+        });
+
+        document.getElementById('icsFileInput').addEventListener('change', (e) => {
+            const file = e.target.files[0];
+            if (file) {
+                this.importHolidayFile(file);
+            }
+            e.target.value = '';
+        });
+
+        document.getElementById('addPtoBtn').addEventListener('click', () => {
+            try {
+                this.tracker.addPTO(
+                    document.getElementById('ptoDateInput').value,
+                    document.getElementById('ptoNoteInput').value
+                );
+                document.getElementById('ptoNoteInput').value = '';
+                this.updateCalendarLists();
+                this.refreshDisplay();
+                this.showMessage('PTO day added', 'success');
+            } catch (error) {
+                this.showMessage(error.message, 'error');
+            }
+        });
+
+        // Settings
+        document.getElementById('settingsBtn').addEventListener('click', () => {
+            this.showSettingsModal();
+        });
+
+        document.getElementById('settingsForm').addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.saveSettings();
+        });
+
+        // Modal close buttons
+        document.querySelectorAll('.close, #cancelSprintBtn, #cancelSelectBtn').forEach(btn => {
+            btn.addEventListener('click', () => {
+                this.closeModals();
+            });
+        });
+
+        // Export / import
+        document.getElementById('exportSprintCsvBtn').addEventListener('click', () => {
+            const currentSprint = this.tracker.getCurrentSprint();
+            if (!currentSprint) {
+                this.showMessage('Please select a sprint to export', 'error');
+                return;
+            }
+            this.downloadFile(`${currentSprint.name.replace(/[^\w.-]+/g, '_')}.csv`, this.tracker.exportToCSV(currentSprint.id), 'text/csv');
+        });
+
+        document.getElementById('exportAllCsvBtn').addEventListener('click', () => {
+            this.downloadFile('time-tracker-entries.csv', this.tracker.exportToCSV(), 'text/csv');
+        });
+
+        document.getElementById('exportJsonBtn').addEventListener('click', () => {
+            const stamp = LocalDate.today();
+            this.downloadFile(`time-tracker-backup-${stamp}.json`, this.tracker.exportToJSON(), 'application/json');
+        });
+
+        document.getElementById('recalculateEndDatesBtn').addEventListener('click', () => {
+            this.showRecalculateModal();
+        });
+
+        document.getElementById('checkDataBtn').addEventListener('click', () => {
+            this.showIntegrityModal();
+        });
+
+        document.getElementById('importBtn').addEventListener('click', () => {
+            document.getElementById('importFileInput').click();
+        });
+
+        document.getElementById('importFileInput').addEventListener('change', (e) => {
+            const file = e.target.files[0];
+            if (file) {
+                this.importFile(file);
+            }
+            e.target.value = '';
+        });
+
+        // Jira worklog export
+        document.getElementById('jiraWorklogsBtn').addEventListener('click', () => {
+            this.showJiraWorklogPreview();
+        });
+
+        document.getElementById('downloadWorklogsBtn').addEventListener('click', () => {
+            const currentSprint = this.tracker.getCurrentSprint();
+            if (!currentSprint) return;
+            this.downloadFile(`${currentSprint.name.replace(/[^\w.-]+/g, '_')}-jira-worklogs.json`,
+                this.tracker.exportJiraWorklogs(currentSprint.id), 'application/json');
+        });
+
+        // Jira connection
+        document.getElementById('jiraSettingsBtn').addEventListener('click', () => {
+            this.showJiraSettingsModal();
+        });
+
+        document.getElementById('jiraSettingsForm').addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.saveJiraSettings();
+        });
+
+        document.getElementById('disconnectJiraBtn').addEventListener('click', () => {
+            this.tracker.setJiraConfig(null);
+            this.closeModals();
+            this.refreshDisplay();
+            this.showMessage('Jira disconnected', 'success');
+        });
+
+        document.getElementById('syncWorklogsBtn').addEventListener('click', () => {
+            this.syncWorklogs();
+        });
+
+        // Clear sprint entries button
+        document.getElementById('clearSprintBtn').addEventListener('click', () => {
+            if (confirm('Are you sure you want to delete all entries for this sprint? You can undo this with Ctrl+Z.')) {
+                this.clearCurrentSprintEntries();
+            }
+        });
+
+        // Close modal when clicking outside
+        window.addEventListener('click', (e) => {
+            if (e.target.classList.contains('modal')) {
+                this.closeModals();
+            }
+        });
+    }
+
+    async addEntry() {
+        try {
+            const date = document.getElementById('dateInput').value;
+            const jiraId = document.getElementById('jiraInput').value;
+            const timeSpent = document.getElementById('timeInput').value;
+            const workDone = document.getElementById('workDoneInput').value;
+            const overtime = document.getElementById('overtimeInput').checked;
+            const tags = this.getPickedTags('tagPicker');
+            const type = document.getElementById('entryTypeInput').value;
+
+            // Check if sprint is over and allow past dates
+            const allowPastDates = this.tracker.isCurrentSprintOver();
+            
+            // Checks the issue exists in Jira when a Jira client is configured
+            await this.tracker.addEntryWithJiraCheck(date, jiraId, timeSpent, workDone, allowPastDates, { overtime, tags, type });
+            const warning = this.tracker.getDailyHoursWarning(date, 0);
+            
+            // Clear form
+            document.getElementById('jiraInput').value = '';
+            document.getElementById('timeInput').value = '';
+            document.getElementById('workDoneInput').value = '';
+            document.getElementById('overtimeInput').checked = false;
+            document.getElementById('entryTypeInput').value = 'task';
+            this.updateJiraFieldLabel();
+            this.updateTagPicker('tagPicker', []);
+            
+            this.refreshDisplay();
+            this.showMessage(warning ? `Entry added. ${warning}` : 'Entry added successfully!', warning ? 'warning' : 'success');
+        } catch (error) {
+            this.showMessage(error.message, 'error');
+        }
+    }
+
+    refreshDisplay() {
+        this.updateCurrentSprintInfo();
+        this.updateSprintProgress();
+        this.updateTimesheet();
+        this.updateEntriesList();
+        this.updateSummary();
+        this.updateTaskBreakdown();
+        this.updateTimeEntryVisibility();
+        this.updateDayTotalHint();
+        this.updateMissingTime();
+        this.updateJiraStatus();
+        this.updateTimers();
+        this.updateIntegrityWarning();
+    }
+
+    // Format milliseconds as H:MM:SS
+    formatDuration(ms) {
+        const totalSeconds = Math.floor(ms / 1000);
+        const hours = Math.floor(totalSeconds / 3600);
+        const minutes = Math.floor((totalSeconds % 3600) / 60);
+        const seconds = totalSeconds % 60;
+        return `${hours}:${String(minutes).padStart(2, '0')}:${String(seconds).padStart(2, '0')}`;
+    }
+
+    updateTimers() {
+        const timers = this.tracker.timers;
+
+        document.getElementById('timersList').innerHTML = timers.map(timer => `
+            <div class="timer-item ${timer.runningSince ? 'running' : ''}">
+                <div>
+                    <strong>${this.escapeHtml(timer.jiraId)}</strong>
+                    <span class="timer-clock" data-timer-id="${timer.id}">${this.formatDuration(this.tracker.getTimerElapsedMs(timer))}</span>
+                    <br>
+                    <small style="color: #7f8c8d;">${timer.date} · ${this.escapeHtml(timer.workDone)}</small>
+                </div>
+                <div class="timer-actions">
+                    ${timer.runningSince ?
+                        `<button class="edit-btn" onclick="timeTrackerUI.pauseTimer('${timer.id}')">Pause</button>` :
+                        `<button class="edit-btn" onclick="timeTrackerUI.resumeTimer('${timer.id}')">Resume</button>`}
+                    <button class="save-btn" onclick="timeTrackerUI.stopTimer('${timer.id}')">Stop &amp; Log</button>
+                    <button class="delete-btn" onclick="timeTrackerUI.discardTimer('${timer.id}')">Discard</button>
+                </div>
+            </div>
+        `).join('');
+
+        this.updateTimerClocks();
+    }
+
+    // Refresh elapsed times and the end-of-workday warning without re-rendering the list
+    updateTimerClocks() {
+        document.querySelectorAll('.timer-clock').forEach(clock => {
+            const timer = this.tracker.timers.find(t => t.id === clock.dataset.timerId);
+            if (timer) {
+                clock.textContent = this.formatDuration(this.tracker.getTimerElapsedMs(timer));
+            }
+        });
+
+        const running = this.tracker.getRunningTimer();
+        const warning = document.getElementById('timerWarning');
+        if (running && this.tracker.isTimerPastWorkdayEnd(running)) {
+            warning.innerHTML = `<p>⏰ Timer for ${this.escapeHtml(running.jiraId)} is still running past the end of the workday (${this.tracker.settings.workdayEnd}).</p>`;
+            warning.style.display = 'block';
+        } else {
+            warning.style.display = 'none';
+        }
+    }
+
+    pauseTimer(timerId) {
+        this.tracker.pauseTimer(timerId);
+        this.updateTimers();
+    }
+
+    resumeTimer(timerId) {
+        this.tracker.resumeTimer(timerId);
+        this.updateTimers();
+    }
+
+    async stopTimer(timerId) {
+        try {
+            const entry = await this.tracker.stopTimer(timerId);
+            this.refreshDisplay();
+            this.showMessage(`Logged ${entry.timeSpent} hours on ${entry.jiraId}`, 'success');
+        } catch (error) {
+            this.showMessage(error.message, 'error');
+        }
+    }
+
+    discardTimer(timerId) {
+        if (confirm('Discard this timer without logging its time?')) {
+            this.tracker.discardTimer(timerId);
+            this.updateTimers();
+            this.showMessage('Timer discarded', 'success');
+        }
+    }
+
+    updateJiraStatus() {
+        const client = this.tracker.jiraClient;
+        const statusDiv = document.getElementById('jiraStatus');
+        const syncBtn = document.getElementById('syncWorklogsBtn');
+
+        if (!client) {
+            statusDiv.innerHTML = '<p style="color: #7f8c8d;">Not connected. Jira IDs are not checked.</p>';
+            syncBtn.style.display = 'none';
+            return;
+        }
+
+        const entries = this.tracker.getCurrentSprintEntries();
+        const pending = entries.filter(entry => entry.syncStatus !== 'synced').length;
+        const failed = entries.filter(entry => entry.syncStatus === 'failed').length;
+
+        statusDiv.innerHTML = `
+            <p><strong>Connected:</strong> ${client instanceof MockJiraClient ? 'Mock Jira' : this.escapeHtml(client.baseUrl || 'Jira')}</p>
+            <p style="color: #7f8c8d;">${pending} entries to sync${failed > 0 ? `, <span style="color: #e74c3c;">${failed} failed</span>` : ''}</p>
+        `;
+        syncBtn.style.display = '';
+    }
+
+    updateCurrentSprintInfo() {
+        const currentSprint = this.tracker.getCurrentSprint();
+        const infoDiv = document.getElementById('currentSprintInfo');
+        
+        if (currentSprint) {
+            const isSprintOver = this.tracker.isCurrentSprintOver();
+            const sprintStatus = isSprintOver ? 
+                '<p style="color: #e74c3c; font-weight: bold;">📅 Sprint Completed</p>' : 
+                '<p style="color: #27ae60; font-weight: bold;">🔄 Sprint Active</p>';
+            
+            infoDiv.innerHTML = `
+                <div class="current-sprint-info">
+                    <h3>${currentSprint.name}</h3>
+                    ${sprintStatus}
+                    <p><strong>Start:</strong> ${currentSprint.startDate}</p>
+                    <p><strong>End:</strong> ${currentSprint.endDate}</p>
+                    <p><strong>Days Remaining:</strong> ${this.tracker.getCurrentSprintDaysRemaining()} working days</p>
+                </div>
+            `;
+        } else {
+            infoDiv.innerHTML = `
+                <div class="no-sprint">
+                    <p>⚠️ No active sprint selected. Create or select a sprint to start tracking time.</p>
+                </div>
+            `;
+        }
+    }
+
+    updateTimeEntryVisibility() {
+        const timeEntrySection = document.getElementById('timeEntrySection');
+        const pastSprintWarning = document.getElementById('pastSprintWarning');
+        const currentSprint = this.tracker.getCurrentSprint();
+        
+        if (currentSprint) {
+            timeEntrySection.style.display = 'block';
+            
+            // Past sprints default to their last day, current ones to today (or the next working day)
+            pastSprintWarning.style.display = this.tracker.isCurrentSprintOver() ? 'block' : 'none';
+            const dateInput = document.getElementById('dateInput');
+            dateInput.value = this.tracker.getDefaultEntryDate();
+            dateInput.min = currentSprint.startDate;
+            dateInput.max = currentSprint.endDate;
+            
+            // Add event listener to warn about non-working days (remove existing listeners first)
+            const newDateInput = dateInput.cloneNode(true);
+            dateInput.parentNode.replaceChild(newDateInput, dateInput);
+            
+            newDateInput.addEventListener('change', (e) => {
+                const overtime = document.getElementById('overtimeInput').checked;
+                if (e.target.value && !overtime && !this.tracker.isWorkingWeekday(e.target.value)) {
+                    this.showMessage(`⚠️ Selected date is not a working day. Time entries are only allowed for working days (${this.tracker.describeWorkWeek()}) unless marked as overtime.`, 'error');
+                }
+            });
+        } else {
+            timeEntrySection.style.display = 'none';
+            pastSprintWarning.style.display = 'none';
+        }
+    }
+
+    updateSprintProgress() {
+        const currentSprint = this.tracker.getCurrentSprint();
+        const progressDiv = document.getElementById('sprintProgress');
+        
+        if (!currentSprint) {
+            progressDiv.innerHTML = '<p>No active sprint selected.</p>';
+            return;
+        }
+
+        const totalTime = this.tracker.getCurrentSprintTotalTime();
+        const progress = this.tracker.getCurrentSprintProgress();
+        const remaining = this.tracker.getCurrentSprintRemainingTime();
+        const daysRemaining = this.tracker.getCurrentSprintDaysRemaining();
+        const capacity = this.tracker.getSprintCapacity(currentSprint);
+        const totalHours = this.tracker.getSprintAvailableHours(currentSprint);
+        const isSprintOver = this.tracker.isCurrentSprintOver();
+        const hoursByType = this.tracker.getHoursByType(this.tracker.getCurrentSprintEntries());
+        const leaveReducesCapacity = this.tracker.settings.leaveReducesCapacity;
+
+        // One bar segment per type that counts as logged work, scaled to the sprint target
+        let filled = 0;
+        const segmentsHtml = Object.keys(this.tracker.ENTRY_TYPES)
+            .filter(type => hoursByType[type] > 0 && (type !== 'leave' || !leaveReducesCapacity))
+            .map(type => {
+                const width = totalHours > 0 ? Math.min(100 - filled, hoursByType[type] / totalHours * 100) : 0;
+                filled += width;
+                return `<div class="progress-segment type-${type}" style="width: ${width}%" title="${this.tracker.ENTRY_TYPES[type]}: ${hoursByType[type]}h"></div>`;
+            }).join('');
+        const legendHtml = Object.entries(this.tracker.ENTRY_TYPES)
+            .filter(([type]) => hoursByType[type] > 0)
+            .map(([type, label]) => `<span class="legend-swatch type-${type}"></span> ${label} ${hoursByType[type]}h`)
+            .join(' ');
+
+        const progressHtml = `
+            <div class="progress-info">
+                <p><strong>Sprint:</strong> ${currentSprint.name}</p>
+                <p><strong>Time logged:</strong> ${totalTime.toFixed(2)} / ${totalHours} hours</p>
+                <p style="color: #7f8c8d;">Capacity: ${capacity.hoursPerDay}h/day × ${capacity.workingDays} working days${totalHours < capacity.targetHours ? ` (target ${capacity.targetHours}h reduced by holidays, PTO and leave)` : ''}</p>
+                <div class="progress-bar">
+                    ${segmentsHtml}
+                    <span class="progress-label">${progress.toFixed(1)}%</span>
+                </div>
+                ${legendHtml ? `<p class="progress-legend">${legendHtml}${leaveReducesCapacity && hoursByType.leave > 0 ? ' (leave reduces the target)' : ''}</p>` : ''}
+                <p><strong>Remaining time:</strong> ${remaining.toFixed(2)} hours</p>
+                <p><strong>Days remaining:</strong> ${daysRemaining} working days</p>
+                ${progress >= 100 ? '<p style="color: #27ae60; font-weight: bold;">🎉 Sprint goal achieved!</p>' : ''}
+                ${isSprintOver ? '<p style="color: #e74c3c; font-weight: bold;">📅 Sprint period has ended</p>' : ''}
+            </div>
+            ${this.buildBurnChartsHtml()}
+        `;
+
+        progressDiv.innerHTML = progressHtml;
+    }
+
+    updateDashboard() {
+        const range = {
+            from: document.getElementById('dashboardFromInput').value || null,
+            to: document.getElementById('dashboardToInput').value || null
+        };
+        const summary = this.tracker.getSummary(range);
+        const history = this.tracker.getSprintHistory(range);
+        const projects = this.tracker.getProjectBreakdown(range).slice(0, 10);
+        const contentDiv = document.getElementById('dashboardContent');
+
+        if (summary.totalEntries === 0 && history.length === 0) {
+            contentDiv.innerHTML = '<div class="no-entries">No sprints or entries in this period.</div>';
+            return;
+        }
+
+        const averageAttainment = history.length > 0 ?
+            history.reduce((sum, sprint) => sum + sprint.attainment, 0) / history.length : 0;
+        const maxSprintHours = Math.max(...history.map(sprint => Math.max(sprint.hours, sprint.target)), 1);
+        const maxProjectHours = Math.max(...projects.map(project => project.hours), 1);
+
+        const sprintBarsHtml = history.map(sprint => `
+            <div class="bar-row">
+                <span class="bar-label" title="${this.escapeHtml(sprint.name)}">${this.escapeHtml(sprint.name)}</span>
+                <div class="bar-track">
+                    <div class="bar-fill ${sprint.attainment >= 100 ? 'goal-met' : ''}" style="width: ${(sprint.hours / maxSprintHours) * 100}%"></div>
+                </div>
+                <span class="bar-value">${sprint.hours}h</span>
+            </div>
+        `).join('');
+
+        const sprintRowsHtml = history.slice().reverse().map(sprint => `
+            <tr>
+                <td><strong>${this.escapeHtml(sprint.name)}</strong><br><small>${sprint.startDate} – ${sprint.endDate}</small></td>
+                <td>${sprint.hours}</td>
+                <td>${sprint.target}</td>
+                <td style="color: ${sprint.attainment >= 100 ? '#27ae60' : '#e67e22'};">${sprint.attainment}%</td>
+                <td>${sprint.averagePerDay}</td>
+            </tr>
+        `).join('');
+
+        const projectBarsHtml = projects.map(project => `
+            <div class="bar-row">
+                <span class="bar-label">${this.escapeHtml(project.project)}</span>
+                <div class="bar-track">
+                    <div class="bar-fill" style="width: ${(project.hours / maxProjectHours) * 100}%"></div>
+                </div>
+                <span class="bar-value">${project.hours}h · ${project.share}%</span>
+            </div>
+        `).join('');
+
+        // The trend chart labels sprints by start date
+        const trendHtml = history.length >= 2 ? this.buildLineChartSvg(
+            history.map(sprint => sprint.startDate),
+            [{ values: history.map(sprint => sprint.averagePerDay), color: '#8e44ad', label: 'Avg hours/day' }],
+            Math.max(...history.map(sprint => sprint.averagePerDay), this.tracker.settings.hoursPerDay),
+            this.tracker.settings.hoursPerDay
+        ) : '<p style="color: #7f8c8d;">Needs at least two sprints.</p>';
+
+        contentDiv.innerHTML = `
+            <div class="stats-grid">
+                <div class="stat-card">
+                    <div class="stat-number">${summary.totalTime}</div>
+                    <div class="stat-label">Hours Logged</div>
+                </div>
+                <div class="stat-card">
+                    <div class="stat-number">${summary.totalSprints}</div>
+                    <div class="stat-label">Sprints</div>
+                </div>
+                <div class="stat-card">
+                    <div class="stat-number">${parseFloat(averageAttainment.toFixed(1))}%</div>
+                    <div class="stat-label">Avg Goal Attainment</div>
+                </div>
+                <div class="stat-card">
+                    <div class="stat-number">${summary.averageTimePerDay}</div>
+                    <div class="stat-label">Avg Hours/Day</div>
+                </div>
+            </div>
+
+            <h3 class="summary-subtitle">Hours per Sprint</h3>
+            <div class="bar-chart">${sprintBarsHtml}</div>
+
+            <h3 class="summary-subtitle">Average Hours/Day Trend</h3>
+            ${trendHtml}
+
+            <h3 class="summary-subtitle">Top Jira Projects</h3>
+            <div class="bar-chart">${projectBarsHtml}</div>
+
+            <h3 class="summary-subtitle">Sprint History</h3>
+            <table class="data-table">
+                <thead><tr><th>Sprint</th><th>Hours</th><th>Target</th><th>Attainment</th><th>Avg/Day</th></tr></thead>
+                <tbody>${sprintRowsHtml}</tbody>
+            </table>
+        `;
+    }
+
+    buildBurnChartsHtml() {
+        const data = this.tracker.getCurrentSprintBurnData();
+        if (!data || data.days.length < 2) return '';
+
+        const { target, days, forecast } = data;
+        const labels = days.map(day => day.date);
+        const logged = days.map(day => day.logged);
+
+        // Forecast runs from the last logged point to the projected total on the last day
+        const lastLoggedIndex = logged.reduce((last, value, index) => value !== null ? index : last, -1);
+        const forecastLine = days.map((day, index) => {
+            if (lastLoggedIndex < 0 || index < lastLoggedIndex) return null;
+            const steps = days.length - 1 - lastLoggedIndex;
+            if (steps === 0) return logged[lastLoggedIndex];
+            return logged[lastLoggedIndex] + (forecast - logged[lastLoggedIndex]) * (index - lastLoggedIndex) / steps;
+        });
+        const remaining = values => values.map(value => value === null ? null : Math.max(0, target - value));
+
+        const burnup = this.buildLineChartSvg(labels, [
+            { values: days.map(day => day.ideal), color: '#95a5a6', dashed: true, label: 'Ideal' },
+            { values: logged, color: '#27ae60', label: 'Logged' },
+            { values: forecastLine, color: '#e67e22', dashed: true, label: 'Forecast' }
+        ], Math.max(target, forecast, ...logged.filter(value => value !== null)), target);
+
+        const burndown = this.buildLineChartSvg(labels, [
+            { values: remaining(days.map(day => day.ideal)), color: '#95a5a6', dashed: true, label: 'Ideal' },
+            { values: remaining(logged), color: '#3498db', label: 'Remaining' },
+            { values: remaining(forecastLine), color: '#e67e22', dashed: true, label: 'Forecast' }
+        ], target);
+
+        const forecastNote = forecast >= target ?
+            `<span style="color: #27ae60;">on track to reach ${target}h</span>` :
+            `<span style="color: #e74c3c;">${parseFloat((target - forecast).toFixed(2))}h short of ${target}h</span>`;
+
+        return `
+            <div class="burn-charts">
+                <div>
+                    <h3 class="summary-subtitle">Burnup</h3>
+                    ${burnup}
+                </div>
+                <div>
+                    <h3 class="summary-subtitle">Burndown</h3>
+                    ${burndown}
+                </div>
+            </div>
+            <p style="color: #7f8c8d;">
+                <strong>Forecast:</strong> ${forecast}h at ${data.averageTimePerDay}h per active day — ${forecastNote}
+            </p>
+        `;
+    }
+
+    // Render line series as an inline SVG chart. Null values are gaps; an optional target draws a reference line.
+    buildLineChartSvg(labels, series, maxValue, targetValue = null) {
+        const width = 400;
+        const height = 200;
+        const pad = { top: 10, right: 10, bottom: 25, left: 35 };
+        const plotWidth = width - pad.left - pad.right;
+        const plotHeight = height - pad.top - pad.bottom;
+        const maxY = maxValue > 0 ? maxValue : 1;
+
+        const x = index => pad.left + (labels.length > 1 ? index * plotWidth / (labels.length - 1) : 0);
+        const y = value => pad.top + plotHeight - (value / maxY) * plotHeight;
+
+        const gridHtml = [0, 0.25, 0.5, 0.75, 1].map(fraction => `
+            <line x1="${pad.left}" y1="${y(maxY * fraction)}" x2="${width - pad.right}" y2="${y(maxY * fraction)}" stroke="#ecf0f1"/>
+            <text x="${pad.left - 5}" y="${y(maxY * fraction) + 4}" text-anchor="end" font-size="10" fill="#7f8c8d">${Math.round(maxY * fraction)}</text>
+        `).join('');
+
+        const labelIndexes = [...new Set([0, Math.floor((labels.length - 1) / 2), labels.length - 1])];
+        const labelsHtml = labelIndexes.map(index => `
+            <text x="${x(index)}" y="${height - 8}" text-anchor="middle" font-size="10" fill="#7f8c8d">${labels[index].slice(5)}</text>
+        `).join('');
+
+        const targetHtml = targetValue !== null ? `
+            <line x1="${pad.left}" y1="${y(targetValue)}" x2="${width - pad.right}" y2="${y(targetValue)}" stroke="#e74c3c" stroke-dasharray="2,3"/>
+        ` : '';
+
+        const seriesHtml = series.map(line => {
+            const points = line.values
+                .map((value, index) => value === null ? null : `${x(index).toFixed(1)},${y(value).toFixed(1)}`)
+                .filter(point => point !== null);
+            if (points.length === 0) return '';
+            return `<polyline points="${points.join(' ')}" fill="none" stroke="${line.color}" stroke-width="2"
+                              ${line.dashed ? 'stroke-dasharray="5,4"' : ''}/>`;
+        }).join('');
+
+        const legendHtml = series.map(line => `
+            <span><span class="legend-line" style="border-color: ${line.color}; border-top-style: ${line.dashed ? 'dashed' : 'solid'};"></span>${line.label}</span>
+        `).join('');
+
+        return `
+            <svg class="line-chart" viewBox="0 0 ${width} ${height}" preserveAspectRatio="xMidYMid meet">
+                ${gridHtml}${targetHtml}${seriesHtml}${labelsHtml}
+            </svg>
+            <div class="chart-legend">${legendHtml}</div>
+        `;
+    }
+
+    updateEntriesList() {
+        const entries = this.tracker.getCurrentSprintEntries().slice().reverse(); // Show newest first
+        
+        if (entries.length === 0) {
+            document.getElementById('entriesList').innerHTML = '<div class="no-entries">No entries yet for this sprint. Add your first time entry above!</div>';
+            return;
+        }
+
+        const entriesHtml = entries.map(entry => entry.id === this.editingEntryId ? `
+            <div class="entry-item editing">
+                <div class="entry-info">
+                    <div class="entry-edit-row">
+                        <input type="date" id="editDateInput" value="${entry.date}">
+                        <select id="editTypeInput">${this.buildEntryTypeOptionsHtml(this.tracker.getEntryType(entry))}</select>
+                        <input type="text" id="editJiraInput" value="${this.escapeHtml(entry.jiraId)}" placeholder="Jira Task ID">
+                        <input type="number" id="editTimeInput" value="${entry.timeSpent}" step="${this.tracker.settings.entryIncrement}" min="${this.tracker.settings.entryIncrement}">
+                    </div>
+                    <textarea id="editWorkDoneInput" rows="2">${this.escapeHtml(entry.workDone)}</textarea>
+                    <div id="editTagPicker" class="tag-picker">${this.buildTagPickerHtml(entry.tags || [])}</div>
+                    <label style="font-weight: normal;"><input type="checkbox" id="editOvertimeInput" style="width: auto;" ${entry.overtime ? 'checked' : ''}> Overtime</label>
+                </div>
+                <div class="entry-actions">
+                    <button class="save-btn" onclick="timeTrackerUI.saveEntryEdit('${entry.id}')">Save</button>
+                    <button class="cancel-btn" onclick="timeTrackerUI.cancelEntryEdit()">Cancel</button>
+                </div>
+            </div>
+        ` : `
+            <div class="entry-item">
+                <div class="entry-info">
+                    <strong>${entry.date}</strong> - ${this.escapeHtml(this.tracker.getEntryTaskKey(entry))}
+                    ${entry.type ? `<span class="sync-badge type-${entry.type}">${entry.type}</span>` : ''}
+                    ${entry.jiraSummary ? `<span style="color: #7f8c8d;">(${this.escapeHtml(entry.jiraSummary)})</span>` : ''}
+                    ${entry.overtime ? '<span class="sync-badge overtime">overtime</span>' : ''}
+                    ${(entry.tags || []).map(tag => `<span class="tag-badge">${this.escapeHtml(tag)}</span>`).join('')}
+                    ${entry.syncStatus ? `<span class="sync-badge ${entry.syncStatus}" title="${this.escapeHtml(entry.syncError || '')}">${entry.syncStatus}</span>` : ''}
+                    <br>
+                    <span style="color: #7f8c8d;">Time: ${entry.timeSpent} hours</span>
+                    <br>
+                    <span style="color: #555; font-style: italic;">${entry.workDone || 'No description'}</span>
+                    ${entry.updatedAt ? `<br><small style="color: #95a5a6;">Edited ${new Date(entry.updatedAt).toLocaleString()}</small>` : ''}
+                </div>
+                <div class="entry-actions">
+                    <button class="edit-btn" onclick="timeTrackerUI.startEntryEdit('${entry.id}')">Edit</button>
+                    <button class="delete-btn" onclick="timeTrackerUI.deleteEntry('${entry.id}')">Delete</button>
+                </div>
+            </div>
+        `).join('');
+
+        document.getElementById('entriesList').innerHTML = entriesHtml;
+    }
+
+    updateSummary() {
+        const summary = this.tracker.getCurrentSprintSummary();
+        
+        const summaryHtml = `
+            <div class="stats-grid">
+                <div class="stat-card">
+                    <div class="stat-number">${summary.totalEntries}</div>
+                    <div class="stat-label">Sprint Entries</div>
+                </div>
+                <div class="stat-card">
+                    <div class="stat-number">${summary.totalTime}</div>
+                    <div class="stat-label">Hours Logged</div>
+                </div>
+                <div class="stat-card">
+                    <div class="stat-number">${summary.uniqueDates}</div>
+                    <div class="stat-label">Active Days</div>
+                </div>
+                <div class="stat-card">
+                    <div class="stat-number">${summary.averageTimePerDay}</div>
+                    <div class="stat-label">Avg Hours/Day</div>
+                </div>
+                <div class="stat-card">
+                    <div class="stat-number">${summary.daysRemaining}</div>
+                    <div class="stat-label">Working Days Left</div>
+                </div>
+                <div class="stat-card">
+                    <div class="stat-number">${summary.progress}%</div>
+                    <div class="stat-label">Sprint Progress</div>
+                </div>
+            </div>
+            ${this.buildTypeBreakdownHtml(summary.hoursByType)}
+            ${this.buildCategoryBreakdownHtml()}
+            ${this.buildOvertimeReportHtml()}
+        `;
+
+        document.getElementById('summaryDisplay').innerHTML = summaryHtml;
+    }
+
+    // Mark the Jira ID as optional for meetings, overhead and leave
+    updateJiraFieldLabel() {
+        const isTask = document.getElementById('entryTypeInput').value === 'task';
+        document.querySelector('label[for="jiraInput"]').textContent = isTask ? 'Jira Task ID:' : 'Jira Task ID (optional):';
+    }
+
+    // Hours per entry type as stat cards; leave is marked when it reduces capacity instead of counting
+    buildTypeBreakdownHtml(hoursByType) {
+        const leaveNote = this.tracker.settings.leaveReducesCapacity ? ' (off target)' : '';
+        return `
+            <h3 class="summary-subtitle">By Type</h3>
+            <div class="stats-grid">
+                ${Object.entries(this.tracker.ENTRY_TYPES).map(([type, label]) => `
+                    <div class="stat-card type-${type}">
+                        <div class="stat-number">${hoursByType[type]}</div>
+                        <div class="stat-label">${label} Hours${type === 'leave' ? leaveNote : ''}</div>
+                    </div>
+                `).join('')}
+            </div>
+        `;
+    }
+
+    // <option> list of entry types
+    buildEntryTypeOptionsHtml(selected) {
+        return Object.entries(this.tracker.ENTRY_TYPES)
+            .map(([type, label]) => `<option value="${type}" ${type === selected ? 'selected' : ''}>${label}</option>`)
+            .join('');
+    }
+
+    // "You have N days to fill" panel listing under-logged working days
+    updateMissingTime() {
+        const panel = document.getElementById('missingTimePanel');
+        const days = this.tracker.getMissingTime();
+        if (days.length === 0) {
+            panel.innerHTML = '';
+            return;
+        }
+
+        const missingHours = days.reduce((sum, day) => sum + day.missing, 0);
+        panel.innerHTML = `
+            <div class="missing-time-panel">
+                <strong>⏰ You have ${days.length} day${days.length === 1 ? '' : 's'} to fill</strong>
+                (${parseFloat(missingHours.toFixed(2))}h missing)
+                <div class="missing-days">
+                    ${days.map(day => `
+                        <button type="button" class="missing-day" data-date="${day.date}" onclick="timeTrackerUI.prefillEntry(this.dataset.date, '')"
+                                title="${day.logged}h of ${day.target}h logged">${day.date.slice(5)} · ${day.missing}h</button>
+                    `).join('')}
+                </div>
+            </div>
+        `;
+    }
+
+    // Fire the daily reminder when today is still empty (browser notification, or an in-page message)
+    checkReminder() {
+        if (!this.tracker.isReminderDue()) return;
+
+        const message = 'Nothing logged today yet. Add your hours before you leave.';
+        if (typeof Notification !== 'undefined' && Notification.permission === 'granted') {
+            new Notification('Sprint Time Tracker', { body: message });
+        } else {
+            this.showMessage(message, 'warning');
+        }
+        this.tracker.markReminderSent();
+    }
+
+    // Days of the current sprint logged over their planned hours
+    buildOvertimeReportHtml() {
+        const currentSprint = this.tracker.getCurrentSprint();
+        const days = currentSprint ? this.tracker.getSprintOvertimeReport(currentSprint.id) : [];
+        if (days.length === 0) return '';
+
+        const totalOvertime = days.reduce((sum, day) => sum + day.overtime, 0);
+        return `
+            <h3 class="summary-subtitle">Overtime <small style="color: #7f8c8d;">${parseFloat(totalOvertime.toFixed(2))}h over on ${days.length} day(s)</small></h3>
+            <table class="data-table">
+                <thead><tr><th>Date</th><th>Logged</th><th>Planned</th><th>Over</th></tr></thead>
+                <tbody>
+                    ${days.map(day => `
+                        <tr>
+                            <td>${day.date}</td>
+                            <td>${day.logged}</td>
+                            <td>${day.target}</td>
+                            <td style="color: #e67e22;">+${day.overtime}</td>
+                        </tr>
+                    `).join('')}
+                </tbody>
+            </table>
+        `;
+    }
+
+    // Show the day's running total under the hours field as the user types
+    updateDayTotalHint() {
+        const hint = document.getElementById('dayTotalHint');
+        const date = document.getElementById('dateInput').value;
+        if (!date) {
+            hint.textContent = '';
+            return;
+        }
+
+        const hours = parseFloat(document.getElementById('timeInput').value) || 0;
+        const logged = this.tracker.getDayTotalExcluding(date);
+        const total = parseFloat((logged + hours).toFixed(2));
+        const target = this.tracker.getHoursForDate(date);
+        const limit = this.tracker.settings.dailyHourLimit;
+
+        hint.className = 'day-total-hint' + (total > limit ? ' over-limit' : total > target ? ' over-target' : '');
+        hint.textContent = `Day total: ${parseFloat(logged.toFixed(2))}h logged${hours > 0 ? ` + ${hours}h = ${total}h` : ''} of ${target}h planned` +
+            (total > limit ? ` (over the ${limit}h daily limit)` : total > target ? ' (overtime)' : '');
+    }
+
+    // Use the configured entry increment as the step of the hours fields
+    applyEntryIncrement() {
+        const increment = this.tracker.settings.entryIncrement;
+        ['timeInput', 'templateTimeInput'].forEach(id => {
+            const input = document.getElementById(id);
+            input.step = increment;
+            input.min = increment;
+        });
+    }
 
-            .close:hover {
-                color: #e74c3c;
-            }
+    // Hours per category for the current sprint, as a bar chart
+    buildCategoryBreakdownHtml() {
+        const currentSprint = this.tracker.getCurrentSprint();
+        const categories = currentSprint ? this.tracker.getSprintCategoryBreakdown(currentSprint.id) : [];
+        if (categories.length === 0) return '';
+
+        const maxHours = Math.max(...categories.map(row => row.hours), 1);
+        return `
+            <h3 class="summary-subtitle">By Category</h3>
+            <div class="bar-chart">
+                ${categories.map(row => `
+                    <div class="bar-row">
+                        <span class="bar-label" title="${this.escapeHtml(row.category)}">${this.escapeHtml(row.category)}</span>
+                        <div class="bar-track">
+                            <div class="bar-fill" style="width: ${(row.hours / maxHours) * 100}%"></div>
+                        </div>
+                        <span class="bar-value">${row.hours}h · ${row.share}%</span>
+                    </div>
+                `).join('')}
+            </div>
+        `;
+    }
 
-            .sprint-item {
-                background-color: #f8f9fa;
-                padding: 15px;
-                margin-bottom: 10px;
-                border-radius: 6px;
-                border-left: 4px solid #3498db;
-                cursor: pointer;
-                transition: background-color 0.3s;
-            }
+    // Checkboxes for every known tag; selected tags stay ticked
+    buildTagPickerHtml(selected) {
+        const selectedKeys = selected.map(tag => tag.toLowerCase());
+        return this.tracker.normalizeTags([...this.tracker.getAllTags(), ...selected]).map(tag => `
+            <label class="tag-option">
+                <input type="checkbox" value="${this.escapeHtml(tag)}" ${selectedKeys.includes(tag.toLowerCase()) ? 'checked' : ''}>
+                ${this.escapeHtml(tag)}
+            </label>
+        `).join('');
+    }
 
-            .sprint-item:hover {
-                background-color: #e9ecef;
-            }
+    // Re-render a tag picker, keeping its ticked tags unless a selection is given
+    updateTagPicker(pickerId, selected = this.getPickedTags(pickerId)) {
+        document.getElementById(pickerId).innerHTML = this.buildTagPickerHtml(selected);
+    }
 
-            .sprint-item.active {
-                border-left-color: #27ae60;
-                background-color: #d4edda;
-            }
+    // Read the ticked tags of a tag picker
+    getPickedTags(pickerId) {
+        return [...document.querySelectorAll(`#${pickerId} input:checked`)].map(input => input.value);
+    }
 
-            .current-sprint-info {
-                background-color: #e8f5e8;
-                padding: 15px;
-                border-radius: 6px;
-                margin-bottom: 15px;
-                border-left: 4px solid #27ae60;
-            }
+    // Timesheet grid for the current sprint: one table per week, days as columns and Jira tasks as rows
+    updateTimesheet() {
+        const currentSprint = this.tracker.getCurrentSprint();
+        const section = document.getElementById('timesheetSection');
 
-            .no-sprint {
-                background-color: #fff3cd;
-                padding: 15px;
-                border-radius: 6px;
-                margin-bottom: 15px;
-                border-left: 4px solid #ffc107;
-                color: #856404;
+        if (!currentSprint) {
+            section.style.display = 'none';
+            return;
+        }
+        section.style.display = 'block';
+
+        const entries = this.tracker.getCurrentSprintEntries();
+        const today = LocalDate.today();
+        const tasks = [...new Set(entries.map(entry => this.tracker.getEntryTaskKey(entry)))].sort();
+
+        // Working days plus any other day that has entries (e.g. weekend overtime), split into weeks
+        const weeks = [];
+        let week = [];
+        for (let date = currentSprint.startDate; date <= currentSprint.endDate; date = LocalDate.addDays(date, 1)) {
+            if (LocalDate.getDay(date) === 1 && week.length > 0) {
+                weeks.push(week);
+                week = [];
             }
-
-            .past-sprint-warning {
-                background-color: #fff3cd;
-                padding: 15px;
-                border-radius: 6px;
-                margin-bottom: 15px;
-                border-left: 4px solid #ff9800;
-                color: #e65100;
+            if (this.tracker.isWorkingWeekday(date) || entries.some(entry => entry.date === date)) {
+                week.push(date);
             }
+        }
+        if (week.length > 0) weeks.push(week);
+
+        const dayNames = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+        const weeksHtml = weeks.map(days => {
+            const headerHtml = days.map(date => {
+                const dayOff = this.tracker.getDayOff(date);
+                return `
+                    <th class="${dayOff ? 'day-off' : ''}" title="${dayOff ? this.escapeHtml(dayOff.name) : ''}">
+                        ${dayNames[LocalDate.getDay(date)]}<br><small>${date.slice(5)}</small>
+                    </th>
+                `;
+            }).join('');
+
+            const rowsHtml = tasks.map(task => `
+                <tr>
+                    <th class="task-cell">${this.escapeHtml(task)}</th>
+                    ${days.map(date => {
+                        const hours = entries
+                            .filter(entry => entry.date === date && this.tracker.getEntryTaskKey(entry) === task)
+                            .reduce((sum, entry) => sum + entry.timeSpent, 0);
+                        return `<td class="timesheet-cell" data-date="${date}" data-task="${this.escapeHtml(task)}"
+                            onclick="timeTrackerUI.prefillEntry(this.dataset.date, this.dataset.task)">${hours > 0 ? hours : ''}</td>`;
+                    }).join('')}
+                </tr>
+            `).join('');
+
+            const totalsHtml = days.map(date => {
+                const target = this.tracker.getHoursForDate(date, currentSprint);
+                const total = this.tracker.getTotalTimeForDate(date, currentSprint);
+                const progress = this.tracker.getProgressForDate(date, currentSprint);
+                const remaining = this.tracker.getRemainingTimeForDate(date, currentSprint);
+
+                // Only days that have started can be under-logged
+                let status = '';
+                if (total > target) {
+                    status = 'day-over';
+                } else if (target > 0 && total < target && date <= today) {
+                    status = 'day-under';
+                } else if (target > 0 && total >= target) {
+                    status = 'day-full';
+                }
 
-            .past-sprint-warning p {
-                margin: 0;
-                font-weight: bold;
-            }
+                return `
+                    <td class="timesheet-cell day-total ${status}" onclick="timeTrackerUI.prefillEntry('${date}', '')"
+                        title="${total}h of ${target}h logged${remaining > 0 ? `, ${remaining}h remaining` : ''}">
+                        ${parseFloat(total.toFixed(2))}/${target}
+                        <div class="day-fill"><div style="width: ${progress}%"></div></div>
+                    </td>
+                `;
+            }).join('');
+
+            return `
+                <table class="timesheet-table">
+                    <thead><tr><th class="task-cell">Task</th>${headerHtml}</tr></thead>
+                    <tbody>
+                        ${rowsHtml}
+                        <tr><th class="task-cell">Total</th>${totalsHtml}</tr>
+                    </tbody>
+                </table>
+            `;
+        }).join('');
+
+        document.getElementById('timesheetGrid').innerHTML = `
+            ${weeksHtml}
+            <p class="timesheet-legend">
+                <span class="legend-swatch day-under"></span> Under-logged
+                <span class="legend-swatch day-full"></span> Complete
+                <span class="legend-swatch day-over"></span> Over-logged
+                · Click a cell to add time for that day
+            </p>
         `;
-        document.head.appendChild(style);
+    }
 
-        // Set today's date as default when sprint is active
-        this.refreshDisplay();
+    // Prefill the entry form from a timesheet cell. Rows without a Jira issue are named after their type.
+    prefillEntry(date, jiraId) {
+        document.getElementById('dateInput').value = date;
+        const type = Object.keys(this.tracker.ENTRY_TYPES).find(key => this.tracker.ENTRY_TYPES[key] === jiraId);
+        if (type) {
+            document.getElementById('entryTypeInput').value = type;
+            document.getElementById('jiraInput').value = '';
+        } else if (jiraId) {
+            document.getElementById('entryTypeInput').value = 'task';
+            document.getElementById('jiraInput').value = jiraId;
+        }
+        this.updateJiraFieldLabel();
+        const remaining = this.tracker.getRemainingTimeForDate(date, this.tracker.getCurrentSprint());
+        if (remaining > 0) {
+            document.getElementById('timeInput').value = remaining;
+        }
+        this.updateDayTotalHint();
+        document.getElementById(jiraId ? 'workDoneInput' : 'jiraInput').focus();
     }
 
-    bindEvents() {
-        // Time entry form
-        document.getElementById('entryForm').addEventListener('submit', (e) => {
-            e.preventDefault();
-            this.addEntry();
-        });
+    updateTaskBreakdown() {
+        const currentSprint = this.tracker.getCurrentSprint();
+        const breakdownDiv = document.getElementById('taskBreakdown');
+        const tasks = currentSprint ? this.tracker.getSprintTaskBreakdown(currentSprint.id) : [];
 
-        // Sprint management buttons
-        document.getElementById('createSprintBtn').addEventListener('click', () => {
-            this.showCreateSprintModal();
-        });
+        if (tasks.length === 0) {
+            breakdownDiv.innerHTML = '';
+            return;
+        }
 
-        document.getElementById('selectSprintBtn').addEventListener('click', () => {
-            this.showSelectSprintModal();
+        const { key, ascending } = this.taskSort;
+        const sorted = tasks.slice().sort((a, b) => {
+            const order = typeof a[key] === 'number' ? a[key] - b[key] : String(a[key]).localeCompare(String(b[key]));
+            return ascending ? order : -order;
         });
+        const maxHours = Math.max(...tasks.map(task => task.hours));
+
+        const columns = [
+            { key: 'jiraId', label: 'Task' },
+            { key: 'hours', label: 'Hours' },
+            { key: 'share', label: 'Share' },
+            { key: 'daysTouched', label: 'Days' },
+            { key: 'firstDate', label: 'First' },
+            { key: 'lastDate', label: 'Last' }
+        ];
+
+        const headerHtml = columns.map(column => `
+            <th class="sortable" onclick="timeTrackerUI.sortTaskBreakdown('${column.key}')">
+                ${column.label}${column.key === key ? (ascending ? ' ▲' : ' ▼') : ''}
+            </th>
+        `).join('');
 
-        // Sprint form
-        document.getElementById('sprintForm').addEventListener('submit', (e) => {
-            e.preventDefault();
-            this.createSprint();
-        });
+        const rowsHtml = sorted.map(task => `
+            <tr>
+                <td><strong>${this.escapeHtml(task.jiraId)}</strong></td>
+                <td>${task.hours}</td>
+                <td>${task.share}%</td>
+                <td>${task.daysTouched}</td>
+                <td>${task.firstDate}</td>
+                <td>${task.lastDate}</td>
+            </tr>
+        `).join('');
 
-        // Auto-calculate button
-        document.getElementById('autoCalculateBtn').addEventListener('click', () => {
-            const startDate = document.getElementById('sprintStartInput').value;
-            if (startDate) {
-                const endDate = this.tracker.calculateSprintEndDate(startDate);
-                document.getElementById('sprintEndInput').value = endDate;
-                this.showMessage('End date calculated for 10 working days from start date', 'success');
-            } else {
-                this.showMessage('Please select a start date first', 'error');
-            }
-        });
+        // Bars keep the table's order so the chart follows the chosen sort
+        const barsHtml = sorted.map(task => `
+            <div class="bar-row">
+                <span class="bar-label">${this.escapeHtml(task.jiraId)}</span>
+                <div class="bar-track">
+                    <div class="bar-fill" style="width: ${(task.hours / maxHours) * 100}%"></div>
+                </div>
+                <span class="bar-value">${task.hours}h</span>
+            </div>
+        `).join('');
 
-        // Modal close buttons
-        document.querySelectorAll('.close, #cancelSprintBtn, #cancelSelectBtn').forEach(btn => {
-            btn.addEventListener('click', () => {
-                this.closeModals();
-            });
+        breakdownDiv.innerHTML = `
+            <h3 class="summary-subtitle">Time by Jira Task</h3>
+            <div class="bar-chart">${barsHtml}</div>
+            <table class="data-table">
+                <thead><tr>${headerHtml}</tr></thead>
+                <tbody>${rowsHtml}</tbody>
+            </table>
+        `;
+    }
+
+    sortTaskBreakdown(key) {
+        // Clicking the active column flips the direction; a new column starts with the largest first
+        this.taskSort = this.taskSort.key === key ?
+            { key, ascending: !this.taskSort.ascending } :
+            { key, ascending: key === 'jiraId' };
+        this.updateTaskBreakdown();
+    }
+
+    showCreateSprintModal() {
+        // Set default start date to today with a calculated end date
+        document.getElementById('sprintStartInput').value = LocalDate.today();
+        document.getElementById('sprintEndInput').value = '';
+        document.getElementById('sprintEndComputedInput').checked = true;
+
+        // Prefill capacity from the default settings
+        const settings = this.tracker.settings;
+        document.getElementById('sprintHoursPerDayInput').value = settings.hoursPerDay;
+        document.getElementById('sprintWorkingDaysInput').value = settings.workingDays;
+        document.getElementById('sprintTargetInput').value = settings.targetHours;
+        this.updateSprintEndDate();
+
+        document.getElementById('sprintModal').style.display = 'flex';
+    }
+
+    // Read the capacity fields of the create-sprint form
+    getSprintFormCapacity() {
+        return this.tracker.normalizeCapacity({
+            hoursPerDay: document.getElementById('sprintHoursPerDayInput').value,
+            workingDays: document.getElementById('sprintWorkingDaysInput').value,
+            targetHours: document.getElementById('sprintTargetInput').value
         });
+    }
 
-        // Clear sprint entries button
-        document.getElementById('clearSprintBtn').addEventListener('click', () => {
-            if (confirm('Are you sure you want to delete all entries for this sprint? This action cannot be undone.')) {
-                this.clearCurrentSprintEntries();
+    // Keep a calculated end date in step with the start date and working days; a manual one is left to the user
+    updateSprintEndDate() {
+        const workingDays = parseInt(document.getElementById('sprintWorkingDaysInput').value, 10) || this.tracker.settings.workingDays;
+        const computed = document.getElementById('sprintEndComputedInput').checked;
+        const endInput = document.getElementById('sprintEndInput');
+        const startDate = document.getElementById('sprintStartInput').value;
+        document.getElementById('autoCalculateLabel').textContent = `Calculate from ${workingDays} working days`;
+        endInput.readOnly = computed;
+
+        if (computed && startDate) {
+            try {
+                endInput.value = this.tracker.calculateSprintEndDate(startDate, workingDays);
+            } catch (error) {
+                endInput.value = '';
+                this.showMessage(error.message, 'error');
             }
-        });
+        }
+    }
 
-        // Close modal when clicking outside
-        window.addEventListener('click', (e) => {
-            if (e.target.classList.contains('modal')) {
-                this.closeModals();
+    showCalendarModal() {
+        this.updateCalendarLists();
+        document.getElementById('calendarModal').style.display = 'flex';
+    }
+
+    updateCalendarLists() {
+        const { holidaySets, pto } = this.tracker.calendar;
+
+        document.getElementById('holidaySetsList').innerHTML = holidaySets.length > 0 ? holidaySets.map(set => `
+            <div class="calendar-item">
+                <label style="display: inline; font-weight: normal;">
+                    <input type="checkbox" style="width: auto;" ${set.enabled ? 'checked' : ''}
+                           onchange="timeTrackerUI.toggleHolidaySet('${set.id}', this.checked)">
+                    <strong>${this.escapeHtml(set.name)}</strong>
+                    <span style="color: #7f8c8d;">(${set.days.length} days)</span>
+                </label>
+                <button class="delete-btn" onclick="timeTrackerUI.deleteHolidaySet('${set.id}')">Remove</button>
+            </div>
+        `).join('') : '<p style="color: #7f8c8d;">No holiday sets imported.</p>';
+
+        document.getElementById('ptoList').innerHTML = pto.length > 0 ? pto.map(day => `
+            <div class="calendar-item">
+                <span><strong>${day.date}</strong> ${this.escapeHtml(day.note)}</span>
+                <button class="delete-btn" onclick="timeTrackerUI.deletePTO('${day.date}')">Remove</button>
+            </div>
+        `).join('') : '<p style="color: #7f8c8d;">No PTO days.</p>';
+    }
+
+    importHolidayFile(file) {
+        const reader = new FileReader();
+        reader.onload = () => {
+            try {
+                const name = document.getElementById('holidaySetNameInput').value.trim() || file.name.replace(/\.ics$/i, '');
+                const set = this.tracker.importHolidaysFromICS(name, reader.result);
+                document.getElementById('holidaySetNameInput').value = '';
+                this.updateCalendarLists();
+                this.refreshDisplay();
+                this.showMessage(`Imported ${set.days.length} holidays into "${set.name}"`, 'success');
+            } catch (error) {
+                this.showMessage(error.message, 'error');
             }
-        });
+        };
+        reader.onerror = () => {
+            this.showMessage('Could not read the selected file', 'error');
+        };
+        reader.readAsText(file);
     }
 
-    addEntry() {
-        try {
-            const date = document.getElementById('dateInput').value;
-            const jiraId = document.getElementById('jiraInput').value;
-            const timeSpent = document.getElementById('timeInput').value;
-            const workDone = document.getElementById('workDoneInput').value;
+    toggleHolidaySet(setId, enabled) {
+        this.tracker.setHolidaySetEnabled(setId, enabled);
+        this.updateCalendarLists();
+        this.refreshDisplay();
+    }
 
-            // Check if sprint is over and allow past dates
-            const allowPastDates = this.tracker.isCurrentSprintOver();
-            
-            this.tracker.addEntry(date, jiraId, timeSpent, workDone, allowPastDates);
-            
-            // Clear form
-            document.getElementById('jiraInput').value = '';
-            document.getElementById('timeInput').value = '';
-            document.getElementById('workDoneInput').value = '';
-            
+    deleteHolidaySet(setId) {
+        if (confirm('Remove this holiday set?')) {
+            this.tracker.deleteHolidaySet(setId);
+            this.updateCalendarLists();
             this.refreshDisplay();
-            this.showMessage('Entry added successfully!', 'success');
-        } catch (error) {
-            this.showMessage(error.message, 'error');
         }
     }
 
-    refreshDisplay() {
-        this.updateCurrentSprintInfo();
-        this.updateSprintProgress();
-        this.updateEntriesList();
-        this.updateSummary();
-        this.updateTimeEntryVisibility();
+    deletePTO(date) {
+        this.tracker.deletePTO(date);
+        this.updateCalendarLists();
+        this.refreshDisplay();
     }
 
-    updateCurrentSprintInfo() {
-        const currentSprint = this.tracker.getCurrentSprint();
-        const infoDiv = document.getElementById('currentSprintInfo');
-        
-        if (currentSprint) {
-            const isSprintOver = this.tracker.isCurrentSprintOver();
-            const sprintStatus = isSprintOver ? 
-                '<p style="color: #e74c3c; font-weight: bold;">📅 Sprint Completed</p>' : 
-                '<p style="color: #27ae60; font-weight: bold;">🔄 Sprint Active</p>';
-            
-            infoDiv.innerHTML = `
-                <div class="current-sprint-info">
-                    <h3>${currentSprint.name}</h3>
-                    ${sprintStatus}
-                    <p><strong>Start:</strong> ${currentSprint.startDate}</p>
-                    <p><strong>End:</strong> ${currentSprint.endDate}</p>
-                    <p><strong>Days Remaining:</strong> ${this.tracker.getCurrentSprintDaysRemaining()} working days</p>
-                </div>
-            `;
-        } else {
-            infoDiv.innerHTML = `
-                <div class="no-sprint">
-                    <p>⚠️ No active sprint selected. Create or select a sprint to start tracking time.</p>
-                </div>
-            `;
+    showSettingsModal() {
+        const settings = this.tracker.settings;
+        document.getElementById('settingsHoursPerDayInput').value = settings.hoursPerDay;
+        document.getElementById('settingsWorkingDaysInput').value = settings.workingDays;
+        document.getElementById('settingsTargetInput').value = settings.targetHours;
+        document.getElementById('settingsWorkdayEndInput').value = settings.workdayEnd;
+        document.getElementById('settingsLeaveReducesCapacityInput').checked = settings.leaveReducesCapacity;
+        document.getElementById('settingsDailyLimitInput').value = settings.dailyHourLimit;
+        document.getElementById('settingsReminderInput').value = settings.reminderTime;
+        document.getElementById('settingsUserNameInput').value = settings.userName;
+        document.getElementById('settingsIncrementInput').value = settings.entryIncrement;
+        document.getElementById('settingsCategoriesInput').value = this.tracker.categories.join('\n');
+        document.getElementById('settingsStorageInput').value = this.tracker.storage.name;
+        document.querySelector('#settingsStorageInput option[value="indexedDB"]').disabled = typeof indexedDB === 'undefined';
+
+        // Monday first, Sunday last
+        const { days, hoursByDay } = this.tracker.workWeek;
+        const dayNames = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+        document.getElementById('workWeekInputs').innerHTML = [1, 2, 3, 4, 5, 6, 0].map(day => `
+            <div class="work-week-day">
+                <label style="font-weight: normal;">
+                    <input type="checkbox" class="work-week-day-input" data-day="${day}" style="width: auto;" ${days.includes(day) ? 'checked' : ''}>
+                    ${dayNames[day]}
+                </label>
+                <input type="number" class="work-week-hours-input" data-day="${day}" step="0.25" min="0.25" max="24"
+                       placeholder="${settings.hoursPerDay}" value="${hoursByDay[day] !== undefined ? hoursByDay[day] : ''}">
+            </div>
+        `).join('');
+
+        document.getElementById('settingsModal').style.display = 'flex';
+    }
+
+    saveSettings() {
+        try {
+            const hoursByDay = {};
+            document.querySelectorAll('.work-week-hours-input').forEach(input => {
+                hoursByDay[input.dataset.day] = input.value;
+            });
+
+            this.tracker.updateAllSettings({
+                settings: {
+                    hoursPerDay: document.getElementById('settingsHoursPerDayInput').value,
+                    workingDays: document.getElementById('settingsWorkingDaysInput').value,
+                    // An empty target is recalculated from hours per day × working days
+                    targetHours: document.getElementById('settingsTargetInput').value || undefined,
+                    workdayEnd: document.getElementById('settingsWorkdayEndInput').value,
+                    leaveReducesCapacity: document.getElementById('settingsLeaveReducesCapacityInput').checked,
+                    dailyHourLimit: document.getElementById('settingsDailyLimitInput').value,
+                    entryIncrement: document.getElementById('settingsIncrementInput').value,
+                    reminderTime: document.getElementById('settingsReminderInput').value,
+                    userName: document.getElementById('settingsUserNameInput').value
+                },
+                workWeek: {
+                    days: [...document.querySelectorAll('.work-week-day-input:checked')].map(input => Number(input.dataset.day)),
+                    hoursByDay
+                },
+                categories: document.getElementById('settingsCategoriesInput').value.split('\n')
+            });
+
+            // Browsers only show notifications after the user allowed them
+            if (this.tracker.settings.reminderTime && typeof Notification !== 'undefined' && Notification.permission === 'default') {
+                Notification.requestPermission();
+            }
+
+            this.updateTagPicker('tagPicker');
+            this.applyEntryIncrement();
+            this.closeModals();
+            this.refreshDisplay();
+            this.showMessage('Settings saved successfully!', 'success');
+
+            const backend = document.getElementById('settingsStorageInput').value;
+            if (backend !== this.tracker.storage.name) {
+                this.changeStorageBackend(backend);
+            }
+        } catch (error) {
+            this.showMessage(error.message, 'error');
         }
     }
 
-    updateTimeEntryVisibility() {
-        const timeEntrySection = document.getElementById('timeEntrySection');
-        const pastSprintWarning = document.getElementById('pastSprintWarning');
-        const currentSprint = this.tracker.getCurrentSprint();
-        
-        if (currentSprint) {
-            timeEntrySection.style.display = 'block';
-            
-            // Check if sprint is over
-            const isSprintOver = this.tracker.isCurrentSprintOver();
-            
-            if (isSprintOver) {
-                pastSprintWarning.style.display = 'block';
-                // For past sprints, set date to the last day of the sprint
-                const dateInput = document.getElementById('dateInput');
-                dateInput.value = currentSprint.endDate;
-                dateInput.min = currentSprint.startDate;
-                dateInput.max = currentSprint.endDate;
-            } else {
-                pastSprintWarning.style.display = 'none';
-                // Set date input to today if it's a working day, otherwise set to next working day
-                const today = new Date();
-                let defaultDate = today;
-                
-                // If today is weekend, find next Monday
-                if (today.getDay() === 0) { // Sunday
-                    defaultDate.setDate(today.getDate() + 1); // Next Monday
-                } else if (today.getDay() === 6) { // Saturday
-                    defaultDate.setDate(today.getDate() + 2); // Next Monday
-                }
-                
-                const dateInput = document.getElementById('dateInput');
-                dateInput.value = defaultDate.toISOString().split('T')[0];
-                dateInput.min = currentSprint.startDate;
-                dateInput.max = currentSprint.endDate;
+    // Copy all data to another storage backend and remember the choice for the next start
+    async changeStorageBackend(backend) {
+        try {
+            const target = await StorageAdapter.open(backend);
+            if (target.name !== backend) {
+                throw new Error(`${backend} is not available in this browser`);
             }
-            
-            // Add event listener to warn about weekends (remove existing listeners first)
-            const dateInput = document.getElementById('dateInput');
-            const newDateInput = dateInput.cloneNode(true);
-            dateInput.parentNode.replaceChild(newDateInput, dateInput);
-            
-            newDateInput.addEventListener('change', (e) => {
-                const selectedDate = new Date(e.target.value);
-                if (selectedDate.getDay() === 0 || selectedDate.getDay() === 6) {
-                    this.showMessage('⚠️ Selected date is a weekend. Time entries are only allowed for working days (Monday-Friday).', 'error');
-                }
-            });
-        } else {
-            timeEntrySection.style.display = 'none';
-            pastSprintWarning.style.display = 'none';
+            await this.tracker.moveToStorage(target);
+            StorageAdapter.setPreferredBackend(backend);
+            this.showMessage(`Data is now saved in ${backend}`, 'success');
+        } catch (error) {
+            this.showMessage(`Could not switch storage: ${error.message}`, 'error');
         }
     }
 
-    updateSprintProgress() {
-        const currentSprint = this.tracker.getCurrentSprint();
-        const progressDiv = document.getElementById('sprintProgress');
-        
-        if (!currentSprint) {
-            progressDiv.innerHTML = '<p>No active sprint selected.</p>';
+    // Show saved data that could not be read or upgraded, with a way to download it for repair
+    updateStorageWarning() {
+        const warning = document.getElementById('storageWarning');
+        const quarantined = this.tracker.getQuarantine();
+        const messages = [
+            ...this.tracker.storageIssues.map(issue => issue.message),
+            ...quarantined.map(item => `"${item.key}" could not be read and was set aside on ${item.quarantinedAt.split('T')[0]} (${item.reason})`)
+        ];
+        if (messages.length === 0 || this.storageWarningDismissed) {
+            warning.style.display = 'none';
             return;
         }
 
-        const totalTime = this.tracker.getCurrentSprintTotalTime();
-        const progress = this.tracker.getCurrentSprintProgress();
-        const remaining = this.tracker.getCurrentSprintRemainingTime();
-        const daysRemaining = this.tracker.getCurrentSprintDaysRemaining();
-        const totalHours = this.tracker.SPRINT_TOTAL_HOURS;
-        const isSprintOver = this.tracker.isCurrentSprintOver();
-
-        const progressHtml = `
-            <div class="progress-info">
-                <p><strong>Sprint:</strong> ${currentSprint.name}</p>
-                <p><strong>Time logged:</strong> ${totalTime.toFixed(2)} / ${totalHours} hours</p>
-                <div class="progress-bar">
-                    <div class="progress-fill" style="width: ${progress}%">
-                        ${progress.toFixed(1)}%
-                    </div>
-                </div>
-                <p><strong>Remaining time:</strong> ${remaining.toFixed(2)} hours</p>
-                <p><strong>Days remaining:</strong> ${daysRemaining} working days</p>
-                ${progress >= 100 ? '<p style="color: #27ae60; font-weight: bold;">🎉 Sprint goal achieved!</p>' : ''}
-                ${isSprintOver ? '<p style="color: #e74c3c; font-weight: bold;">📅 Sprint period has ended</p>' : ''}
-            </div>
+        warning.innerHTML = `
+            <strong>⚠️ Some saved data had problems</strong>
+            <ul style="margin: 8px 0 8px 20px;">
+                ${messages.map(message => `<li>${this.escapeHtml(message)}</li>`).join('')}
+            </ul>
+            ${quarantined.length > 0 ? `
+                <button type="button" class="secondary-btn" onclick="timeTrackerUI.downloadQuarantine()">Download Set-Aside Data</button>
+                <button type="button" class="secondary-btn" onclick="timeTrackerUI.clearQuarantine()">Delete Set-Aside Data</button>
+            ` : ''}
+            <button type="button" class="secondary-btn" onclick="timeTrackerUI.dismissStorageWarning()">Dismiss</button>
         `;
+        warning.style.display = 'block';
+    }
 
-        progressDiv.innerHTML = progressHtml;
+    downloadQuarantine() {
+        const stamp = LocalDate.today();
+        this.downloadFile(`time-tracker-quarantine-${stamp}.json`, JSON.stringify(this.tracker.getQuarantine(), null, 2), 'application/json');
     }
 
-    updateEntriesList() {
-        const entries = this.tracker.getCurrentSprintEntries().slice().reverse(); // Show newest first
-        
-        if (entries.length === 0) {
-            document.getElementById('entriesList').innerHTML = '<div class="no-entries">No entries yet for this sprint. Add your first time entry above!</div>';
+    clearQuarantine() {
+        if (!confirm('Delete the set-aside data? Download it first if you want to repair it.')) {
             return;
         }
+        this.tracker.clearQuarantine();
+        this.updateStorageWarning();
+    }
 
-        const entriesHtml = entries.map(entry => `
-            <div class="entry-item">
-                <div class="entry-info">
-                    <strong>${entry.date}</strong> - ${entry.jiraId}
-                    <br>
-                    <span style="color: #7f8c8d;">Time: ${entry.timeSpent} hours</span>
-                    <br>
-                    <span style="color: #555; font-style: italic;">${entry.workDone || 'No description'}</span>
-                </div>
-                <div class="entry-actions">
-                    <button class="delete-btn" onclick="timeTrackerUI.deleteEntry(${entry.id})">Delete</button>
-                </div>
-            </div>
+    // Hide the warning until the next start; set-aside data is kept
+    dismissStorageWarning() {
+        this.storageWarningDismissed = true;
+        this.updateStorageWarning();
+    }
+
+    showSearchModal() {
+        const sprintSelect = document.getElementById('searchSprintInput');
+        const selected = sprintSelect.value;
+        sprintSelect.innerHTML = '<option value="">All sprints</option>' + this.tracker.sprints
+            .slice()
+            .sort((a, b) => b.startDate.localeCompare(a.startDate))
+            .map(sprint => `<option value="${sprint.id}">${this.escapeHtml(sprint.name)}</option>`)
+            .join('');
+        sprintSelect.value = selected;
+
+        const tagSelect = document.getElementById('searchTagInput');
+        const selectedTag = tagSelect.value;
+        tagSelect.innerHTML = '<option value="">All categories</option>' + this.tracker.getAllTags()
+            .map(tag => `<option value="${this.escapeHtml(tag)}">${this.escapeHtml(tag)}</option>`)
+            .join('');
+        tagSelect.value = selectedTag;
+
+        this.updateSearchResults();
+        document.getElementById('searchModal').style.display = 'flex';
+        document.getElementById('searchJiraInput').focus();
+    }
+
+    // Read the search form into searchEntries criteria
+    getSearchCriteria() {
+        return {
+            jiraId: document.getElementById('searchJiraInput').value,
+            project: document.getElementById('searchProjectInput').value,
+            text: document.getElementById('searchTextInput').value,
+            tag: document.getElementById('searchTagInput').value,
+            type: document.getElementById('searchTypeInput').value,
+            sprintId: document.getElementById('searchSprintInput').value,
+            from: document.getElementById('searchFromInput').value || null,
+            to: document.getElementById('searchToInput').value || null,
+            minHours: document.getElementById('searchMinHoursInput').value,
+            maxHours: document.getElementById('searchMaxHoursInput').value
+        };
+    }
+
+    updateSearchResults() {
+        const result = this.tracker.searchEntries(this.getSearchCriteria());
+        const resultsDiv = document.getElementById('searchResults');
+
+        if (result.totalEntries === 0) {
+            resultsDiv.innerHTML = '<div class="no-entries">No matching entries.</div>';
+            return;
+        }
+
+        const groupsHtml = result.groups.map(group => `
+            <h3 class="summary-subtitle">${this.escapeHtml(group.sprintName)}
+                <small style="color: #7f8c8d;">${group.entries.length} entries · ${group.totalTime}h</small>
+            </h3>
+            <table class="data-table">
+                <thead><tr><th>Date</th><th>Jira ID</th><th>Hours</th><th>Work Done</th><th>Categories</th></tr></thead>
+                <tbody>
+                    ${group.entries.map(entry => `
+                        <tr>
+                            <td>${entry.date}</td>
+                            <td>${this.escapeHtml(this.tracker.getEntryTaskKey(entry))}</td>
+                            <td>${entry.timeSpent}</td>
+                            <td>${this.escapeHtml(entry.workDone || '')}</td>
+                            <td>${this.escapeHtml((entry.tags || []).join(', '))}</td>
+                        </tr>
+                    `).join('')}
+                </tbody>
+            </table>
         `).join('');
 
-        document.getElementById('entriesList').innerHTML = entriesHtml;
+        resultsDiv.innerHTML = `
+            <p><strong>${result.totalEntries}</strong> entries · <strong>${result.totalTime}h</strong> in ${result.groups.length} sprint(s)</p>
+            ${groupsHtml}
+        `;
     }
 
-    updateSummary() {
-        const summary = this.tracker.getCurrentSprintSummary();
-        
-        const summaryHtml = `
-            <div class="stats-grid">
-                <div class="stat-card">
-                    <div class="stat-number">${summary.totalEntries}</div>
-                    <div class="stat-label">Sprint Entries</div>
-                </div>
-                <div class="stat-card">
-                    <div class="stat-number">${summary.totalTime}</div>
-                    <div class="stat-label">Hours Logged</div>
-                </div>
-                <div class="stat-card">
-                    <div class="stat-number">${summary.uniqueDates}</div>
-                    <div class="stat-label">Active Days</div>
-                </div>
-                <div class="stat-card">
-                    <div class="stat-number">${summary.averageTimePerDay}</div>
-                    <div class="stat-label">Avg Hours/Day</div>
-                </div>
-                <div class="stat-card">
-                    <div class="stat-number">${summary.daysRemaining}</div>
-                    <div class="stat-label">Working Days Left</div>
-                </div>
-                <div class="stat-card">
-                    <div class="stat-number">${summary.progress}%</div>
-                    <div class="stat-label">Sprint Progress</div>
-                </div>
-            </div>
+    // One button per template above the entry form
+    updateTemplateButtons() {
+        document.getElementById('templateButtons').innerHTML = this.tracker.templates.map(template => `
+            <button type="button" class="template-chip" title="${template.timeSpent}h · ${this.escapeHtml(template.workDone)}"
+                    onclick="timeTrackerUI.applyTemplate('${template.id}')">${this.escapeHtml(template.name)}</button>
+        `).join('');
+    }
+
+    // Fill the entry form from a template (the date is kept)
+    applyTemplate(templateId) {
+        const template = this.tracker.templates.find(t => t.id === templateId);
+        if (!template) return;
+
+        document.getElementById('entryTypeInput').value = template.type;
+        document.getElementById('jiraInput').value = template.jiraId;
+        document.getElementById('timeInput').value = template.timeSpent;
+        document.getElementById('workDoneInput').value = template.workDone;
+        this.updateJiraFieldLabel();
+        this.updateTagPicker('tagPicker', template.tags);
+        this.updateDayTotalHint();
+    }
+
+    showTemplatesModal() {
+        this.updateTemplatesList();
+        this.updateTagPicker('templateTagPicker', []);
+        document.getElementById('templateDrafts').innerHTML = '';
+        document.getElementById('templatesModal').style.display = 'flex';
+    }
+
+    updateTemplatesList() {
+        const templates = this.tracker.templates;
+        document.getElementById('templatesList').innerHTML = templates.length === 0 ?
+            '<p style="color: #7f8c8d;">No templates yet.</p>' : `
+            <table class="data-table">
+                <thead><tr><th>Name</th><th>Type</th><th>Jira ID</th><th>Hours</th><th>Recurrence</th><th></th></tr></thead>
+                <tbody>
+                    ${templates.map(template => `
+                        <tr>
+                            <td><strong>${this.escapeHtml(template.name)}</strong><br><small>${this.escapeHtml(template.workDone)}</small></td>
+                            <td>${this.tracker.ENTRY_TYPES[template.type]}</td>
+                            <td>${this.escapeHtml(template.jiraId)}</td>
+                            <td>${template.timeSpent}</td>
+                            <td>${this.tracker.describeRecurrence(template.recurrence)}</td>
+                            <td><button class="delete-btn" onclick="timeTrackerUI.deleteTemplate('${template.id}')">Delete</button></td>
+                        </tr>
+                    `).join('')}
+                </tbody>
+            </table>
         `;
+    }
 
-        document.getElementById('summaryDisplay').innerHTML = summaryHtml;
+    saveTemplate() {
+        try {
+            this.tracker.addTemplate({
+                name: document.getElementById('templateNameInput').value,
+                type: document.getElementById('templateTypeInput').value,
+                jiraId: document.getElementById('templateJiraInput').value,
+                timeSpent: document.getElementById('templateTimeInput').value,
+                workDone: document.getElementById('templateWorkDoneInput').value,
+                recurrence: document.getElementById('templateRecurrenceInput').value,
+                tags: this.getPickedTags('templateTagPicker')
+            });
+            document.getElementById('templateForm').reset();
+            this.updateTagPicker('templateTagPicker', []);
+            this.updateTemplatesList();
+            this.updateTemplateButtons();
+            this.showMessage('Template saved!', 'success');
+        } catch (error) {
+            this.showMessage(error.message, 'error');
+        }
     }
 
-    showCreateSprintModal() {
-        // Set default start date to today and clear end date
-        document.getElementById('sprintStartInput').value = new Date().toISOString().split('T')[0];
-        document.getElementById('sprintEndInput').value = '';
-        document.getElementById('sprintModal').style.display = 'flex';
+    deleteTemplate(templateId) {
+        this.tracker.deleteTemplate(templateId);
+        this.updateTemplatesList();
+        this.updateTemplateButtons();
+    }
+
+    // Show the current sprint's recurring drafts for review
+    showTemplateDrafts() {
+        const draftsDiv = document.getElementById('templateDrafts');
+        if (!this.tracker.getCurrentSprint()) {
+            draftsDiv.innerHTML = '<p style="color: #e74c3c;">Select a sprint first.</p>';
+            return;
+        }
+
+        this.templateDrafts = this.tracker.generateTemplateDrafts();
+        if (this.templateDrafts.length === 0) {
+            draftsDiv.innerHTML = '<p style="color: #7f8c8d;">Nothing to add: every recurring entry is already logged.</p>';
+            return;
+        }
+
+        draftsDiv.innerHTML = `
+            <table class="data-table">
+                <thead><tr><th></th><th>Date</th><th>Jira ID</th><th>Hours</th><th>Work Done</th></tr></thead>
+                <tbody>
+                    ${this.templateDrafts.map((draft, index) => `
+                        <tr>
+                            <td><input type="checkbox" class="draft-select" data-index="${index}" style="width: auto;" checked></td>
+                            <td>${draft.date}</td>
+                            <td>${this.escapeHtml(draft.jiraId || this.tracker.ENTRY_TYPES[draft.type])}</td>
+                            <td>${draft.timeSpent}</td>
+                            <td>${this.escapeHtml(draft.workDone)}</td>
+                        </tr>
+                    `).join('')}
+                </tbody>
+            </table>
+            <button type="button" onclick="timeTrackerUI.commitTemplateDrafts()">Add Selected Entries</button>
+        `;
+    }
+
+    // Add the ticked drafts as entries
+    async commitTemplateDrafts() {
+        const selected = [...document.querySelectorAll('.draft-select:checked')]
+            .map(input => this.templateDrafts[Number(input.dataset.index)]);
+        const result = await this.tracker.commitTemplateDrafts(selected);
+
+        this.refreshDisplay();
+        this.showTemplateDrafts();
+        if (result.rejected.length > 0) {
+            this.showMessage(`Added ${result.added.length} entries; ${result.rejected.length} rejected: ${result.rejected[0].reason}`, 'error');
+        } else {
+            this.showMessage(`Added ${result.added.length} entries`, 'success');
+        }
     }
 
     showSelectSprintModal() {
@@ -1167,21 +6489,50 @@ class TimeTrackerUI {
     closeModals() {
         document.getElementById('sprintModal').style.display = 'none';
         document.getElementById('selectSprintModal').style.display = 'none';
+        document.getElementById('importReportModal').style.display = 'none';
+        document.getElementById('jiraWorklogModal').style.display = 'none';
+        document.getElementById('jiraSettingsModal').style.display = 'none';
+        document.getElementById('settingsModal').style.display = 'none';
+        document.getElementById('calendarModal').style.display = 'none';
+        document.getElementById('dashboardModal').style.display = 'none';
+        document.getElementById('searchModal').style.display = 'none';
+        document.getElementById('templatesModal').style.display = 'none';
+        document.getElementById('entryPolicyModal').style.display = 'none';
+        document.getElementById('activityLogModal').style.display = 'none';
+        document.getElementById('integrityModal').style.display = 'none';
+        document.getElementById('recalculateModal').style.display = 'none';
+        this.pendingEntryPolicy = null;
         // Clear form
         document.getElementById('sprintForm').reset();
+        this.editingSprintId = null;
+        document.getElementById('sprintModalTitle').textContent = 'Create New Sprint';
+        document.getElementById('sprintSubmitBtn').textContent = 'Create Sprint';
     }
 
     createSprint() {
         try {
             const name = document.getElementById('sprintNameInput').value;
             const startDate = document.getElementById('sprintStartInput').value;
-            const endDate = document.getElementById('sprintEndInput').value;
+            // An empty end date tells the tracker to calculate it
+            const computed = document.getElementById('sprintEndComputedInput').checked;
+            const endDate = computed ? '' : document.getElementById('sprintEndInput').value;
 
             if (!name || !startDate) {
                 throw new Error('Sprint name and start date are required');
             }
 
-            const sprint = this.tracker.createSprint(name, startDate, endDate);
+            if (this.editingSprintId !== null) {
+                const sprint = this.tracker.sprints.find(s => s.id === this.editingSprintId);
+                const changes = { name, startDate, capacity: this.getSprintFormCapacity() };
+                // An unchanged calculated end date is only recalculated when the start date or working days change
+                if (!computed || sprint.endDateMode !== 'computed') {
+                    changes.endDate = endDate;
+                }
+                this.updateSprint(this.editingSprintId, changes);
+                return;
+            }
+
+            const sprint = this.tracker.createSprint(name, startDate, endDate, this.getSprintFormCapacity());
             this.tracker.setCurrentSprint(sprint.id);
             
             this.closeModals();
@@ -1193,27 +6544,148 @@ class TimeTrackerUI {
     }
 
     updateSprintsList() {
-        const sprints = this.tracker.sprints.slice().reverse(); // Show newest first
+        const showArchived = document.getElementById('showArchivedInput').checked;
+        const sprints = this.tracker.sprints
+            .filter(sprint => showArchived || !sprint.archived)
+            .reverse(); // Show newest first
         const currentSprint = this.tracker.getCurrentSprint();
         const sprintsListDiv = document.getElementById('sprintsList');
 
         if (sprints.length === 0) {
-            sprintsListDiv.innerHTML = '<p>No sprints created yet.</p>';
+            sprintsListDiv.innerHTML = this.tracker.sprints.length === 0 ?
+                '<p>No sprints created yet.</p>' : '<p>All sprints are archived.</p>';
             return;
         }
 
+        // Action buttons stop the click so they don't also select the sprint
         const sprintsHtml = sprints.map(sprint => `
-            <div class="sprint-item ${currentSprint && currentSprint.id === sprint.id ? 'active' : ''}" 
-                 onclick="timeTrackerUI.selectSprint(${sprint.id})">
-                <h4>${sprint.name}</h4>
-                <p>${sprint.startDate} to ${sprint.endDate}</p>
+            <div class="sprint-item ${currentSprint && currentSprint.id === sprint.id ? 'active' : ''} ${sprint.archived ? 'archived' : ''}" 
+                 onclick="timeTrackerUI.selectSprint('${sprint.id}')">
+                <h4>${this.escapeHtml(sprint.name)}${sprint.archived ? ' <small>(archived)</small>' : ''}</h4>
+                <p>${sprint.startDate} to ${sprint.endDate}${sprint.endDateMode === 'computed' ? '' : ' (end date set by hand)'} · ${this.tracker.getSprintEntries(sprint.id).length} entries</p>
+                <p style="color: #7f8c8d;">Target: ${this.tracker.getSprintCapacity(sprint).targetHours}h (${this.tracker.getSprintCapacity(sprint).hoursPerDay}h/day)</p>
                 ${currentSprint && currentSprint.id === sprint.id ? '<p><strong>Currently Active</strong></p>' : ''}
+                <div class="sprint-actions" onclick="event.stopPropagation()">
+                    <button class="edit-btn" onclick="timeTrackerUI.showEditSprintModal('${sprint.id}')">Edit</button>
+                    <button class="cancel-btn" onclick="timeTrackerUI.archiveSprint('${sprint.id}', ${!sprint.archived})">${sprint.archived ? 'Restore' : 'Archive'}</button>
+                    <button class="delete-btn" onclick="timeTrackerUI.deleteSprint('${sprint.id}')">Delete</button>
+                </div>
             </div>
         `).join('');
 
         sprintsListDiv.innerHTML = sprintsHtml;
     }
 
+    // Open the sprint modal prefilled for editing
+    showEditSprintModal(sprintId) {
+        const sprint = this.tracker.sprints.find(s => s.id === sprintId);
+        if (!sprint) return;
+
+        this.closeModals();
+        this.editingSprintId = sprintId;
+        const capacity = this.tracker.getSprintCapacity(sprint);
+        document.getElementById('sprintModalTitle').textContent = 'Edit Sprint';
+        document.getElementById('sprintSubmitBtn').textContent = 'Save Sprint';
+        document.getElementById('sprintNameInput').value = sprint.name;
+        document.getElementById('sprintStartInput').value = sprint.startDate;
+        document.getElementById('sprintEndInput').value = sprint.endDate;
+        document.getElementById('sprintHoursPerDayInput').value = capacity.hoursPerDay;
+        document.getElementById('sprintWorkingDaysInput').value = capacity.workingDays;
+        document.getElementById('sprintTargetInput').value = capacity.targetHours;
+        // Opening the form must not recalculate a computed end date that is out of date
+        document.getElementById('sprintEndComputedInput').checked = sprint.endDateMode === 'computed';
+        document.getElementById('autoCalculateLabel').textContent = `Calculate from ${capacity.workingDays} working days`;
+        document.getElementById('sprintEndInput').readOnly = sprint.endDateMode === 'computed';
+
+        document.getElementById('sprintModal').style.display = 'flex';
+    }
+
+    // Save sprint changes, asking what to do with entries that no longer fit the dates
+    updateSprint(sprintId, changes) {
+        const sprint = this.tracker.sprints.find(s => s.id === sprintId);
+        const conflicts = this.tracker.getSprintEntryConflicts(sprintId, this.tracker.buildSprintChanges(sprint, changes));
+
+        if (conflicts.length > 0) {
+            this.showEntryPolicyModal(
+                `${conflicts.length} entries of "${sprint.name}" no longer fit the new dates.`,
+                sprintId,
+                entryPolicy => this.tracker.updateSprint(sprintId, changes, entryPolicy),
+                'Sprint updated successfully!'
+            );
+            return;
+        }
+
+        this.tracker.updateSprint(sprintId, changes);
+        this.closeModals();
+        this.refreshDisplay();
+        this.showMessage('Sprint updated successfully!', 'success');
+    }
+
+    archiveSprint(sprintId, archived) {
+        try {
+            this.tracker.setSprintArchived(sprintId, archived);
+            this.updateSprintsList();
+            this.refreshDisplay();
+            this.showMessage(archived ? 'Sprint archived' : 'Sprint restored', 'success');
+        } catch (error) {
+            this.showMessage(error.message, 'error');
+        }
+    }
+
+    deleteSprint(sprintId) {
+        const sprint = this.tracker.sprints.find(s => s.id === sprintId);
+        if (!sprint) return;
+
+        const entries = this.tracker.getSprintEntries(sprintId);
+        if (entries.length > 0) {
+            this.showEntryPolicyModal(
+                `Sprint "${sprint.name}" has ${entries.length} entries.`,
+                sprintId,
+                entryPolicy => this.tracker.deleteSprint(sprintId, entryPolicy),
+                'Sprint deleted'
+            );
+            return;
+        }
+
+        if (confirm(`Delete sprint "${sprint.name}"?`)) {
+            this.tracker.deleteSprint(sprintId);
+            this.updateSprintsList();
+            this.refreshDisplay();
+            this.showMessage('Sprint deleted', 'success');
+        }
+    }
+
+    // Ask whether to move affected entries to another sprint or delete them, then run the sprint change
+    showEntryPolicyModal(message, sprintId, action, successMessage) {
+        const targets = this.tracker.sprints.filter(s => s.id !== sprintId);
+        this.closeModals();
+        this.pendingEntryPolicy = { action, successMessage };
+
+        document.getElementById('entryPolicyMessage').textContent = `${message} Move them to another sprint or delete them.`;
+        document.getElementById('entryPolicyTargetInput').innerHTML = targets
+            .slice()
+            .sort((a, b) => b.startDate.localeCompare(a.startDate))
+            .map(s => `<option value="${s.id}">${this.escapeHtml(s.name)} (${s.startDate} to ${s.endDate})</option>`)
+            .join('');
+        document.getElementById('entryPolicyMoveBtn').disabled = targets.length === 0;
+        document.getElementById('entryPolicyModal').style.display = 'flex';
+    }
+
+    // Run the pending sprint change with the chosen entry policy
+    applyEntryPolicy(entryPolicy) {
+        if (!this.pendingEntryPolicy) return;
+
+        try {
+            const { action, successMessage } = this.pendingEntryPolicy;
+            action(entryPolicy);
+            this.closeModals();
+            this.refreshDisplay();
+            this.showMessage(successMessage, 'success');
+        } catch (error) {
+            this.showMessage(error.message, 'error');
+        }
+    }
+
     selectSprint(sprintId) {
         this.tracker.setCurrentSprint(sprintId);
         this.closeModals();
@@ -1225,14 +6697,42 @@ class TimeTrackerUI {
         const currentSprint = this.tracker.getCurrentSprint();
         if (!currentSprint) return;
 
-        // Remove all entries for current sprint
-        this.tracker.entries = this.tracker.entries.filter(entry => entry.sprintId !== currentSprint.id);
-        this.tracker.saveEntries();
-        
+        this.tracker.clearSprintEntries(currentSprint.id);
         this.refreshDisplay();
         this.showMessage('Sprint entries cleared successfully!', 'success');
     }
 
+    startEntryEdit(id) {
+        this.editingEntryId = id;
+        this.updateEntriesList();
+    }
+
+    cancelEntryEdit() {
+        this.editingEntryId = null;
+        this.updateEntriesList();
+    }
+
+    saveEntryEdit(id) {
+        try {
+            this.tracker.updateEntry(id, {
+                date: document.getElementById('editDateInput').value,
+                jiraId: document.getElementById('editJiraInput').value,
+                timeSpent: document.getElementById('editTimeInput').value,
+                workDone: document.getElementById('editWorkDoneInput').value,
+                overtime: document.getElementById('editOvertimeInput').checked,
+                tags: this.getPickedTags('editTagPicker'),
+                type: document.getElementById('editTypeInput').value
+            });
+
+            const warning = this.tracker.getDailyHoursWarning(this.tracker.entries.find(e => e.id === id).date, 0);
+            this.editingEntryId = null;
+            this.refreshDisplay();
+            this.showMessage(warning ? `Entry updated. ${warning}` : 'Entry updated successfully!', warning ? 'warning' : 'success');
+        } catch (error) {
+            this.showMessage(error.message, 'error');
+        }
+    }
+
     deleteEntry(id) {
         if (confirm('Are you sure you want to delete this entry?')) {
             this.tracker.deleteEntry(id);
@@ -1241,7 +6741,346 @@ class TimeTrackerUI {
         }
     }
 
-    showMessage(message, type = 'info') {
+    downloadFile(filename, content, mimeType) {
+        const blob = new Blob([content], { type: mimeType });
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = filename;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        URL.revokeObjectURL(url);
+    }
+
+    importFile(file) {
+        const reader = new FileReader();
+        reader.onload = () => {
+            try {
+                const isJson = file.name.toLowerCase().endsWith('.json');
+                const currentSprint = this.tracker.getCurrentSprint();
+                const result = isJson ?
+                    this.tracker.importFromJSON(reader.result) :
+                    this.tracker.importFromCSV(reader.result, currentSprint ? currentSprint.id : null);
+
+                // A JSON backup can also bring settings, categories and templates
+                this.updateTagPicker('tagPicker');
+                this.updateTemplateButtons();
+                this.applyEntryIncrement();
+                this.refreshDisplay();
+                this.showImportReport(result);
+            } catch (error) {
+                this.showMessage(error.message, 'error');
+            }
+        };
+        reader.onerror = () => {
+            this.showMessage('Could not read the selected file', 'error');
+        };
+        reader.readAsText(file);
+    }
+
+    showJiraSettingsModal() {
+        const config = this.tracker.jiraConfig || {};
+        document.getElementById('jiraBaseUrlInput').value = config.baseUrl || '';
+        document.getElementById('jiraTokenInput').value = config.token || '';
+        document.getElementById('jiraSettingsModal').style.display = 'flex';
+    }
+
+    saveJiraSettings() {
+        const baseUrl = document.getElementById('jiraBaseUrlInput').value.trim();
+        const token = document.getElementById('jiraTokenInput').value.trim();
+
+        if (!baseUrl) {
+            this.showMessage('Please enter the Jira base URL', 'error');
+            return;
+        }
+
+        this.tracker.setJiraConfig({ baseUrl, token });
+        this.closeModals();
+        this.refreshDisplay();
+        this.showMessage('Jira settings saved', 'success');
+    }
+
+    async syncWorklogs() {
+        const currentSprint = this.tracker.getCurrentSprint();
+        if (!currentSprint) return;
+
+        const syncBtn = document.getElementById('syncWorklogsBtn');
+        syncBtn.disabled = true;
+        try {
+            const result = await this.tracker.syncJiraWorklogs(currentSprint.id);
+            this.refreshDisplay();
+            if (result.failed > 0) {
+                this.showMessage(`Synced ${result.synced} worklogs, ${result.failed} failed. Sync again to retry.`, 'error');
+            } else {
+                this.showMessage(`Synced ${result.synced} worklogs to Jira`, 'success');
+            }
+        } catch (error) {
+            this.showMessage(error.message, 'error');
+        } finally {
+            syncBtn.disabled = false;
+        }
+    }
+
+    showJiraWorklogPreview() {
+        const currentSprint = this.tracker.getCurrentSprint();
+        if (!currentSprint) {
+            this.showMessage('Please select a sprint to export', 'error');
+            return;
+        }
+
+        const { worklogs, skipped } = this.tracker.getJiraWorklogs(currentSprint.id);
+        const totalHours = worklogs.reduce((sum, worklog) => sum + worklog.timeSpentSeconds, 0) / 3600;
+
+        const rowsHtml = worklogs.map(worklog => `
+            <tr>
+                <td>${this.escapeHtml(worklog.issueKey)}</td>
+                <td>${worklog.started}</td>
+                <td>${worklog.timeSpentSeconds / 3600}h</td>
+                <td>${this.escapeHtml(worklog.comment)}</td>
+            </tr>
+        `).join('');
+
+        const skippedHtml = skipped.length > 0 ? `
+            <p><strong>Skipped:</strong> ${skipped.length}</p>
+            <ul class="import-rejected">
+                ${skipped.map(s => `<li>${s.entry.date}: ${this.escapeHtml(s.reason)}</li>`).join('')}
+            </ul>
+        ` : '';
+
+        document.getElementById('jiraWorklogPreview').innerHTML = worklogs.length > 0 ? `
+            <p><strong>${worklogs.length}</strong> worklogs, <strong>${totalHours.toFixed(2)}</strong> hours for ${this.escapeHtml(currentSprint.name)}</p>
+            <table class="data-table">
+                <thead>
+                    <tr><th>Issue</th><th>Started</th><th>Time</th><th>Comment</th></tr>
+                </thead>
+                <tbody>${rowsHtml}</tbody>
+            </table>
+            ${skippedHtml}
+        ` : `<p>No entries with a Jira issue key in this sprint.</p>${skippedHtml}`;
+
+        document.getElementById('jiraWorklogModal').style.display = 'flex';
+    }
+
+    showImportReport(result) {
+        const rejectedHtml = result.rejected.length > 0 ? `
+            <p><strong>Rejected:</strong> ${result.rejected.length}</p>
+            <ul class="import-rejected">
+                ${result.rejected.map(r => `<li>${this.escapeHtml(r.row)}: ${this.escapeHtml(r.reason)}</li>`).join('')}
+            </ul>
+        ` : '<p>All records were imported.</p>';
+
+        document.getElementById('importReport').innerHTML = `
+            <p><strong>Sprints imported:</strong> ${result.importedSprints}</p>
+            <p><strong>Entries imported:</strong> ${result.importedEntries}</p>
+            ${result.restored && result.restored.length > 0 ? `<p><strong>Also restored:</strong> ${this.escapeHtml(result.restored.join(', '))}</p>` : ''}
+            ${rejectedHtml}
+        `;
+        document.getElementById('importReportModal').style.display = 'flex';
+        this.showMessage(`Imported ${result.importedEntries} entries`, result.rejected.length > 0 ? 'error' : 'success');
+    }
+
+    // Preview the calculated end dates that changed, for confirmation
+    showRecalculateModal() {
+        const changes = this.tracker.getEndDateRecalculation();
+        const preview = document.getElementById('recalculatePreview');
+        if (changes.length === 0) {
+            preview.innerHTML = '<div class="no-entries">All calculated end dates are up to date.</div>';
+        } else {
+            preview.innerHTML = `
+                <table class="data-table">
+                    <thead><tr><th></th><th>Sprint</th><th>End Date</th><th>Recalculated</th><th>Note</th></tr></thead>
+                    <tbody>
+                        ${changes.map(change => `
+                            <tr>
+                                <td><input type="checkbox" class="recalculate-select" value="${change.sprint.id}" style="width: auto;"
+                                           ${change.error ? 'disabled' : change.conflicts > 0 ? '' : 'checked'}></td>
+                                <td>${this.escapeHtml(change.sprint.name)}</td>
+                                <td>${change.sprint.endDate}</td>
+                                <td>${change.endDate || '–'}</td>
+                                <td>${change.error ? this.escapeHtml(change.error) :
+                                    change.conflicts > 0 ? `${change.conflicts} entries would fall outside the sprint` : ''}</td>
+                            </tr>
+                        `).join('')}
+                    </tbody>
+                </table>
+                <button type="button" onclick="timeTrackerUI.recalculateEndDates()">Apply Selected</button>
+            `;
+        }
+
+        this.closeModals();
+        document.getElementById('recalculateModal').style.display = 'flex';
+    }
+
+    recalculateEndDates() {
+        const sprintIds = [...document.querySelectorAll('.recalculate-select:checked')].map(input => input.value);
+        const updated = this.tracker.recalculateSprintEndDates(sprintIds);
+        this.showRecalculateModal();
+        this.refreshDisplay();
+        this.showMessage(`Updated ${updated.length} sprint end ${updated.length === 1 ? 'date' : 'dates'}`, 'success');
+    }
+
+    // Point out data problems found by the integrity check, without changing anything
+    updateIntegrityWarning() {
+        const warning = document.getElementById('integrityWarning');
+        const count = this.tracker.checkIntegrity().length;
+        if (count === 0) {
+            warning.style.display = 'none';
+            return;
+        }
+
+        warning.innerHTML = `
+            <strong>⚠️ ${count} data ${count === 1 ? 'problem' : 'problems'} found</strong>
+            (duplicate or orphaned entries, entries outside their sprint, or sprint dates that do not add up)
+            <button type="button" class="secondary-btn" onclick="timeTrackerUI.showIntegrityModal()">Review</button>
+        `;
+        warning.style.display = 'block';
+    }
+
+    showIntegrityModal() {
+        const issues = this.tracker.checkIntegrity();
+        const report = document.getElementById('integrityReport');
+        if (issues.length === 0) {
+            report.innerHTML = '<div class="no-entries">No problems found.</div>';
+        } else {
+            report.innerHTML = `
+                <p style="color: #666;">Tick the problems to repair. Repairs can be undone.</p>
+                <table class="data-table">
+                    <thead><tr><th></th><th>Problem</th><th>Repair</th></tr></thead>
+                    <tbody>
+                        ${issues.map(issue => `
+                            <tr>
+                                <td><input type="checkbox" class="integrity-select" value="${this.escapeHtml(issue.id)}" style="width: auto;"
+                                           ${issue.repair ? 'checked' : 'disabled'}></td>
+                                <td>${this.escapeHtml(issue.message)}</td>
+                                <td>${issue.repair ? this.escapeHtml(issue.repair) : '<span style="color: #7f8c8d;">Fix by hand</span>'}</td>
+                            </tr>
+                        `).join('')}
+                    </tbody>
+                </table>
+                <button type="button" onclick="timeTrackerUI.repairIntegrity()">Repair Selected</button>
+            `;
+        }
+        document.getElementById('integrityModal').style.display = 'flex';
+    }
+
+    repairIntegrity() {
+        const issueIds = [...document.querySelectorAll('.integrity-select:checked')].map(input => input.value);
+        try {
+            const repaired = this.tracker.repairIntegrity(issueIds);
+            this.showIntegrityModal();
+            this.refreshDisplay();
+            this.showMessage(`Repaired ${repaired} ${repaired === 1 ? 'problem' : 'problems'}`, 'success');
+        } catch (error) {
+            this.showMessage(error.message, 'error');
+        }
+    }
+
+    // Escape user-provided text before putting it into HTML attributes or content
+    escapeHtml(text) {
+        return String(text)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;')
+            .replace(/'/g, '&#39;');
+    }
+
+    // Undo the last change and offer to redo it
+    undo() {
+        const command = this.tracker.undo();
+        if (!command) {
+            this.showMessage('Nothing to undo', 'warning');
+            return;
+        }
+        this.refreshAfterHistoryChange();
+        this.showMessage(`Undone: ${command.label}`, 'success', { label: 'Redo', onClick: () => this.redo() });
+    }
+
+    // Redo the last undone change and offer to undo it again
+    redo() {
+        const command = this.tracker.redo();
+        if (!command) {
+            this.showMessage('Nothing to redo', 'warning');
+            return;
+        }
+        this.refreshAfterHistoryChange();
+        this.showMessage(`Redone: ${command.label}`, 'success', { label: 'Undo', onClick: () => this.undo() });
+    }
+
+    // Undo and redo can change settings, categories and templates as well as entries and sprints
+    refreshAfterHistoryChange() {
+        this.editingEntryId = null;
+        this.announcedCommandId = this.tracker.canUndo() ? this.tracker.undoStack[this.tracker.undoStack.length - 1].id : null;
+        this.updateTagPicker('tagPicker');
+        this.updateTemplateButtons();
+        this.applyEntryIncrement();
+        this.refreshDisplay();
+        if (document.getElementById('activityLogModal').style.display === 'flex') {
+            this.updateActivityLog();
+        }
+    }
+
+    // Show changes saved in another tab. An inline edit stays open while its entry still exists.
+    // When another tab's change replaced one made here, say so.
+    refreshAfterExternalChange(key, overridden = false) {
+        if (overridden) {
+            const names = {
+                timeTrackerSettings: 'settings',
+                timeTrackerWorkWeek: 'work week',
+                timeTrackerJiraConfig: 'Jira settings',
+                timeTrackerCurrentSprint: 'sprint selection'
+            };
+            this.showMessage(`Your change to the ${names[key] || 'saved data'} was overridden by another tab`, 'warning');
+        }
+        if (this.editingEntryId !== null && !this.tracker.entries.some(entry => entry.id === this.editingEntryId)) {
+            this.editingEntryId = null;
+        }
+        this.updateTagPicker('tagPicker');
+        this.updateTemplateButtons();
+        this.applyEntryIncrement();
+        this.refreshDisplay();
+    }
+
+    // Undo action for a success toast, when a change was recorded since the last toast
+    getUndoAction() {
+        const command = this.tracker.undoStack[this.tracker.undoStack.length - 1];
+        if (!command || command.id === this.announcedCommandId) return null;
+
+        this.announcedCommandId = command.id;
+        return { label: 'Undo', onClick: () => this.undo() };
+    }
+
+    updateActivityLog() {
+        document.getElementById('undoBtn').disabled = !this.tracker.canUndo();
+        document.getElementById('redoBtn').disabled = !this.tracker.canRedo();
+
+        const log = this.tracker.getAuditLog().slice().reverse();
+        const listDiv = document.getElementById('activityLogList');
+        if (log.length === 0) {
+            listDiv.innerHTML = '<div class="no-entries">No changes recorded yet.</div>';
+            return;
+        }
+
+        listDiv.innerHTML = `
+            <table class="data-table">
+                <thead><tr><th>When</th><th>Who</th><th>Action</th><th>Details</th></tr></thead>
+                <tbody>
+                    ${log.map(item => `
+                        <tr>
+                            <td>${new Date(item.at).toLocaleString()}</td>
+                            <td>${this.escapeHtml(item.user)}</td>
+                            <td>${this.escapeHtml(item.action)}</td>
+                            <td>${this.escapeHtml(item.details)}</td>
+                        </tr>
+                    `).join('')}
+                </tbody>
+            </table>
+        `;
+    }
+
+    // Success toasts get an Undo button when the action they report was recorded as a command
+    showMessage(message, type = 'info', action = type === 'success' ? this.getUndoAction() : null) {
         const messageDiv = document.createElement('div');
         messageDiv.style.cssText = `
             position: fixed;
@@ -1253,21 +7092,35 @@ class TimeTrackerUI {
             font-weight: bold;
             z-index: 1000;
             transition: opacity 0.3s;
-            ${type === 'success' ? 'background-color: #27ae60;' : 'background-color: #e74c3c;'}
+            ${type === 'success' ? 'background-color: #27ae60;' : type === 'warning' ? 'background-color: #e67e22;' : 'background-color: #e74c3c;'}
         `;
         messageDiv.textContent = message;
+        if (action) {
+            const actionBtn = document.createElement('button');
+            actionBtn.type = 'button';
+            actionBtn.textContent = action.label;
+            actionBtn.style.cssText = 'margin-left: 12px; padding: 4px 10px; background: white; color: #333;';
+            actionBtn.addEventListener('click', () => {
+                messageDiv.remove();
+                action.onClick();
+            });
+            messageDiv.appendChild(actionBtn);
+        }
         document.body.appendChild(messageDiv);
 
+        // Leave more time to reach the action button
         setTimeout(() => {
             messageDiv.remove();
-        }, 3000);
+        }, action ? 8000 : 3000);
     }
 }
 
 // Initialize the application when the DOM is loaded
 let timeTrackerUI;
-document.addEventListener('DOMContentLoaded', () => {
-    timeTrackerUI = new TimeTrackerUI();
+document.addEventListener('DOMContentLoaded', async () => {
+    timeTrackerUI = new TimeTrackerUI(await StorageAdapter.open());
+    // The console works on the same tracker as the page
+    window.tracker = timeTrackerUI.tracker;
 });
 
 // Console interface for quick testing
@@ -1276,19 +7129,7 @@ console.log('- tracker.createSprint("Sprint 24.15", "2025-07-30", "2025-08-12")'
 console.log('- tracker.setCurrentSprint(sprintId)');
 console.log('- tracker.getCurrentSprintTotalTime()');
 console.log('- tracker.getCurrentSprintSummary()');
-console.log('- tracker.recalculateAllSprintEndDates() // Fix existing sprints');
+console.log('- tracker.checkIntegrity() // Find duplicate, orphaned or misplaced data');
+console.log('- tracker.repairIntegrity(issueIds) // Repair problems found by checkIntegrity()');
 console.log('- tracker.clearAllData() // Clear all data and start fresh');
 
-// Export for console use
-window.tracker = new TimeTracker();
-
-// Automatically fix existing sprints on load
-setTimeout(() => {
-    const updated = window.tracker.recalculateAllSprintEndDates();
-    if (updated > 0) {
-        console.log(`Fixed ${updated} sprint(s) with corrected end dates. Refreshing display...`);
-        if (window.timeTrackerUI) {
-            window.timeTrackerUI.refreshDisplay();
-        }
-    }
-}, 1000);
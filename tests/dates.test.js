@@ -0,0 +1,83 @@
+// Date handling must not depend on the timezone: run with `node --test`, this file runs itself again
+// under each of ZONES (west of UTC, UTC and east of UTC) and checks the results there.
+const { describe, test } = require('node:test');
+const assert = require('node:assert');
+const { spawnSync } = require('child_process');
+const { loadTracker, trackerWithSprint } = require('./helpers/load-tracker');
+
+const ZONES = ['America/Los_Angeles', 'UTC', 'Asia/Tokyo'];
+
+// Local time in the zone the test runs under, as milliseconds
+function localTime(year, month, day, hours = 0, minutes = 0) {
+    return new Date(year, month - 1, day, hours, minutes).getTime();
+}
+
+function trackerAt(now, startDate = '2025-07-28', endDate = '2025-08-08') {
+    return trackerWithSprint({ now, startDate, endDate }).tracker;
+}
+
+if (!process.env.TRACKER_TEST_ZONE) {
+    describe('timezones', () => {
+        ZONES.forEach(zone => {
+            test(`passes under TZ=${zone}`, () => {
+                // Without NODE_TEST_CONTEXT the child reports its own failures through its exit code
+                const { NODE_TEST_CONTEXT, ...env } = process.env;
+                const result = spawnSync(process.execPath, [__filename], {
+                    env: { ...env, TZ: zone, TRACKER_TEST_ZONE: zone },
+                    encoding: 'utf8'
+                });
+                assert.strictEqual(result.status, 0, result.stdout + result.stderr);
+            });
+        });
+    });
+} else {
+    describe(`dates under TZ=${process.env.TRACKER_TEST_ZONE}`, () => {
+        test('LocalDate keeps calendar dates', () => {
+            const { LocalDate, Date: TrackerDate } = loadTracker();
+            assert.strictEqual(LocalDate.getDay('2025-07-28'), 1);
+            assert.strictEqual(LocalDate.format(LocalDate.parse('2025-07-28')), '2025-07-28');
+            assert.strictEqual(LocalDate.format(new TrackerDate(localTime(2025, 7, 28, 23, 30))), '2025-07-28');
+            assert.strictEqual(LocalDate.format(new TrackerDate(localTime(2025, 7, 28, 0, 30))), '2025-07-28');
+        });
+
+        test('LocalDate adds days across daylight saving changes', () => {
+            const { LocalDate } = loadTracker();
+            assert.strictEqual(LocalDate.addDays('2025-03-08', 1), '2025-03-09');
+            assert.strictEqual(LocalDate.addDays('2025-03-09', 1), '2025-03-10');
+            assert.strictEqual(LocalDate.addDays('2025-11-01', 2), '2025-11-03');
+            assert.strictEqual(LocalDate.addDays('2025-03-31', -1), '2025-03-30');
+        });
+
+        test('LocalDate.today follows the local clock', () => {
+            assert.strictEqual(loadTracker({ now: localTime(2025, 7, 28, 23, 30) }).LocalDate.today(), '2025-07-28');
+            assert.strictEqual(loadTracker({ now: localTime(2025, 7, 29, 0, 30) }).LocalDate.today(), '2025-07-29');
+        });
+
+        test('calculateSprintEndDate counts local working days', () => {
+            const { TimeTracker } = loadTracker();
+            const tracker = new TimeTracker();
+            assert.strictEqual(tracker.calculateSprintEndDate('2025-07-28', 10), '2025-08-08');
+            assert.strictEqual(tracker.calculateSprintEndDate('2025-03-03', 10), '2025-03-14');
+            assert.strictEqual(tracker.calculateSprintEndDate('2025-10-27', 10), '2025-11-07');
+            assert.strictEqual(tracker.calculateSprintEndDate('2025-08-01', 2), '2025-08-04');
+        });
+
+        test('a Monday is a working day for entries', () => {
+            const tracker = trackerAt(localTime(2025, 7, 28, 9));
+            assert.strictEqual(tracker.addEntry('2025-07-28', 'ABC-1', 1, 'Monday').date, '2025-07-28');
+            assert.throws(() => tracker.addEntry('2025-08-02', 'ABC-1', 1, 'Saturday'), /working days/);
+        });
+
+        test('isCurrentSprintOver switches at local midnight after the last day', () => {
+            assert.strictEqual(trackerAt(localTime(2025, 8, 8, 23, 30)).isCurrentSprintOver(), false);
+            assert.strictEqual(trackerAt(localTime(2025, 8, 9, 0, 30)).isCurrentSprintOver(), true);
+        });
+
+        test('the entry date input defaults to a local working day', () => {
+            assert.strictEqual(trackerAt(localTime(2025, 7, 28, 23, 30)).getDefaultEntryDate(), '2025-07-28');
+            assert.strictEqual(trackerAt(localTime(2025, 7, 29, 0, 30)).getDefaultEntryDate(), '2025-07-29');
+            assert.strictEqual(trackerAt(localTime(2025, 8, 2, 10)).getDefaultEntryDate(), '2025-08-04');
+            assert.strictEqual(trackerAt(localTime(2025, 8, 20, 10)).getDefaultEntryDate(), '2025-08-08');
+        });
+    });
+}
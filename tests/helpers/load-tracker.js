@@ -0,0 +1,90 @@
+// Loads TimeTrackerAtWork.js outside the browser, for tests run with `node --test`.
+// Every load gets its own localStorage, so each test starts from empty data. Trackers created from the same
+// load share that storage, like two browser tabs.
+// Values come from another realm, so compare them with assert.deepEqual rather than assert.deepStrictEqual.
+// `now` (milliseconds) fixes the clock the tracker sees: `new Date()` and `Date.now()` return it.
+// `globals` adds browser APIs to the page, e.g. an `indexedDB` stub.
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+const SOURCE = fs.readFileSync(path.join(__dirname, '..', '..', 'TimeTrackerAtWork.js'), 'utf8');
+
+// Just enough of the Web Storage API for LocalStorageAdapter
+class MemoryStorage {
+    constructor() {
+        this.values = new Map();
+    }
+
+    get length() {
+        return this.values.size;
+    }
+
+    key(index) {
+        return [...this.values.keys()][index] ?? null;
+    }
+
+    getItem(key) {
+        return this.values.has(key) ? this.values.get(key) : null;
+    }
+
+    setItem(key, value) {
+        this.values.set(key, String(value));
+    }
+
+    removeItem(key) {
+        this.values.delete(key);
+    }
+}
+
+// Replace the context's Date with one whose current time is `now`
+function fixClock(context, now) {
+    vm.runInContext(`(() => {
+        const RealDate = Date;
+        class FixedDate extends RealDate {
+            constructor(...args) {
+                super(...(args.length > 0 ? args : [${Number(now)}]));
+            }
+
+            static now() {
+                return ${Number(now)};
+            }
+        }
+        globalThis.Date = FixedDate;
+    })();`, context);
+}
+
+function loadTracker({ now, globals = {} } = {}) {
+    const localStorage = new MemoryStorage();
+    const errors = [];
+    const context = vm.createContext({
+        console: { log() {}, warn() {}, error: (...args) => errors.push(args.join(' ')) },
+        crypto: globalThis.crypto,
+        localStorage,
+        window: { addEventListener() {} },
+        document: { addEventListener() {} },
+        setTimeout,
+        clearTimeout,
+        ...globals
+    });
+    if (now !== undefined) {
+        fixClock(context, now);
+    }
+    const exports = vm.runInContext(`${SOURCE}
+;({ LocalDate, JiraClient, RestJiraClient, MockJiraClient, StorageAdapter, LocalStorageAdapter, IndexedDBAdapter, TimeTracker, TimeTrackerUI })`,
+    context, { filename: 'TimeTrackerAtWork.js' });
+    // The context's own Date: LocalDate only accepts dates from its realm
+    return { ...exports, Date: vm.runInContext('Date', context), localStorage, errors, context };
+}
+
+// A fresh load with a tracker whose current sprint is Sprint 1 (two weeks from Monday 2025-07-28 by default).
+// Takes loadTracker's options; create more trackers from the returned TimeTracker to open further tabs.
+function trackerWithSprint({ startDate = '2025-07-28', endDate = '2025-08-08', ...options } = {}) {
+    const loaded = loadTracker(options);
+    const tracker = new loaded.TimeTracker();
+    const sprint = tracker.createSprint('Sprint 1', startDate, endDate);
+    tracker.setCurrentSprint(sprint.id);
+    return { ...loaded, tracker, sprint };
+}
+
+module.exports = { loadTracker, trackerWithSprint };
@@ -0,0 +1,99 @@
+const { describe, test } = require('node:test');
+const assert = require('node:assert');
+const { trackerWithSprint } = require('./helpers/load-tracker');
+
+describe('undo/redo', () => {
+    test('undoing "Log timer" brings the timer back', async () => {
+        const { tracker } = trackerWithSprint();
+
+        const timer = tracker.startTimer('ABC-1', 'Regression run');
+        tracker.pauseRunningTimer();
+        // An hour and a half tracked on a day of the (past) sprint
+        Object.assign(timer, { date: '2025-07-29', elapsedMs: 90 * 60 * 1000 });
+        tracker.saveTimers();
+
+        const entry = await tracker.stopTimer(timer.id);
+        assert.strictEqual(entry.timeSpent, 1.5);
+        assert.deepEqual(tracker.timers, []);
+
+        tracker.undo();
+        assert.deepEqual(tracker.entries, []);
+        assert.deepEqual(tracker.timers.map(t => [t.id, t.elapsedMs]), [[timer.id, 90 * 60 * 1000]]);
+        assert.deepEqual(JSON.parse(tracker.storage.getItem('timeTrackerTimers')).map(t => t.id), [timer.id]);
+
+        tracker.redo();
+        assert.deepEqual(tracker.entries.map(e => e.jiraId), ['ABC-1']);
+        assert.deepEqual(JSON.parse(tracker.storage.getItem('timeTrackerTimers')), []);
+    });
+
+    test('undoing a delete brings the entry back', () => {
+        const { tracker } = trackerWithSprint();
+        const entry = tracker.addEntry('2025-07-29', 'ABC-1', 1, 'Smoke test');
+        tracker.deleteEntry(entry.id);
+
+        tracker.undo();
+        assert.deepEqual(tracker.entries.map(e => e.id), [entry.id]);
+        assert.deepEqual(JSON.parse(tracker.storage.getItem('timeTrackerEntries')).map(e => e.id), [entry.id]);
+    });
+
+    test('undoing "Clear sprint entries" restores them in order', () => {
+        const { tracker, sprint } = trackerWithSprint();
+        const first = tracker.addEntry('2025-07-29', 'ABC-1', 1, 'Smoke test');
+        const second = tracker.addEntry('2025-07-30', 'ABC-2', 2, 'Regression run');
+        tracker.clearSprintEntries(sprint.id);
+        assert.deepEqual(tracker.entries, []);
+
+        tracker.undo();
+        assert.deepEqual(tracker.entries.map(e => e.id), [first.id, second.id]);
+    });
+
+    test('undoing "Clear all data" restores sprints, entries and the current sprint', () => {
+        const { tracker, sprint } = trackerWithSprint();
+        const entry = tracker.addEntry('2025-07-29', 'ABC-1', 1, 'Smoke test');
+        tracker.clearAllData();
+
+        tracker.undo();
+        assert.deepEqual(tracker.sprints.map(s => s.id), [sprint.id]);
+        assert.deepEqual(tracker.entries.map(e => e.id), [entry.id]);
+        assert.strictEqual(tracker.getCurrentSprint().id, sprint.id);
+        assert.strictEqual(JSON.parse(tracker.storage.getItem('timeTrackerCurrentSprint')), sprint.id);
+    });
+
+    test('a new change clears what could be redone', () => {
+        const { tracker } = trackerWithSprint();
+        tracker.addEntry('2025-07-29', 'ABC-1', 1, 'Smoke test');
+        tracker.undo();
+        assert.strictEqual(tracker.canRedo(), true);
+
+        tracker.addEntry('2025-07-30', 'ABC-2', 1, 'Regression run');
+        assert.strictEqual(tracker.canRedo(), false);
+        assert.strictEqual(tracker.redo(), null);
+        assert.deepEqual(tracker.entries.map(e => e.jiraId), ['ABC-2']);
+    });
+
+    test('undoing a discarded timer brings it back', () => {
+        const { tracker } = trackerWithSprint();
+        const timer = tracker.startTimer('ABC-1', 'Regression run');
+        tracker.discardTimer(timer.id);
+
+        assert.strictEqual(tracker.undoStack[tracker.undoStack.length - 1].label, 'Discard timer');
+        tracker.undo();
+        assert.deepEqual(tracker.timers.map(t => t.id), [timer.id]);
+    });
+
+    test('undoing a Jira settings change restores the previous connection', () => {
+        const { tracker } = trackerWithSprint();
+        tracker.setJiraConfig({ baseUrl: 'https://jira.example.com', token: 'secret' });
+        tracker.setJiraConfig({ baseUrl: 'https://other.example.com', token: '' });
+
+        tracker.undo();
+        assert.strictEqual(tracker.jiraClient.baseUrl, 'https://jira.example.com');
+        assert.strictEqual(JSON.parse(tracker.storage.getItem('timeTrackerJiraConfig')).baseUrl, 'https://jira.example.com');
+
+        tracker.undo();
+        assert.strictEqual(tracker.jiraConfig, null);
+        assert.strictEqual(tracker.jiraClient, null);
+        assert.deepEqual(tracker.getAuditLog().map(record => record.action).slice(-4),
+            ['Change Jira settings', 'Change Jira settings', 'Undo: Change Jira settings', 'Undo: Change Jira settings']);
+    });
+});
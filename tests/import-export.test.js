@@ -0,0 +1,79 @@
+const { describe, test } = require('node:test');
+const assert = require('node:assert');
+const { loadTracker, trackerWithSprint } = require('./helpers/load-tracker');
+
+function importInto(json) {
+    const { TimeTracker } = loadTracker();
+    const tracker = new TimeTracker();
+    return { tracker, result: tracker.importFromJSON(json) };
+}
+
+describe('JSON backup', () => {
+    test('restores settings, work week, days off, categories and templates with the entries', () => {
+        const { tracker } = trackerWithSprint();
+        tracker.updateSettings({ entryIncrement: 0.5, userName: 'Dana' });
+        tracker.updateWorkWeek({ days: [1, 2, 3, 4, 6] });
+        tracker.addHolidaySet('Company', [{ date: '2025-07-31', name: 'Summer party' }]);
+        tracker.addPTO('2025-08-04', 'Dentist');
+        tracker.updateCategories(['Regression', 'Exploratory']);
+        tracker.addTemplate({ name: 'Stand-up', jiraId: 'ABC-1', timeSpent: 0.5, workDone: 'Daily stand-up', recurrence: 'workday' });
+        tracker.addEntry('2025-08-02', 'ABC-2', 1.5, 'Saturday regression run');
+
+        const { tracker: restored, result } = importInto(tracker.exportToJSON());
+        assert.deepEqual(result.rejected, []);
+        assert.strictEqual(result.importedEntries, 1);
+        assert.strictEqual(restored.settings.entryIncrement, 0.5);
+        assert.strictEqual(restored.settings.userName, 'Dana');
+        assert.deepEqual(restored.workWeek.days, [1, 2, 3, 4, 6]);
+        assert.deepEqual(restored.calendar.holidaySets.map(set => set.name), ['Company']);
+        assert.deepEqual(restored.calendar.pto.map(day => [day.date, day.note]), [['2025-08-04', 'Dentist']]);
+        assert.ok(['Regression', 'Exploratory'].every(category => restored.categories.includes(category)));
+        assert.deepEqual(restored.templates.map(template => template.name), ['Stand-up']);
+
+        // Restoring the same backup again adds nothing
+        const again = restored.importFromJSON(tracker.exportToJSON());
+        assert.strictEqual(again.importedEntries, 0);
+        assert.strictEqual(restored.calendar.holidaySets.length, 1);
+        assert.strictEqual(restored.templates.length, 1);
+    });
+
+    test('imports backups from before settings were exported', () => {
+        const { result, tracker } = importInto(JSON.stringify({
+            version: 1,
+            sprints: [{ id: 1, name: 'Old sprint', startDate: '2025-07-28', endDate: '2025-08-08' }],
+            entries: [{ id: 2, sprintId: 1, date: '2025-07-29', jiraId: 'ABC-1', timeSpent: 1, workDone: 'Smoke test' }]
+        }));
+
+        assert.deepEqual([result.importedSprints, result.importedEntries, result.rejected], [1, 1, []]);
+        assert.strictEqual(tracker.sprints[0].capacity, undefined);
+        assert.strictEqual(tracker.sprints[0].endDateMode, 'manual');
+    });
+
+    test('rejects sprints with bad dates or IDs and keeps only sprint fields', () => {
+        const sprint = (id, startDate, endDate, extra = {}) => ({ id, name: `Sprint ${id}`, startDate, endDate, ...extra });
+        const { result, tracker } = importInto(JSON.stringify({
+            sprints: [
+                sprint('s1', '2025-07-28', '2025-08-08', { capacity: { hoursPerDay: 6, workingDays: 10 }, notes: '<script>' }),
+                sprint('s2', '2025-13-01', '2025-13-12'),
+                sprint('s3', '2025-08-22', '2025-08-11'),
+                sprint(undefined, '2025-08-11', '2025-08-22'),
+                sprint('s1', '2025-08-25', '2025-09-05')
+            ],
+            entries: [
+                { id: 'e1', sprintId: 's1', date: '2025-07-29', jiraId: 'ABC-1', timeSpent: 1, workDone: 'Kept' },
+                { id: 'e2', sprintId: 's3', date: '2025-08-12', jiraId: 'ABC-2', timeSpent: 1, workDone: 'Sprint rejected' }
+            ]
+        }));
+
+        assert.deepEqual(result.rejected.map(r => [r.row, r.reason]), [
+            ['sprint 2', 'Sprint dates must be valid dates in YYYY-MM-DD format'],
+            ['sprint 3', 'Sprint end date must not be before its start date'],
+            ['sprint 4', 'Sprint has no ID'],
+            ['sprint 5', 'Another sprint in the file has the ID s1'],
+            ['entry 2', 'Entry does not belong to any imported sprint']
+        ]);
+        assert.deepEqual(Object.keys(tracker.sprints[0]).sort(), ['capacity', 'createdAt', 'endDate', 'endDateMode', 'id', 'name', 'startDate']);
+        assert.deepEqual(tracker.sprints[0].capacity, { hoursPerDay: 6, workingDays: 10, targetHours: 60 });
+        assert.deepEqual(tracker.entries.map(entry => entry.id), ['e1']);
+    });
+});
@@ -0,0 +1,141 @@
+const { describe, test } = require('node:test');
+const assert = require('node:assert');
+const { loadTracker, trackerWithSprint } = require('./helpers/load-tracker');
+
+// Add a copy of `entry` under a new ID, bypassing validation like data from an old version or another tab
+function addCopy(tracker, entry, changes = {}) {
+    const copy = { ...entry, id: `${entry.id}-copy`, ...changes };
+    tracker.entries.push(copy);
+    tracker.saveEntries();
+    return copy;
+}
+
+function storedEntryIds(tracker) {
+    return JSON.parse(tracker.storage.getItem('timeTrackerEntries')).map(entry => entry.id);
+}
+
+describe('checkIntegrity / repairIntegrity', () => {
+    test('reports a duplicate of an orphaned entry once, and repairs both', () => {
+        const { tracker } = trackerWithSprint();
+        const entry = tracker.addEntry('2025-07-29', 'ABC-1', 1, 'Orphaned');
+        Object.assign(entry, { sprintId: 'missing', date: '2024-01-02' });
+        const copy = addCopy(tracker, entry);
+
+        const issues = tracker.checkIntegrity();
+        assert.deepEqual(issues.map(issue => issue.id).sort(), [`duplicate-entry:${copy.id}`, `orphan-entry:${entry.id}`]);
+
+        const repaired = tracker.repairIntegrity(issues.map(issue => issue.id));
+        assert.strictEqual(repaired, 2);
+        assert.deepEqual(tracker.entries, []);
+        assert.deepEqual(storedEntryIds(tracker), []);
+    });
+
+    test('reports a duplicate on a non-working day once, and repairs both', () => {
+        const { tracker } = trackerWithSprint();
+        const entry = tracker.addEntry('2025-08-02', 'ABC-1', 1, 'Saturday work', false, { overtime: true });
+        entry.overtime = false;
+        const copy = addCopy(tracker, entry);
+
+        const issues = tracker.checkIntegrity();
+        assert.deepEqual(issues.map(issue => issue.id).sort(), [`duplicate-entry:${copy.id}`, `non-working-day:${entry.id}`]);
+
+        tracker.repairIntegrity(issues.map(issue => issue.id));
+        assert.deepEqual(tracker.entries.map(e => [e.id, e.overtime]), [[entry.id, true]]);
+        assert.deepEqual(storedEntryIds(tracker), [entry.id]);
+        assert.deepEqual(tracker.checkIntegrity(), []);
+    });
+
+    test('moves an orphaned entry to the sprint covering its date', () => {
+        const { tracker, sprint } = trackerWithSprint();
+        const entry = tracker.addEntry('2025-07-30', 'ABC-1', 1, 'Orphaned');
+        entry.sprintId = 'missing';
+        tracker.saveEntries();
+
+        const [issue] = tracker.checkIntegrity();
+        assert.deepEqual([issue.id, issue.repair], [`orphan-entry:${entry.id}`, 'Move it to sprint "Sprint 1"']);
+
+        assert.strictEqual(tracker.repairIntegrity([issue.id]), 1);
+        assert.strictEqual(tracker.entries[0].sprintId, sprint.id);
+        assert.strictEqual(JSON.parse(tracker.storage.getItem('timeTrackerEntries'))[0].sprintId, sprint.id);
+        assert.deepEqual(tracker.checkIntegrity(), []);
+    });
+
+    test('moves an entry outside its sprint to the sprint covering its date', () => {
+        const { tracker } = trackerWithSprint();
+        const next = tracker.createSprint('Sprint 2', '2025-08-11', '2025-08-22');
+        const entry = tracker.addEntry('2025-08-07', 'ABC-1', 1, 'Logged in the wrong sprint');
+        entry.date = '2025-08-12';
+        const stray = tracker.addEntry('2025-08-08', 'ABC-2', 1, 'No sprint covers it');
+        stray.date = '2025-09-01';
+        tracker.saveEntries();
+
+        const issues = tracker.checkIntegrity();
+        assert.deepEqual(issues.map(issue => [issue.id, issue.repair]), [
+            [`outside-sprint:${entry.id}`, 'Move it to sprint "Sprint 2"'],
+            [`outside-sprint:${stray.id}`, null]
+        ]);
+
+        assert.strictEqual(tracker.repairIntegrity(issues.map(issue => issue.id)), 1);
+        assert.strictEqual(tracker.entries.find(e => e.id === entry.id).sprintId, next.id);
+        assert.deepEqual(tracker.checkIntegrity().map(issue => issue.id), [`outside-sprint:${stray.id}`]);
+    });
+
+    test('marks an entry on a weekend as overtime', () => {
+        const { tracker } = trackerWithSprint();
+        const entry = tracker.addEntry('2025-08-01', 'ABC-1', 1, 'Friday work');
+        entry.date = '2025-08-02';
+        tracker.saveEntries();
+
+        const [issue] = tracker.checkIntegrity();
+        assert.strictEqual(issue.id, `non-working-day:${entry.id}`);
+
+        tracker.repairIntegrity([issue.id]);
+        assert.strictEqual(JSON.parse(tracker.storage.getItem('timeTrackerEntries'))[0].overtime, true);
+        assert.deepEqual(tracker.checkIntegrity(), []);
+    });
+
+    test('gives entries sharing an ID new IDs', () => {
+        const { tracker } = trackerWithSprint();
+        const entry = tracker.addEntry('2025-07-29', 'ABC-1', 1, 'Smoke test');
+        addCopy(tracker, entry, { id: entry.id, jiraId: 'ABC-2' });
+
+        const [issue] = tracker.checkIntegrity();
+        assert.strictEqual(issue.id, `duplicate-id:entries:${entry.id}`);
+
+        assert.strictEqual(tracker.repairIntegrity([issue.id]), 1);
+        const ids = storedEntryIds(tracker);
+        assert.strictEqual(ids[0], entry.id);
+        assert.strictEqual(new Set(ids).size, 2);
+        assert.deepEqual(tracker.entries.map(e => e.jiraId), ['ABC-1', 'ABC-2']);
+        assert.deepEqual(tracker.checkIntegrity(), []);
+    });
+});
+
+describe('ID migration', () => {
+    test('replaces numeric IDs with strings and remaps the sprint of each entry', () => {
+        const { TimeTracker, localStorage } = loadTracker();
+        localStorage.setItem('timeTrackerSchemaVersion', '3');
+        localStorage.setItem('timeTrackerSprints', JSON.stringify([
+            { id: 1753660800000, name: 'Sprint 1', startDate: '2025-07-28', endDate: '2025-08-08' },
+            { id: 1753660800000, name: 'Sprint 2', startDate: '2025-08-11', endDate: '2025-08-22' }
+        ]));
+        localStorage.setItem('timeTrackerEntries', JSON.stringify([
+            { id: 1753747200000, sprintId: 1753660800000, date: '2025-07-29', jiraId: 'ABC-1', timeSpent: 1, workDone: 'First' },
+            { id: 1753747200000, sprintId: 1753660800000, date: '2025-07-30', jiraId: 'ABC-2', timeSpent: 1, workDone: 'Second' },
+            { id: 1753833600000, sprintId: 1700000000000, date: '2025-07-31', jiraId: 'ABC-3', timeSpent: 1, workDone: 'Orphaned' }
+        ]));
+        localStorage.setItem('timeTrackerCurrentSprint', '1753660800000');
+
+        const tracker = new TimeTracker();
+        const [first, second] = tracker.sprints;
+        assert.strictEqual(first.id, '1753660800000');
+        assert.strictEqual(typeof second.id, 'string');
+        assert.notStrictEqual(second.id, first.id);
+        assert.strictEqual(tracker.getCurrentSprint().id, first.id);
+
+        assert.ok(tracker.entries.every(entry => typeof entry.id === 'string'));
+        assert.strictEqual(new Set(tracker.entries.map(entry => entry.id)).size, 3);
+        assert.deepEqual(tracker.entries.map(entry => entry.sprintId), [first.id, first.id, '1700000000000']);
+        assert.deepEqual(tracker.checkIntegrity().map(issue => issue.type), ['orphan-entry']);
+    });
+});
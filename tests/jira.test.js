@@ -0,0 +1,198 @@
+// Jira lookups and worklog sync against the in-memory MockJiraClient, and the requests RestJiraClient makes
+const { describe, test } = require('node:test');
+const assert = require('node:assert');
+const { loadTracker, trackerWithSprint } = require('./helpers/load-tracker');
+
+function trackerWithMockJira(issues = { 'ABC-1': 'Login page regression', 'ABC-2': 'Checkout test plan' }) {
+    const loaded = trackerWithSprint();
+    const jira = new loaded.MockJiraClient({ issues });
+    loaded.tracker.setJiraClient(jira);
+    return { ...loaded, jira };
+}
+
+// A fetch answering 'METHOD /path' routes with [status, body] (404 otherwise) and recording every request
+function stubFetch(routes) {
+    const requests = [];
+    const statusTexts = { 200: 'OK', 201: 'Created', 204: 'No Content', 404: 'Not Found', 500: 'Internal Server Error' };
+    const fetch = async (url, init) => {
+        const request = { url, method: init.method, headers: init.headers, body: init.body && JSON.parse(init.body) };
+        requests.push(request);
+        const [status, body] = routes[`${init.method} ${new URL(url).pathname}`] || [404, { errorMessages: ['Not found'] }];
+        return { status, ok: status >= 200 && status < 300, statusText: statusTexts[status], json: async () => body };
+    };
+    return { fetch, requests };
+}
+
+function trackerWithRestJira(routes, config = { baseUrl: 'https://jira.example.com/', token: 'secret' }) {
+    const { fetch, requests } = stubFetch(routes);
+    const loaded = trackerWithSprint({ globals: { fetch } });
+    loaded.tracker.setJiraConfig(config);
+    return { ...loaded, requests };
+}
+
+describe('Jira client', () => {
+    test('the mock is never created from saved settings', () => {
+        const { JiraClient } = loadTracker();
+        assert.strictEqual(JiraClient.create({ useMock: true }), null);
+        assert.strictEqual(JiraClient.create({ baseUrl: 'https://jira.example.com/', useMock: true }).site, 'https://jira.example.com');
+    });
+
+    test('adds entries for existing issues with their summary', async () => {
+        const { tracker } = trackerWithMockJira();
+        const entry = await tracker.addEntryWithJiraCheck('2025-07-29', 'abc-1', 2, 'Ran the suite');
+
+        assert.strictEqual(entry.jiraId, 'ABC-1');
+        assert.strictEqual(entry.jiraSummary, 'Login page regression');
+        assert.strictEqual(entry.syncStatus, 'pending');
+    });
+
+    test('rejects entries for unknown issues', async () => {
+        const { tracker } = trackerWithMockJira();
+        await assert.rejects(tracker.addEntryWithJiraCheck('2025-07-29', 'ABC-9', 2, 'Ran the suite'), /ABC-9 does not exist/);
+        assert.deepEqual(tracker.entries, []);
+    });
+
+    test('checks the issue of a stopped timer before logging it', async () => {
+        const { tracker } = trackerWithMockJira();
+        const start = jiraId => {
+            const timer = tracker.startTimer(jiraId, 'Exploratory testing');
+            tracker.pauseRunningTimer();
+            Object.assign(timer, { date: '2025-07-29', elapsedMs: 60 * 60 * 1000 });
+            return timer;
+        };
+
+        const unknown = start('NOPE-999');
+        await assert.rejects(tracker.stopTimer(unknown.id), /NOPE-999 does not exist/);
+        assert.deepEqual(tracker.entries, []);
+        assert.deepEqual(tracker.timers.map(timer => timer.id), [unknown.id]);
+
+        const entry = await tracker.stopTimer(start('abc-2').id);
+        assert.strictEqual(entry.jiraId, 'ABC-2');
+        assert.strictEqual(entry.jiraSummary, 'Checkout test plan');
+        assert.strictEqual(entry.syncStatus, 'pending');
+    });
+
+    test('checks the issues of recurring drafts before adding them', async () => {
+        const { tracker } = trackerWithMockJira();
+        tracker.addTemplate({ jiraId: 'NOPE-999', timeSpent: 0.5, workDone: 'Stand-up notes', recurrence: 'sprint-first' });
+        tracker.addTemplate({ jiraId: 'abc-1', timeSpent: 1, workDone: 'Regression run', recurrence: 'sprint-last' });
+        tracker.addTemplate({ timeSpent: 0.5, workDone: 'Retrospective', type: 'meeting', recurrence: 'sprint-last' });
+
+        const result = await tracker.commitTemplateDrafts(tracker.generateTemplateDrafts());
+        assert.deepEqual(result.rejected.map(({ draft, reason }) => [draft.jiraId, reason]), [['NOPE-999', 'Jira issue NOPE-999 does not exist']]);
+        assert.deepEqual(result.added.map(entry => [entry.jiraId, entry.jiraSummary]), [['ABC-1', 'Login page regression'], ['', undefined]]);
+        assert.strictEqual(result.added[0].syncStatus, 'pending');
+
+        tracker.undo();
+        assert.deepEqual(tracker.entries, []);
+    });
+
+    test('syncs worklogs, retrying failed requests', async () => {
+        const { tracker, jira, sprint } = trackerWithMockJira();
+        const entry = await tracker.addEntryWithJiraCheck('2025-07-29', 'ABC-1', 2, 'Ran the suite');
+        jira.failNextRequests(2);
+
+        assert.deepEqual(await tracker.syncJiraWorklogs(sprint.id), { synced: 1, failed: 0 });
+        assert.strictEqual(entry.syncStatus, 'synced');
+        assert.strictEqual(entry.worklogSite, 'mock');
+        assert.strictEqual(jira.worklogs[entry.worklogId].timeSpentSeconds, 7200);
+    });
+
+    test('marks worklogs failed after the last attempt and retries them on the next sync', async () => {
+        const { tracker, jira, sprint } = trackerWithMockJira();
+        const entry = await tracker.addEntryWithJiraCheck('2025-07-29', 'ABC-1', 2, 'Ran the suite');
+        jira.failNextRequests(3);
+
+        assert.deepEqual(await tracker.syncJiraWorklogs(sprint.id), { synced: 0, failed: 1 });
+        assert.strictEqual(entry.syncStatus, 'failed');
+
+        assert.deepEqual(await tracker.syncJiraWorklogs(sprint.id), { synced: 1, failed: 0 });
+        assert.strictEqual(entry.syncStatus, 'synced');
+    });
+
+    test('updates the existing worklog after an edit', async () => {
+        const { tracker, jira, sprint } = trackerWithMockJira();
+        const entry = await tracker.addEntryWithJiraCheck('2025-07-29', 'ABC-1', 2, 'Ran the suite');
+        await tracker.syncJiraWorklogs(sprint.id);
+        const worklogId = entry.worklogId;
+
+        tracker.updateEntry(entry.id, { timeSpent: 3 });
+        assert.strictEqual(tracker.entries[0].syncStatus, 'pending');
+        await tracker.syncJiraWorklogs(sprint.id);
+
+        assert.deepEqual(Object.keys(jira.worklogs), [worklogId]);
+        assert.strictEqual(jira.worklogs[worklogId].timeSpentSeconds, 10800);
+    });
+
+    test('queues worklogs synced to another Jira site again', async () => {
+        const { tracker, sprint, localStorage } = trackerWithMockJira();
+        await tracker.addEntryWithJiraCheck('2025-07-29', 'ABC-1', 2, 'Ran the suite');
+        await tracker.syncJiraWorklogs(sprint.id);
+
+        tracker.setJiraConfig(null);
+        assert.strictEqual(tracker.entries[0].syncStatus, 'synced');
+
+        tracker.setJiraConfig({ baseUrl: 'https://jira.example.com', token: '' });
+        const [entry] = tracker.entries;
+        assert.strictEqual(entry.syncStatus, 'pending');
+        assert.strictEqual(entry.worklogId, undefined);
+        assert.strictEqual(JSON.parse(localStorage.getItem('timeTrackerEntries'))[0].syncStatus, 'pending');
+    });
+
+});
+
+describe('RestJiraClient', () => {
+    const issueRoute = { 'GET /rest/api/2/issue/ABC-1': [200, { key: 'ABC-1', fields: { summary: 'Login page regression' } }] };
+
+    test('looks issues up with the API token', async () => {
+        const { tracker, requests } = trackerWithRestJira(issueRoute);
+        const entry = await tracker.addEntryWithJiraCheck('2025-07-29', 'abc-1', 2, 'Ran the suite');
+
+        assert.strictEqual(entry.jiraSummary, 'Login page regression');
+        assert.strictEqual(requests[0].url, 'https://jira.example.com/rest/api/2/issue/ABC-1?fields=summary');
+        assert.strictEqual(requests[0].method, 'GET');
+        assert.strictEqual(requests[0].headers.Authorization, 'Bearer secret');
+    });
+
+    test('treats a 404 as an unknown issue', async () => {
+        const { tracker } = trackerWithRestJira({});
+        await assert.rejects(tracker.addEntryWithJiraCheck('2025-07-29', 'ABC-9', 2, 'Ran the suite'), /ABC-9 does not exist/);
+    });
+
+    test('creates a worklog, then updates it after an edit', async () => {
+        const { tracker, sprint, requests } = trackerWithRestJira({
+            ...issueRoute,
+            'POST /rest/api/2/issue/ABC-1/worklog': [201, { id: '10001' }],
+            'PUT /rest/api/2/issue/ABC-1/worklog/10001': [204]
+        });
+        await tracker.addEntryWithJiraCheck('2025-07-29', 'ABC-1', 2, 'Ran the suite');
+
+        assert.deepEqual(await tracker.syncJiraWorklogs(sprint.id), { synced: 1, failed: 0 });
+        const created = requests[requests.length - 1];
+        assert.strictEqual(created.method, 'POST');
+        assert.strictEqual(created.body.timeSpentSeconds, 7200);
+        assert.strictEqual(created.body.comment, 'Ran the suite');
+        assert.strictEqual(tracker.entries[0].worklogId, '10001');
+        assert.strictEqual(tracker.entries[0].worklogSite, 'https://jira.example.com');
+
+        tracker.updateEntry(tracker.entries[0].id, { timeSpent: 3 });
+        assert.deepEqual(await tracker.syncJiraWorklogs(sprint.id), { synced: 1, failed: 0 });
+        const updated = requests[requests.length - 1];
+        assert.strictEqual(updated.url, 'https://jira.example.com/rest/api/2/issue/ABC-1/worklog/10001');
+        assert.strictEqual(updated.body.timeSpentSeconds, 10800);
+        assert.strictEqual(tracker.entries[0].worklogId, '10001');
+    });
+
+    test('marks worklogs failed on server errors and sends no token when none is set', async () => {
+        const { tracker, sprint, requests } = trackerWithRestJira({
+            ...issueRoute,
+            'POST /rest/api/2/issue/ABC-1/worklog': [500, {}]
+        }, { baseUrl: 'https://jira.example.com', token: '' });
+        await tracker.addEntryWithJiraCheck('2025-07-29', 'ABC-1', 2, 'Ran the suite');
+
+        assert.deepEqual(await tracker.syncJiraWorklogs(sprint.id), { synced: 0, failed: 1 });
+        assert.strictEqual(tracker.entries[0].syncError, 'Jira request failed: 500 Internal Server Error');
+        assert.strictEqual(requests.length, 4);
+        assert.ok(requests.every(request => !('Authorization' in request.headers)));
+    });
+});
@@ -0,0 +1,150 @@
+// Two trackers on one storage behave like two browser tabs
+const { describe, test } = require('node:test');
+const assert = require('node:assert');
+const { trackerWithSprint } = require('./helpers/load-tracker');
+
+// Tab A with a current sprint, and tab B opened after it
+function openTwoTabs() {
+    const loaded = trackerWithSprint();
+    const b = new loaded.TimeTracker();
+    return { ...loaded, a: loaded.tracker, b };
+}
+
+// Make the storage drop the next save of `key` in tab B (`saveInB`) in favour of tab A's (`saveInA`), as IndexedDB does when
+// two tabs write at once, and tell B about it. B's reports of external changes are collected in `b.reports`.
+function overtake(a, b, key, saveInB, saveInA) {
+    let notify;
+    b.storage.watch = callback => { notify = callback; };
+    b.reports = [];
+    b.watchExternalChanges((changedKey, overridden) => b.reports.push([changedKey, overridden]));
+
+    const base = b.storage.getItem(key);
+    saveInB();
+    b.storage.setItem(key, base);
+    saveInA();
+    notify(key, base);
+}
+
+function storedJiraIds(tracker) {
+    return JSON.parse(tracker.storage.getItem('timeTrackerEntries')).map(entry => entry.jiraId).sort();
+}
+
+describe('multi-tab sync', () => {
+    test('keeps entries added in both tabs', () => {
+        const { a, b } = openTwoTabs();
+        a.addEntry('2025-07-29', 'ABC-1', 1, 'First tab');
+        b.addEntry('2025-07-30', 'ABC-2', 1, 'Second tab');
+
+        assert.deepEqual(storedJiraIds(a), ['ABC-1', 'ABC-2']);
+        assert.deepEqual(b.entries.map(entry => entry.jiraId).sort(), ['ABC-1', 'ABC-2']);
+    });
+
+    test('leaves the other tab\'s records out of undo and the activity log', () => {
+        const { a, b } = openTwoTabs();
+        a.addEntry('2025-07-29', 'ABC-1', 1, 'First tab');
+        b.addEntry('2025-07-30', 'ABC-2', 1, 'Second tab');
+
+        const command = b.undoStack[b.undoStack.length - 1];
+        assert.strictEqual(command.details, 'added entry ABC-2 on 2025-07-30 (1h)');
+        assert.ok(!b.getAuditLog().some(record => record.details.includes('ABC-1') && record.details.includes('ABC-2')));
+
+        b.undo();
+        assert.deepEqual(storedJiraIds(b), ['ABC-1']);
+    });
+
+    test('merges an edit in one tab with a deletion in the other', () => {
+        const { a, b } = openTwoTabs();
+        const first = a.addEntry('2025-07-29', 'ABC-1', 1, 'First');
+        const second = a.addEntry('2025-07-30', 'ABC-2', 1, 'Second');
+        b.syncExternalChanges();
+
+        a.deleteEntry(first.id);
+        b.updateEntry(second.id, { timeSpent: 2 });
+
+        const stored = JSON.parse(b.storage.getItem('timeTrackerEntries'));
+        assert.deepEqual(stored.map(entry => [entry.jiraId, entry.timeSpent]), [['ABC-2', 2]]);
+    });
+
+    test('reloads changes announced by the storage', () => {
+        const { a, b } = openTwoTabs();
+        a.addEntry('2025-07-29', 'ABC-1', 1, 'First tab');
+        b.handleExternalChange('timeTrackerEntries');
+
+        assert.deepEqual(b.entries.map(entry => entry.jiraId), ['ABC-1']);
+        assert.strictEqual(b.currentSprint.id, a.currentSprint.id);
+    });
+
+    test('merges holiday sets and PTO days added in both tabs', () => {
+        const { a, b } = openTwoTabs();
+        a.addPTO('2025-08-04', 'Dentist');
+        b.addPTO('2025-08-05');
+        b.addHolidaySet('Office', [{ date: '2025-12-24', name: 'Christmas Eve' }]);
+
+        const stored = JSON.parse(a.storage.getItem('timeTrackerCalendar'));
+        assert.deepEqual(stored.pto.map(day => day.date), ['2025-08-04', '2025-08-05']);
+        assert.deepEqual(stored.holidaySets.map(set => set.name), ['Office']);
+    });
+
+    test('merges categories added and removed in both tabs', () => {
+        const { a, b } = openTwoTabs();
+        overtake(a, b, 'timeTrackerCategories',
+            () => b.updateCategories(b.categories.filter(category => category !== 'Meetings')),
+            () => a.updateCategories([...a.categories, 'Exploratory']));
+
+        const stored = JSON.parse(a.storage.getItem('timeTrackerCategories'));
+        assert.ok(stored.includes('Exploratory'));
+        assert.ok(!stored.includes('Meetings'));
+    });
+
+    test('keeps activity log records from both tabs', () => {
+        const { a, b } = openTwoTabs();
+        a.addEntry('2025-07-29', 'ABC-1', 1, 'First tab');
+        b.addPTO('2025-08-05');
+
+        const actions = JSON.parse(a.storage.getItem('timeTrackerAuditLog')).map(record => record.action);
+        assert.deepEqual(actions, ['Create sprint', 'Select sprint', 'Add entry', 'Add PTO day']);
+    });
+
+    test('re-merges a write another tab overtook', () => {
+        const { a, b } = openTwoTabs();
+        overtake(a, b, 'timeTrackerCalendar', () => b.addPTO('2025-08-05'), () => a.addPTO('2025-08-04'));
+
+        assert.deepEqual(b.calendar.pto.map(day => day.date), ['2025-08-04', '2025-08-05']);
+        assert.deepEqual(JSON.parse(b.storage.getItem('timeTrackerCalendar')).pto.map(day => day.date), ['2025-08-04', '2025-08-05']);
+    });
+
+    test('reports a settings change another tab overrode', () => {
+        const { a, b } = openTwoTabs();
+        overtake(a, b, 'timeTrackerSettings',
+            () => b.updateSettings({ userName: 'Second tab' }),
+            () => a.updateSettings({ userName: 'First tab' }));
+
+        assert.deepEqual(b.reports, [['timeTrackerSettings', true]]);
+        assert.strictEqual(b.settings.userName, 'First tab');
+    });
+
+    test('keeps worklog IDs when the other tab saves entries during a Jira sync', async () => {
+        const { a, b, sprint, MockJiraClient } = openTwoTabs();
+        const jira = new MockJiraClient();
+        a.setJiraClient(jira);
+        a.addEntry('2025-07-29', 'ABC-1', 1, 'First tab');
+        a.addEntry('2025-07-30', 'ABC-2', 1, 'First tab');
+
+        // Tab B adds an entry while the first worklog request is out
+        const addWorklog = jira.addWorklog.bind(jira);
+        jira.addWorklog = async (issueKey, worklog) => {
+            if (Object.keys(jira.worklogs).length === 0) {
+                b.addEntry('2025-07-31', 'ABC-3', 1, 'Second tab');
+            }
+            return addWorklog(issueKey, worklog);
+        };
+
+        assert.deepEqual(await a.syncJiraWorklogs(sprint.id), { synced: 2, failed: 0 });
+        assert.deepEqual(await a.syncJiraWorklogs(sprint.id), { synced: 1, failed: 0 });
+        assert.strictEqual(Object.keys(jira.worklogs).length, 3);
+
+        const stored = JSON.parse(a.storage.getItem('timeTrackerEntries'));
+        assert.deepEqual(stored.map(entry => entry.syncStatus), ['synced', 'synced', 'synced']);
+        assert.deepEqual(stored.map(entry => entry.worklogId).sort(), Object.keys(jira.worklogs).sort());
+    });
+});
@@ -0,0 +1,33 @@
+const { describe, test } = require('node:test');
+const assert = require('node:assert');
+const { trackerWithSprint } = require('./helpers/load-tracker');
+
+// Sprint 1 (current) and another team's sprint over the same days, with time logged in the other one only
+function trackerWithOverlappingSprint() {
+    const loaded = trackerWithSprint();
+    const { tracker, sprint } = loaded;
+    const other = tracker.createSprint('Other team', '2025-07-28', '2025-08-08');
+    tracker.setCurrentSprint(other.id);
+    tracker.addEntry('2025-07-29', 'XYZ-1', 8, 'Other sprint');
+    tracker.addEntry('2025-07-30', 'XYZ-2', 8, 'Other sprint');
+    tracker.setCurrentSprint(sprint.id);
+    tracker.addEntry('2025-07-28', 'ABC-1', 8, 'Own sprint');
+    return loaded;
+}
+
+describe('missing time and reminders', () => {
+    test('missing time counts only the sprint\'s own entries', () => {
+        const { tracker, sprint, Date: TrackerDate } = trackerWithOverlappingSprint();
+        const missing = tracker.getMissingTime(sprint, new TrackerDate(2025, 6, 30, 18, 0));
+
+        assert.deepEqual(missing.map(day => [day.date, day.logged, day.missing]), [['2025-07-29', 0, 8], ['2025-07-30', 0, 8]]);
+    });
+
+    test('the reminder is due when only another sprint has time today', () => {
+        const { tracker, Date: TrackerDate } = trackerWithOverlappingSprint();
+        tracker.updateSettings({ reminderTime: '16:00' });
+
+        assert.strictEqual(tracker.isReminderDue(new TrackerDate(2025, 6, 30, 16, 30)), true);
+        assert.strictEqual(tracker.isReminderDue(new TrackerDate(2025, 6, 28, 16, 30)), false);
+    });
+});
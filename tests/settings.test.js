@@ -0,0 +1,41 @@
+const { describe, test } = require('node:test');
+const assert = require('node:assert');
+const { trackerWithSprint } = require('./helpers/load-tracker');
+
+const form = (changes = {}) => ({
+    settings: { hoursPerDay: 7, userName: 'Tester' },
+    workWeek: { days: [1, 2, 3, 4] },
+    categories: ['Regression', 'Exploratory'],
+    ...changes
+});
+
+describe('settings form', () => {
+    test('saves settings, work week and categories as one undoable change', () => {
+        const { tracker } = trackerWithSprint();
+        const before = { settings: tracker.settings, workWeek: tracker.workWeek, categories: tracker.categories };
+        tracker.updateAllSettings(form());
+
+        assert.strictEqual(tracker.settings.hoursPerDay, 7);
+        assert.deepEqual(tracker.workWeek.days, [1, 2, 3, 4]);
+        assert.deepEqual(tracker.categories, ['Regression', 'Exploratory']);
+        assert.deepEqual(tracker.getAuditLog().map(record => record.action).slice(-1), ['Change settings']);
+
+        tracker.undo();
+        assert.deepEqual({ settings: tracker.settings, workWeek: tracker.workWeek, categories: tracker.categories }, before);
+    });
+
+    test('saves nothing when any part is invalid', () => {
+        const { tracker } = trackerWithSprint();
+        const stored = () => ['timeTrackerSettings', 'timeTrackerWorkWeek', 'timeTrackerCategories'].map(key => tracker.storage.getItem(key));
+        const before = stored();
+        const undoSteps = tracker.undoStack.length;
+
+        assert.throws(() => tracker.updateAllSettings(form({ workWeek: { days: [] } })), /at least one working day/);
+        assert.throws(() => tracker.updateAllSettings(form({ settings: { workdayEnd: '25:00' } })), /Workday end/);
+
+        assert.strictEqual(tracker.settings.userName, '');
+        assert.deepEqual(tracker.workWeek.days, [1, 2, 3, 4, 5]);
+        assert.deepEqual(stored(), before);
+        assert.strictEqual(tracker.undoStack.length, undoSteps);
+    });
+});
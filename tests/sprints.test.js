@@ -0,0 +1,67 @@
+const { describe, test } = require('node:test');
+const assert = require('node:assert');
+const { loadTracker, trackerWithSprint } = require('./helpers/load-tracker');
+
+describe('sprint entry conflicts', () => {
+    test('renaming a sprint ignores entries that no longer pass the entry rules', () => {
+        const { tracker, sprint } = trackerWithSprint();
+        tracker.addEntry('2025-07-29', 'ABC-1', 0.25, 'Quick check');
+        tracker.updateSettings({ entryIncrement: 0.5 });
+
+        assert.deepEqual(tracker.getSprintEntryConflicts(sprint.id, { name: 'Renamed' }), []);
+        assert.strictEqual(tracker.updateSprint(sprint.id, { name: 'Renamed' }).name, 'Renamed');
+        assert.strictEqual(tracker.entries.length, 1);
+    });
+
+    test('reports only the entries that new dates leave outside the sprint', () => {
+        const { tracker, sprint } = trackerWithSprint();
+        tracker.addEntry('2025-07-29', 'ABC-1', 1, 'Inside');
+        const late = tracker.addEntry('2025-08-07', 'ABC-2', 1, 'Cut off');
+
+        const conflicts = tracker.getSprintEntryConflicts(sprint.id, { endDate: '2025-08-01' });
+        assert.deepEqual(conflicts.map(entry => entry.id), [late.id]);
+        assert.throws(() => tracker.updateSprint(sprint.id, { endDate: '2025-08-01' }), /1 entries no longer fit/);
+    });
+
+    test('moves entries by date only', () => {
+        const { tracker, sprint } = trackerWithSprint();
+        const next = tracker.createSprint('Sprint 2', '2025-08-04', '2025-08-15');
+        const entry = tracker.addEntry('2025-08-07', 'ABC-1', 0.25, 'Quick check');
+        tracker.updateSettings({ entryIncrement: 0.5 });
+
+        tracker.updateSprint(sprint.id, { endDate: '2025-08-01' }, { action: 'move', targetSprintId: next.id });
+        assert.strictEqual(tracker.entries.find(e => e.id === entry.id).sprintId, next.id);
+    });
+});
+
+describe('overlapping sprints', () => {
+    test('day totals count only the given sprint', () => {
+        const { tracker, sprint } = trackerWithSprint();
+        tracker.addEntry('2025-07-29', 'ABC-1', 5, 'Own sprint');
+        const other = tracker.createSprint('Other team', '2025-07-28', '2025-08-08');
+        tracker.setCurrentSprint(other.id);
+        tracker.addEntry('2025-07-29', 'XYZ-1', 2, 'Other sprint');
+
+        assert.strictEqual(tracker.getTotalTimeForDate('2025-07-29'), 7);
+        assert.strictEqual(tracker.getTotalTimeForDate('2025-07-29', sprint), 5);
+        assert.strictEqual(tracker.getRemainingTimeForDate('2025-07-29', sprint), 3);
+        assert.strictEqual(tracker.getProgressForDate('2025-07-29', other), 25);
+    });
+});
+
+describe('end date mode migration', () => {
+    test('treats end dates calculated before a later day off as calculated', () => {
+        const { TimeTracker, localStorage } = loadTracker();
+        localStorage.setItem('timeTrackerSchemaVersion', '4');
+        localStorage.setItem('timeTrackerSprints', JSON.stringify([
+            { id: 's1', name: 'Calculated', startDate: '2025-07-28', endDate: '2025-08-08' },
+            { id: 's2', name: 'Set by hand', startDate: '2025-08-11', endDate: '2025-08-29' }
+        ]));
+        localStorage.setItem('timeTrackerEntries', '[]');
+        localStorage.setItem('timeTrackerCalendar', JSON.stringify({ holidaySets: [], pto: [{ date: '2025-08-04', note: '' }] }));
+
+        const tracker = new TimeTracker();
+        assert.deepEqual(tracker.sprints.map(sprint => sprint.endDateMode), ['computed', 'manual']);
+        assert.deepEqual(tracker.getEndDateRecalculation().map(change => [change.sprint.id, change.endDate]), [['s1', '2025-08-11']]);
+    });
+});
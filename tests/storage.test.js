@@ -0,0 +1,41 @@
+const { describe, test } = require('node:test');
+const assert = require('node:assert');
+const { loadTracker } = require('./helpers/load-tracker');
+
+// An indexedDB whose open requests fail, like a browser blocking storage
+const failingIndexedDB = {
+    open() {
+        const request = {};
+        setTimeout(() => {
+            request.error = new Error('The operation is insecure');
+            request.onerror();
+        });
+        return request;
+    }
+};
+
+describe('StorageAdapter.open', () => {
+    test('opens localStorage by default', async () => {
+        const { StorageAdapter, TimeTracker } = loadTracker();
+        const storage = await StorageAdapter.open();
+        assert.strictEqual(storage.name, 'localStorage');
+        assert.deepEqual(new TimeTracker(storage).storageIssues, []);
+    });
+
+    test('reports falling back to localStorage when IndexedDB fails to open', async () => {
+        const { StorageAdapter, TimeTracker } = loadTracker({ globals: { indexedDB: failingIndexedDB } });
+        const storage = await StorageAdapter.open('indexedDB');
+        assert.strictEqual(storage.name, 'localStorage');
+
+        const [issue] = new TimeTracker(storage).storageIssues;
+        assert.strictEqual(issue.key, 'timeTrackerStorageBackend');
+        assert.match(issue.message, /IndexedDB could not be opened \(The operation is insecure\)/);
+        assert.match(issue.message, /may be older/);
+    });
+
+    test('reports falling back to localStorage when IndexedDB is missing', async () => {
+        const { StorageAdapter, TimeTracker } = loadTracker();
+        const storage = await StorageAdapter.open('indexedDB');
+        assert.match(new TimeTracker(storage).storageIssues[0].message, /IndexedDB is not available in this browser/);
+    });
+});